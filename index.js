@@ -4,12 +4,32 @@ import WebSocket from 'ws';
 import fs from "fs";
 import { exec } from "child_process";
 import { promisify } from "util";
-import querystring from "querystring";
 import { AssemblyAI } from "assemblyai";
-import Anthropic from "@anthropic-ai/sdk";
 import path from 'path';
 import { fileURLToPath } from 'url';
 import helmet from 'helmet';
+import { createSttProvider } from './src/stt/index.js';
+import { createAnalysisBackend } from './src/analysis/index.js';
+import { createAnalysisQueue } from './src/analysis/queue.js';
+import { createConversationMemory } from './src/analysis/memory.js';
+import { createRedactor, createTokenVault, loadTokenVault, deriveVaultKey, PII_ENTITIES } from './src/redaction/index.js';
+import { loadDisclosureChecklist, createDisclosureTracker } from './src/compliance/disclosures.js';
+import { loadComplianceRules, createComplianceTool, createComplianceMonitor, quoteMatchesTurn } from './src/compliance/alerts.js';
+import { loadFrameworks, normalizeQualification, describeFramework, NOT_IDENTIFIED } from './src/qualification/frameworks.js';
+import { createQualificationHistory } from './src/qualification/scoring.js';
+import { createTalkTimeTracker } from './src/analytics/talk-time.js';
+import { loadNudgeRules, createNudgeEngine } from './src/coaching/nudges.js';
+import { loadToolPlugins, createToolRegistry, functionSource, escapeHtml } from './src/tools/index.js';
+import { formatTurnId, withSourceTurns, citedTurnIds, recordSources } from './src/tools/provenance.js';
+import { profileValues } from './src/profile/client-profile.js';
+import {
+  QUESTION_STATUSES,
+  matchAskedQuestions,
+  attachAnswers,
+  setQuestionStatus,
+  getQuestionCoverage
+} from './src/questions/lifecycle.js';
+import { createConcernStatusTool, applyConcernStatus, getConcernFollowUps } from './src/concerns/lifecycle.js';
 
 // Get current directory for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -22,6 +42,11 @@ const ZOOM_SECRET_TOKEN = process.env.ZOOM_SECRET_TOKEN;
 const CLIENT_ID = process.env.ZM_CLIENT_ID;
 const CLIENT_SECRET = process.env.ZM_CLIENT_SECRET;
 
+// Webhook verification: reject requests whose x-zm-request-timestamp is older
+// than this many seconds, and remember accepted event ids for the same window
+const WEBHOOK_MAX_AGE_SECONDS = parseInt(process.env.ZOOM_WEBHOOK_MAX_AGE_SECONDS || '300', 10);
+const processedWebhookEvents = new Map(); // event id -> accepted at (ms)
+
 // Audio stream options
 const AUDIO_MULTI_STREAMS = 1;  // Individual participant streams
 const AUDIO_MIXED_STREAM = 0;   // Single mixed stream
@@ -59,43 +84,29 @@ const MEDIA_DATA_OPTIONS = {
 const DEBUG_ENABLED = process.env.DEBUG_MODE === 'true';
 
 // Financial Consultation Analysis Setup
-const anthropic = new Anthropic({
+// ANALYSIS_BASE_URL points the backend at an Anthropic-compatible server such
+// as the local stub (npm run llm-stub)
+const analysisBackend = createAnalysisBackend(process.env.ANALYSIS_BACKEND || 'anthropic', {
   apiKey: process.env.ANTHROPIC_API_KEY,
+  baseURL: process.env.ANALYSIS_BASE_URL || undefined,
+  model: process.env.ANALYSIS_MODEL || 'claude-3-5-sonnet-20241022',
+  maxTokens: parseInt(process.env.ANALYSIS_MAX_TOKENS || '512', 10)
 });
 
-// Store conversation data with safe initialization
-let conversationHistory = [];
-let conversationId = null;
-let financialData = {
-  summary: [],
-  faint: {
-    funds: "Not identified",
-    authority: "Not identified", 
-    interest: "Not identified",
-    need: "Not identified",
-    timing: "Not identified"
-  },
-  clientInfo: [],
-  advisorReminders: [],
-  concerns: [],
-  strategicQuestions: []
-};
-
-// Global transcript storage
-global.liveTranscripts = [];
+// Turns arriving within this window are analyzed together in one request;
+// beyond ANALYSIS_MAX_BATCH_TURNS waiting turns, the oldest are skipped
+const ANALYSIS_BATCH_WINDOW_MS = parseInt(process.env.ANALYSIS_BATCH_WINDOW_MS || '1500', 10);
+const ANALYSIS_MAX_BATCH_TURNS = parseInt(process.env.ANALYSIS_MAX_BATCH_TURNS || '8', 10);
 
-// Enhanced speaker tracking with detailed logging
-const speakerTracking = {
-  detectedUsers: new Map(), 
-  speakerTransitions: [], 
-  debugMode: DEBUG_ENABLED
-};
+// Past ANALYSIS_MEMORY_MAX_MESSAGES history messages, all but the most recent
+// ANALYSIS_MEMORY_KEEP_MESSAGES are condensed into a running summary
+const ANALYSIS_MEMORY_MAX_MESSAGES = parseInt(process.env.ANALYSIS_MEMORY_MAX_MESSAGES || '30', 10);
+const ANALYSIS_MEMORY_KEEP_MESSAGES = parseInt(process.env.ANALYSIS_MEMORY_KEEP_MESSAGES || '20', 10);
 
-// Speaker management
-const speakerMapping = new Map(); 
-const detectedSpeakers = new Set(); 
-let currentSpeakerId = null;
-let lastTranscriptSpeaker = null;
+// Per-meeting consultation sessions keyed by meeting UUID. Each session owns
+// its conversation history, financial data, transcript and speaker state so
+// several consultations can run side by side.
+const sessions = new Map();
 
 // Audio streaming configuration (optimized chunk sizes)
 const SAMPLE_RATE = 16000;
@@ -108,17 +119,101 @@ const TARGET_CHUNK_SIZE = (SAMPLE_RATE * CHANNELS * BYTES_PER_SAMPLE * TARGET_CH
 const activeConnections = new Map();
 const audioCollectors = new Map();
 
-// AssemblyAI v3 Streaming Configuration
-const CONNECTION_PARAMS = {
-  sample_rate: SAMPLE_RATE,
-  format_turns: true,
-};
-const API_ENDPOINT_BASE_URL = "wss://streaming.assemblyai.com/v3/ws";
-const API_ENDPOINT = `${API_ENDPOINT_BASE_URL}?${querystring.stringify(CONNECTION_PARAMS)}`;
+// RTMS reconnect policy: exponential backoff starting at the base delay,
+// giving up and finalizing the meeting after the configured attempts
+const RTMS_MAX_RECONNECT_ATTEMPTS = parseInt(process.env.RTMS_MAX_RECONNECT_ATTEMPTS || '5', 10);
+const RTMS_RECONNECT_BASE_DELAY_MS = parseInt(process.env.RTMS_RECONNECT_BASE_DELAY_MS || '1000', 10);
+const RTMS_RECONNECT_MAX_DELAY_MS = 30000;
+
+// Speech-to-text provider (STT_PROVIDER=assemblyai | fake)
+const STT_PROVIDER = process.env.STT_PROVIDER || 'assemblyai';
+const sttProvider = createSttProvider(STT_PROVIDER, {
+  apiKey: process.env.ASSEMBLYAI_API_KEY,
+  endpoint: process.env.ASSEMBLYAI_STREAMING_URL || undefined,
+  sampleRate: SAMPLE_RATE,
+  fixturePath: process.env.STT_FAKE_FIXTURE,
+  debug: DEBUG_ENABLED
+});
+
+// Transcription reconnect policy. Audio captured while the streaming session
+// is down is held in a bounded ring buffer and replayed once it reconnects.
+const STT_MAX_RECONNECT_ATTEMPTS = parseInt(process.env.STT_MAX_RECONNECT_ATTEMPTS || '10', 10);
+const STT_RECONNECT_BASE_DELAY_MS = 1000;
+const STT_RECONNECT_MAX_DELAY_MS = 30000;
+const STT_REPLAY_BUFFER_SECONDS = parseInt(process.env.STT_REPLAY_BUFFER_SECONDS || '30', 10);
+const STT_REPLAY_BUFFER_BYTES = SAMPLE_RATE * CHANNELS * BYTES_PER_SAMPLE * STT_REPLAY_BUFFER_SECONDS;
+const STT_REPLAY_INTERVAL_MS = 50; // One 250ms chunk every 50ms replays at 5x real time
+
+// Open one streaming session per RTMS user_id instead of a single session for
+// the whole meeting, so every Turn is attributed to the participant who spoke
+const STT_PER_PARTICIPANT = process.env.STT_PER_PARTICIPANT === 'true';
+const MIXED_STREAM_KEY = 'mixed';
+
+// PII redaction: SSNs, account numbers, dates of birth and phone numbers in
+// each turn are swapped for typed placeholders before the text reaches
+// analysis, logs, disk or the dashboard. Originals are kept in an encrypted
+// per-meeting token vault; holders of PII_REVEAL_TOKEN can reveal them.
+const PII_REDACTION_ENABLED = process.env.PII_REDACTION !== 'false';
+const piiRedactor = createRedactor({
+  entities: (process.env.PII_REDACTION_ENTITIES || PII_ENTITIES.join(','))
+    .split(',').map(entity => entity.trim()).filter(Boolean)
+});
+// Without PII_VAULT_KEY the vault key only lives as long as the process, so
+// vaults are not written to disk
+const PII_VAULT_KEY = process.env.PII_VAULT_KEY ? deriveVaultKey(process.env.PII_VAULT_KEY) : null;
+const piiVaultKey = PII_VAULT_KEY || crypto.randomBytes(32);
+const PII_REVEAL_TOKEN = process.env.PII_REVEAL_TOKEN;
+
+// Regulatory disclosures this firm's advisors must make in every consultation.
+// Consultant turns are matched against the checklist; set DISCLOSURE_CHECKLIST
+// to an empty value to turn tracking off.
+const DISCLOSURE_CHECKLIST_PATH = process.env.DISCLOSURE_CHECKLIST ?? path.join(__dirname, 'config', 'disclosures.json');
+const disclosureChecklist = DISCLOSURE_CHECKLIST_PATH ? loadDisclosureChecklist(DISCLOSURE_CHECKLIST_PATH) : null;
+const DISCLOSURE_CHECK_INTERVAL_MS = 30000;
+
+// Qualification frameworks (FAINT, BANT, ...). QUALIFICATION_FRAMEWORK picks the
+// one new meetings start with; the dashboard can switch it per meeting.
+const { defaultId: configuredFrameworkId, frameworks: qualificationFrameworks } =
+  loadFrameworks(process.env.QUALIFICATION_FRAMEWORKS || path.join(__dirname, 'config', 'frameworks.json'));
+const DEFAULT_FRAMEWORK_ID = process.env.QUALIFICATION_FRAMEWORK || configuredFrameworkId;
+if (!qualificationFrameworks.has(DEFAULT_FRAMEWORK_ID)) {
+  throw new Error(`Unknown QUALIFICATION_FRAMEWORK "${DEFAULT_FRAMEWORK_ID}" (available: ${[...qualificationFrameworks.keys()].join(', ')})`);
+}
+const defaultFramework = qualificationFrameworks.get(DEFAULT_FRAMEWORK_ID);
+
+// Analysis tool plugins: the built-ins plus any modules dropped into
+// TOOL_PLUGINS_DIR (default ./plugins)
+const TOOL_PLUGINS_DIR = process.env.TOOL_PLUGINS_DIR || path.join(__dirname, 'plugins');
+const toolRegistry = createToolRegistry(await loadToolPlugins(TOOL_PLUGINS_DIR), { framework: defaultFramework });
+
+// Running-list items at least this similar (0-1, shared content words) to an
+// existing item are merged into it instead of being added again
+const LIST_DEDUPE_THRESHOLD = parseFloat(process.env.LIST_DEDUPE_THRESHOLD || '0.75');
+
+// A suggested question counts as asked once a Consultant sentence contains at
+// least this share (0-1) of its content words
+const QUESTION_MATCH_THRESHOLD = parseFloat(process.env.QUESTION_MATCH_THRESHOLD || '0.6');
+
+// Conversation dynamics: nobody talking for SILENCE_GAP_SECONDS counts as a
+// silence gap, and the dashboard coaches the advisor once they take more than
+// ADVISOR_TALK_RATIO_TARGET (0-1) of the talk time
+const SILENCE_GAP_MS = parseFloat(process.env.SILENCE_GAP_SECONDS || '5') * 1000;
+const ADVISOR_TALK_RATIO_TARGET = parseFloat(process.env.ADVISOR_TALK_RATIO_TARGET || '0.4');
+const ANALYTICS_PUBLISH_INTERVAL_MS = 2000;
+
+// Timed coaching nudges (long monologues, a silent client, ...), checked with
+// every analytics update. Set NUDGE_RULES to an empty value to turn them off.
+const NUDGE_RULES_PATH = process.env.NUDGE_RULES ?? path.join(__dirname, 'config', 'nudge-rules.json');
+const nudgeRules = NUDGE_RULES_PATH ? loadNudgeRules(NUDGE_RULES_PATH) : null;
+
+// Prohibited-language rules checked against every Consultant turn. Set
+// COMPLIANCE_RULES to an empty value to turn compliance alerts off.
+const COMPLIANCE_RULES_PATH = process.env.COMPLIANCE_RULES ?? path.join(__dirname, 'config', 'compliance-rules.json');
+const complianceRules = COMPLIANCE_RULES_PATH ? loadComplianceRules(COMPLIANCE_RULES_PATH) : null;
 
 // Initialize Express app
 const app = express();
-const PORT = 8080;
+const PORT = parseInt(process.env.PORT || '8080', 10);
 
 // Optimized helmet configuration
 app.use(helmet({
@@ -148,11 +243,16 @@ app.use(helmet({
 
 // Regular middleware
 app.use(express.static('public'));
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body around for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.raw({type: 'application/json'}));
 
 // Optimized speaker event logging (only when debug enabled)
-function logSpeakerEvent(event, data) {
+function logSpeakerEvent(session, event, data) {
   if (!DEBUG_ENABLED) return;
   
   const timestamp = new Date().toISOString();
@@ -160,147 +260,333 @@ function logSpeakerEvent(event, data) {
     timestamp,
     event,
     data,
-    currentSpeaker: currentSpeakerId,
-    totalDetectedUsers: speakerTracking.detectedUsers.size
+    currentSpeaker: session.currentSpeakerId,
+    totalDetectedUsers: session.speakerTracking.detectedUsers.size
   };
   
-  console.log(`🎤 ${event}: Speaker ${data.speakerId || currentSpeakerId}`);
+  console.log(`🎤 ${event}: Speaker ${data.speakerId || session.currentSpeakerId}`);
   
-  speakerTracking.speakerTransitions.push(logEntry);
+  session.speakerTracking.speakerTransitions.push(logEntry);
   
   // Keep only last 50 events for memory efficiency
-  if (speakerTracking.speakerTransitions.length > 50) {
-    speakerTracking.speakerTransitions = speakerTracking.speakerTransitions.slice(-25);
+  if (session.speakerTracking.speakerTransitions.length > 50) {
+    session.speakerTracking.speakerTransitions = session.speakerTracking.speakerTransitions.slice(-25);
   }
 }
 
-// Safe function to initialize financial data
-function initializeFinancialData() {
-  return {
-    summary: [],
-    faint: {
-      funds: "Not identified",
-      authority: "Not identified", 
-      interest: "Not identified",
-      need: "Not identified",
-      timing: "Not identified"
-    },
-    clientInfo: [],
-    advisorReminders: [],
-    concerns: [],
-    strategicQuestions: []
-  };
+// Safe function to initialize financial data: one entry per tool plugin
+function initializeFinancialData(framework = defaultFramework) {
+  return toolRegistry.initialState({ framework });
 }
 
 // Safe function to get financial data with fallbacks
-function getSafeFinancialData() {
-  return {
-    summary: financialData.summary || [],
-    faint: financialData.faint || {
-      funds: "Not identified",
-      authority: "Not identified", 
-      interest: "Not identified",
-      need: "Not identified",
-      timing: "Not identified"
-    },
-    clientInfo: financialData.clientInfo || [],
-    advisorReminders: financialData.advisorReminders || [],
-    concerns: financialData.concerns || [],
-    strategicQuestions: financialData.strategicQuestions || []
-  };
+function getSafeFinancialData(session) {
+  return toolRegistry.normalizeState(session?.financialData, { framework: session?.framework || defaultFramework });
 }
 
-// Optimized Financial Consultation Tools (reduced descriptions for faster processing)
-const TOOLS = [
-  {
-    name: "update_summary",
-    description: "Add a new bullet point to the consultation summary.",
-    input_schema: {
-      type: "object",
-      properties: {
-        new_point: {
-          type: "string",
-          description: "A single new bullet point"
+// Redact PII from transcript text. With a vault, placeholders are numbered
+// and the originals stored for reveal; without one they are generic.
+function redactPii(text, vault = null) {
+  return PII_REDACTION_ENABLED ? piiRedactor.redact(text, vault) : text;
+}
+
+function getVaultPath(conversationId) {
+  return `./consultation_logs/${conversationId}_pii_vault.json`;
+}
+
+// Token vault for one meeting, written to disk (ciphertext only) whenever a
+// new placeholder is issued so reveals keep working after the meeting ends
+function createMeetingVault(conversationId) {
+  const vault = createTokenVault(piiVaultKey, {
+    onTokenCreated: () => {
+      if (!PII_VAULT_KEY) return;
+      try {
+        if (!fs.existsSync('./consultation_logs')) {
+          fs.mkdirSync('./consultation_logs');
         }
-      },
-      required: ["new_point"]
+        fs.writeFileSync(getVaultPath(conversationId), JSON.stringify(vault), { mode: 0o600 });
+      } catch (error) {
+        console.error(`❌ Error saving PII vault: ${error.message}`);
+      }
     }
-  },
-  {
-    name: "update_faint",
-    description: "Update specific FAINT qualification fields. Only provide fields that have new/updated information.",
-    input_schema: {
-      type: "object",
-      properties: {
-        funds: { type: "string", description: "Financial capacity info" },
-        authority: { type: "string", description: "Decision-making authority" },
-        interest: { type: "string", description: "Investment interest level" },
-        need: { type: "string", description: "Financial needs/goals" },
-        timing: { type: "string", description: "Timeline for decisions" }
-      },
-      required: []
+  });
+  return vault;
+}
+
+// Create the state owned by a single consultation
+function createSession(meetingUuid, streamId) {
+  const conversationId = meetingUuid.replace(/[^a-zA-Z0-9]/g, "_");
+  const session = {
+    meetingUuid,
+    conversationId,
+    streamId,
+    startedAt: Date.now(),
+    conversationHistory: [],
+    framework: defaultFramework,
+    financialData: initializeFinancialData(defaultFramework),
+    piiVault: PII_REDACTION_ENABLED ? createMeetingVault(conversationId) : null,
+    disclosures: disclosureChecklist ? createDisclosureTracker(disclosureChecklist) : null,
+    disclosureSignature: null, // Last pushed done/urgency state, to detect escalations
+    disclosureTimer: null,
+    compliance: null,
+    analysisQueue: null,
+    memory: createConversationMemory({
+      summarize: summarizeConversation,
+      maxMessages: ANALYSIS_MEMORY_MAX_MESSAGES,
+      keepMessages: ANALYSIS_MEMORY_KEEP_MESSAGES
+    }),
+    liveTranscripts: [],
+    partialTranscripts: new Map(), // In-progress turn per transcription stream
+    turnCount: 0, // Final turns so far; turn ids are "t1", "t2", ...
+    insightSources: {}, // Turn ids behind each insight, see src/tools/provenance.js
+    sourceTurns: {}, // Turns cited by insights, by id, for after they leave liveTranscripts
+    concernFollowUps: null, // Concerns still unresolved when the meeting stopped
+    qualificationHistory: createQualificationHistory(),
+    talkTime: createTalkTimeTracker({ silenceGapMs: SILENCE_GAP_MS }),
+    analyticsTimer: null, // Pushes analytics and checks nudges
+    nudges: null,
+    speakerMapping: new Map(),
+    detectedSpeakers: new Set(),
+    currentSpeakerId: null,
+    activeSpeakerTimer: null,
+    speakerTracking: {
+      detectedUsers: new Map(),
+      speakerTransitions: []
     }
-  },
-  {
-    name: "update_client_info",
-    description: "Add client information.",
-    input_schema: {
-      type: "object",
-      properties: {
-        new_info: { type: "string", description: "New client information" }
-      },
-      required: ["new_info"]
+  };
+  // One analysis request at a time per meeting, so history updates never overlap
+  session.analysisQueue = createAnalysisQueue({
+    analyze: (text) => processTranscript(session, text),
+    batchWindowMs: ANALYSIS_BATCH_WINDOW_MS,
+    maxBatchTurns: ANALYSIS_MAX_BATCH_TURNS,
+    onSkip: (count) => console.warn(`⏭️ Analysis backlog (${conversationId}): skipped ${count} older turn${count === 1 ? '' : 's'}`)
+  });
+  if (nudgeRules) {
+    session.nudges = createNudgeEngine(nudgeRules, {
+      onNudge: (nudge) => console.log(`💡 Nudge (${conversationId}): ${nudge.message}`),
+      onChange: (nudges) => publishEvent(session, 'nudges', { nudges })
+    });
+  }
+  if (complianceRules) {
+    session.compliance = createComplianceMonitor(complianceRules, {
+      onAlert: (alert) => handleComplianceAlert(session, alert)
+    });
+  }
+  return session;
+}
+
+// Talk ratio, turns, monologues, interruptions, questions and silence gaps per
+// speaker, plus the advisor's talk ratio target
+function getTalkAnalytics(session) {
+  return {
+    ...session.talkTime.getMetrics(speakerId => session.speakerMapping.get(speakerId) || `Speaker ${speakerId}`),
+    advisor_talk_ratio_target: ADVISOR_TALK_RATIO_TARGET
+  };
+}
+
+// Push the latest analytics and raise or resolve coaching nudges
+function updateConversationDynamics(session) {
+  const analytics = getTalkAnalytics(session);
+  publishEvent(session, 'analytics', analytics);
+  session.nudges?.evaluate({
+    elapsedMs: Date.now() - session.startedAt,
+    analytics,
+    framework: session.framework,
+    financialData: getSafeFinancialData(session)
+  });
+}
+
+// Re-evaluate the disclosure checklist and push it to dashboards whenever an
+// item is completed or escalates
+function checkDisclosures(session) {
+  if (!session.disclosures) return;
+  
+  const status = session.disclosures.getStatus();
+  const signature = status.items.map(item => item.urgency).join(',');
+  if (signature === session.disclosureSignature) return;
+  session.disclosureSignature = signature;
+  
+  const due = status.items.filter(item => item.urgency === 'reminder' || item.urgency === 'urgent');
+  if (due.length > 0) {
+    console.log(`⏰ Disclosures due (${session.conversationId}): ${due.map(item => `${item.label} [${item.urgency}]`).join(', ')}`);
+  }
+  publishEvent(session, 'disclosures', status);
+}
+
+// Match a consultant turn against the checklist
+function trackDisclosures(session, text) {
+  if (!session.disclosures) return;
+  
+  const matched = session.disclosures.matchTurn(text);
+  if (matched.length === 0) return;
+  
+  console.log(`✅ Disclosure made: ${matched.join(', ')}`);
+  checkDisclosures(session);
+}
+
+// Move strategic questions along: a Consultant turn may ask them, and the
+// Client turn after that answers them
+function trackQuestions(session, speakerRole, turn) {
+  const items = session.financialData?.strategicQuestions;
+  if (!Array.isArray(items) || items.length === 0) return;
+  
+  if (speakerRole === 'Consultant') {
+    for (const item of matchAskedQuestions(items, turn, { threshold: QUESTION_MATCH_THRESHOLD })) {
+      console.log(`❓ Question asked (${item.id}): ${item.value.question}`);
+      updateQuestion(session, item);
     }
-  },
-  {
-    name: "update_advisor_reminders",
-    description: "Add advisor reminder.",
-    input_schema: {
-      type: "object",
-      properties: {
-        new_reminder: { type: "string", description: "Reminder for advisor" }
-      },
-      required: ["new_reminder"]
+  } else if (speakerRole === 'Client') {
+    for (const item of attachAnswers(items, turn)) {
+      console.log(`💬 Question answered (${item.id}): ${item.value.question}`);
+      updateQuestion(session, item);
     }
-  },
-  {
-    name: "update_concerns",
-    description: "Add client concern.",
-    input_schema: {
-      type: "object",
-      properties: {
-        new_concern: {
-          type: "object",
-          properties: {
-            concern: { type: "string", description: "Client concern" },
-            addressing_strategy: { type: "string", description: "How to address it" }
-          },
-          required: ["concern", "addressing_strategy"]
-        }
-      },
-      required: ["new_concern"]
+  }
+}
+
+function updateQuestion(session, item) {
+  const items = session.financialData.strategicQuestions;
+  items[items.findIndex(other => other.id === item.id)] = item;
+  publishEvent(session, 'list_item', { list: 'strategicQuestions', item, sources: {}, turns: {} });
+}
+
+function getComplianceAuditPath(conversationId) {
+  return `./consultation_logs/${conversationId}_compliance_audit.jsonl`;
+}
+
+// Log a new compliance alert, append it to the meeting's audit trail file and
+// push the re-ranked alert list to dashboards
+function handleComplianceAlert(session, alert) {
+  console.warn(`🚩 Compliance alert [${alert.severity}] ${alert.label}: "${alert.quote}"`);
+  
+  try {
+    if (!fs.existsSync('./consultation_logs')) {
+      fs.mkdirSync('./consultation_logs');
     }
-  },
-  {
-    name: "update_strategic_questions",
-    description: "Add strategic question.",
-    input_schema: {
-      type: "object",
-      properties: {
-        new_question: {
-          type: "object",
-          properties: {
-            question: { type: "string", description: "Question to ask" },
-            purpose: { type: "string", description: "Why ask this" }
-          },
-          required: ["question", "purpose"]
-        }
-      },
-      required: ["new_question"]
+    fs.appendFileSync(getComplianceAuditPath(session.conversationId), JSON.stringify(alert) + '\n');
+  } catch (error) {
+    console.error(`❌ Error writing compliance audit trail: ${error.message}`);
+  }
+  
+  publishEvent(session, 'compliance', {
+    alerts: session.compliance.getAlerts(),
+    summary: session.compliance.getSummary()
+  });
+}
+
+// Look up a session by meeting UUID or sanitized conversation id. Without an
+// id, fall back to the most recently started meeting.
+function resolveSession(meetingId) {
+  if (meetingId) {
+    if (sessions.has(meetingId)) return sessions.get(meetingId);
+    for (const session of sessions.values()) {
+      if (session.conversationId === meetingId) return session;
     }
+    return null;
+  }
+  
+  let latest = null;
+  for (const session of sessions.values()) {
+    if (!latest || session.startedAt >= latest.startedAt) latest = session;
   }
+  return latest;
+}
+
+// Resolve the session an API request refers to; responds with 404 when an
+// explicit meeting id doesn't match any active meeting
+function getRequestSession(req, res) {
+  const meetingId = req.query.meeting_id || req.body?.meeting_id;
+  const session = resolveSession(meetingId);
+  
+  if (meetingId && !session) {
+    res.status(404).json({ error: 'Meeting not found', meeting_id: meetingId });
+    return undefined;
+  }
+  return session;
+}
+
+// Tools handled outside the plugin registry
+const TOOLS = [
+  createConcernStatusTool(),
+  ...(complianceRules ? [createComplianceTool(complianceRules)] : [])
 ];
 
+// Tools offered for one meeting: the plugin tools (the qualification tool
+// follows the meeting's framework) plus TOOLS
+function getSessionTools(session) {
+  return [...toolRegistry.getTools(getToolContext(session)).map(withSourceTurns), ...TOOLS];
+}
+
+function getToolContext(session) {
+  return { framework: session.framework, dedupeThreshold: LIST_DEDUPE_THRESHOLD };
+}
+
+// Push what a plugin's reducer changed (a new list item, or changed fields)
+// with the turn ids behind it (sources) and the text of those turns
+function publishToolChanges(session, plugin, changes, sources) {
+  const turns = Object.fromEntries(Object.values(sources).flat().map(id => [id, session.sourceTurns[id]]));
+  if (plugin.kind === 'list') {
+    publishEvent(session, 'list_item', { list: plugin.id, item: changes, sources, turns });
+  } else {
+    publishEvent(session, 'fields', { plugin: plugin.id, changes, sources, turns });
+  }
+}
+
+// Stores the turns an insight cites and returns the updated source entries
+function recordInsightSources(session, plugin, changes, turnIds) {
+  for (const id of turnIds) {
+    const turn = session.liveTranscripts.find(entry => entry.turnId === id);
+    if (turn && !session.sourceTurns[id]) {
+      session.sourceTurns[id] = { timestamp: turn.timestamp, speaker: turn.speaker, text: turn.text };
+    }
+  }
+  return recordSources(session.insightSources, plugin, changes, turnIds);
+}
+
+// A final turn of the meeting by id, with the speaker label taken off its text.
+// Null if the id is unknown or the turn has left liveTranscripts uncited.
+function findTurn(session, turnId) {
+  const [id] = citedTurnIds({ source_turns: [turnId] }, session.turnCount);
+  const turn = id && (session.liveTranscripts.find(entry => entry.turnId === id) || session.sourceTurns[id]);
+  if (!turn) return null;
+  return {
+    turnId: id,
+    timestamp: turn.timestamp,
+    speaker: turn.speaker,
+    text: turn.text.startsWith(`${turn.speaker}: `) ? turn.text.slice(turn.speaker.length + 2) : turn.text
+  };
+}
+
+// Switch a meeting to another qualification framework. Fields both frameworks
+// share (e.g. Authority and Need) keep their values.
+function setSessionFramework(session, framework) {
+  session.framework = framework;
+  session.financialData.qualification = normalizeQualification(framework, session.financialData.qualification);
+  session.qualificationHistory.addPoint(framework, session.financialData.qualification);
+  console.log(`📋 Qualification framework for ${session.conversationId}: ${framework.name}`);
+  publishEvent(session, 'framework', {
+    framework,
+    qualification: session.financialData.qualification,
+    qualification_score: getQualificationScore(session)
+  });
+}
+
+// Score, per-field history and score trajectory of the meeting's qualification
+function getQualificationScore(session) {
+  return session.qualificationHistory.getStatus(session.framework, getSafeFinancialData(session).qualification);
+}
+
+// Keep the history of the fields an update_qualification call changed and push
+// the new score
+function recordQualificationChanges(session, changes, { confidence, sourceTurns }) {
+  const value = Number(confidence);
+  const point = session.qualificationHistory.record(session.framework, session.financialData.qualification, changes, {
+    confidence: confidence === undefined || !Number.isFinite(value) ? null : Math.min(1, Math.max(0, value)),
+    sourceTurns
+  });
+  console.log(`${session.framework.icon} ${session.framework.name} score: ${point.score}/100`);
+  publishEvent(session, 'qualification_score', getQualificationScore(session));
+}
+
 // Dashboard route with configurable update interval, pause button, and collapsible sections
 app.get('/', (req, res) => {
   res.send(`
@@ -402,6 +688,16 @@ app.get('/', (req, res) => {
                 opacity: 0.8;
             }
             
+            .meeting-select {
+                max-width: 160px;
+                padding: 4px 6px;
+                border: 1px solid rgba(255, 255, 255, 0.3);
+                border-radius: 4px;
+                background: rgba(255, 255, 255, 0.9);
+                color: #333;
+                font-size: 0.85em;
+            }
+            
             .pause-button {
                 padding: 4px 8px;
                 border: 1px solid rgba(255, 255, 255, 0.3);
@@ -608,14 +904,14 @@ app.get('/', (req, res) => {
                 margin-left: 8px;
             }
             
-            .faint-grid {
+            .qualification-grid {
                 display: grid;
                 grid-template-columns: 120px 1fr;
                 gap: 12px 20px;
                 align-items: start;
             }
             
-            .faint-label {
+            .qualification-label {
                 font-weight: 600;
                 color: #495057;
                 display: flex;
@@ -623,7 +919,7 @@ app.get('/', (req, res) => {
                 gap: 6px;
             }
             
-            .faint-value {
+            .qualification-value {
                 color: #2c3e50;
                 padding: 8px 12px;
                 background: #f8f9fa;
@@ -631,152 +927,650 @@ app.get('/', (req, res) => {
                 border-left: 3px solid #007bff;
             }
             
-            .list-item {
-                margin: 8px 0;
-                padding: 12px 16px;
-                background: #f8f9fa;
-                border-radius: 8px;
-                border-left: 4px solid #28a745;
-                color: #2c3e50;
-                line-height: 1.5;
-            }
-            
-            .list-item.latest {
-                border-left-color: #007bff;
-                background: linear-gradient(135deg, #e7f3ff 0%, #f0f8ff 100%);
-                box-shadow: 0 2px 8px rgba(0, 123, 255, 0.15);
+            .profile-entry + .profile-entry {
+                margin-top: 4px;
             }
             
-            .concern-item {
-                margin: 12px 0;
-                padding: 16px;
-                background: linear-gradient(135deg, #fff5f5 0%, #fed7d7 20%);
-                border-radius: 8px;
-                border-left: 4px solid #e53e3e;
+            .profile-account {
+                font-weight: 600;
             }
             
-            .concern-item.latest {
-                border-left-color: #dc3545;
-                background: linear-gradient(135deg, #f8d7da 0%, #f5c6cb 20%);
-                box-shadow: 0 2px 8px rgba(220, 53, 69, 0.15);
+            .profile-total {
+                margin-top: 6px;
+                padding-top: 4px;
+                border-top: 1px solid #dee2e6;
+                font-size: 0.9em;
+                color: #6c757d;
             }
             
-            .concern-item strong {
-                color: #c53030;
+            .confidence-badge {
+                margin-left: 6px;
+                padding: 1px 8px;
+                border-radius: 10px;
+                font-size: 0.75em;
+                font-weight: 600;
+                background: #6c757d;
+                color: white;
             }
             
-            .question-item {
-                margin: 12px 0;
-                padding: 16px;
-                background: linear-gradient(135deg, #ebf8ff 0%, #bee3f8 20%);
-                border-radius: 8px;
-                border-left: 4px solid #3182ce;
+            .confidence-badge.high {
+                background: #28a745;
             }
             
-            .question-item.latest {
-                border-left-color: #0056b3;
-                background: linear-gradient(135deg, #cce7ff 0%, #b3d9ff 20%);
-                box-shadow: 0 2px 8px rgba(0, 86, 179, 0.15);
+            .confidence-badge.medium {
+                background: #ffc107;
+                color: #2c3e50;
             }
             
-            .question-item strong {
-                color: #2b6cb0;
+            .confidence-badge.low {
+                background: #dc3545;
             }
             
-            .expanded-items {
-                display: none;
+            .nudge-toasts {
+                position: fixed;
+                right: 20px;
+                bottom: 20px;
+                z-index: 1000;
+                display: flex;
+                flex-direction: column;
+                gap: 10px;
+                max-width: 380px;
             }
             
-            .expanded-items.show {
-                display: block;
+            .nudge-toast {
+                display: flex;
+                align-items: flex-start;
+                gap: 10px;
+                padding: 12px 14px;
+                background: white;
+                border-left: 5px solid #17a2b8;
+                border-radius: 8px;
+                box-shadow: 0 4px 16px rgba(0, 0, 0, 0.18);
+                font-size: 0.9em;
             }
             
-            .transcript-container {
-                flex: 1;
-                background: #1a202c;
-                color: #e2e8f0;
-                font-family: 'SF Mono', 'Monaco', 'Inconsolata', 'Roboto Mono', monospace;
-                padding: 20px;
-                overflow-y: auto;
-                margin: 0;
+            .nudge-toast.warning {
+                border-left-color: #ffc107;
             }
             
-            .transcript-entry {
-                margin: 8px 0;
-                padding: 12px 16px;
-                border-left: 3px solid #4fd1c7;
-                background: rgba(79, 209, 199, 0.1);
-                border-radius: 0 8px 8px 0;
-                transition: all 0.2s ease;
-                line-height: 1.6;
+            .nudge-toast.urgent {
+                border-left-color: #dc3545;
+                background: #fff5f5;
             }
             
-            .transcript-entry:hover {
-                background: rgba(79, 209, 199, 0.15);
-                transform: translateX(4px);
+            .nudge-message {
+                flex: 1;
             }
             
-            .transcript-entry.consultant {
-                border-left-color: #fbbf24;
-                background: rgba(251, 191, 36, 0.1);
+            .nudge-dismiss {
+                border: none;
+                background: none;
+                cursor: pointer;
+                color: #6c757d;
+                font-size: 1em;
             }
             
-            .transcript-entry.client {
-                border-left-color: #60a5fa;
-                background: rgba(96, 165, 250, 0.1);
+            .talk-ratio-bar {
+                display: flex;
+                height: 26px;
+                border-radius: 6px;
+                overflow: hidden;
+                background: #e9ecef;
+                margin-bottom: 10px;
             }
             
-            .transcript-timestamp {
-                color: #4fd1c7;
-                font-size: 0.85em;
-                margin-bottom: 6px;
+            .talk-ratio-segment {
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                font-size: 0.8em;
                 font-weight: 600;
-                font-family: 'SF Mono', 'Monaco', 'Inconsolata', 'Roboto Mono', monospace;
+                color: white;
+                background: #6c757d;
+                white-space: nowrap;
+                overflow: hidden;
             }
             
-            .transcript-text {
-                color: #e2e8f0;
-                line-height: 1.6;
-                white-space: pre-wrap;
-                word-wrap: break-word;
+            .talk-ratio-segment.consultant {
+                background: #007bff;
             }
             
-            .speaker-label {
-                font-weight: bold;
-                margin-right: 8px;
+            .talk-ratio-segment.client {
+                background: #28a745;
             }
             
-            .speaker-label.consultant {
-                color: #fbbf24;
+            .talk-coaching {
+                background: #fff3cd;
+                border-left: 4px solid #ffc107;
+                padding: 8px 12px;
+                border-radius: 4px;
+                margin-bottom: 10px;
+                font-size: 0.9em;
             }
             
-            .speaker-label.client {
-                color: #60a5fa;
+            .analytics-table {
+                width: 100%;
+                border-collapse: collapse;
+                font-size: 0.85em;
             }
             
-            .status-active {
-                color: #28a745;
-                font-weight: 600;
+            .analytics-table th,
+            .analytics-table td {
+                padding: 6px 8px;
+                text-align: left;
+                border-bottom: 1px solid #e9ecef;
             }
             
-            .status-inactive {
-                color: #dc3545;
+            .analytics-table th {
+                color: #6c757d;
                 font-weight: 600;
             }
             
-            .empty-state {
-                text-align: center;
+            .analytics-footer {
+                margin-top: 8px;
+                font-size: 0.85em;
                 color: #6c757d;
-                font-style: italic;
-                padding: 60px 20px;
-                background: white;
-                border-radius: 12px;
-                box-shadow: 0 2px 12px rgba(0, 0, 0, 0.08);
             }
             
-            .empty-state-transcript {
-                text-align: center;
-                color: #a0aec0;
+            .score-gauge {
+                --score: 0;
+                width: 44px;
+                height: 44px;
+                border-radius: 50%;
+                display: inline-flex;
+                align-items: center;
+                justify-content: center;
+                background: conic-gradient(var(--gauge-color, #6c757d) calc(var(--score) * 3.6deg), #e9ecef 0deg);
+            }
+            
+            .score-gauge.high {
+                --gauge-color: #28a745;
+            }
+            
+            .score-gauge.medium {
+                --gauge-color: #ffc107;
+            }
+            
+            .score-gauge.low {
+                --gauge-color: #dc3545;
+            }
+            
+            .score-gauge-value {
+                width: 34px;
+                height: 34px;
+                border-radius: 50%;
+                background: white;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                font-size: 0.8em;
+                font-weight: 700;
+                color: #2c3e50;
+            }
+            
+            .score-delta {
+                font-size: 0.75em;
+                font-weight: 600;
+            }
+            
+            .score-delta.up {
+                color: #28a745;
+            }
+            
+            .score-delta.down {
+                color: #dc3545;
+            }
+            
+            .field-history {
+                position: relative;
+                font-weight: normal;
+            }
+            
+            .field-history summary {
+                list-style: none;
+                cursor: pointer;
+                font-size: 0.8em;
+                color: #6c757d;
+            }
+            
+            .field-history-list {
+                position: absolute;
+                z-index: 10;
+                top: 100%;
+                left: 0;
+                min-width: 280px;
+                max-height: 240px;
+                overflow-y: auto;
+                padding: 8px;
+                background: white;
+                border: 1px solid #dee2e6;
+                border-radius: 6px;
+                box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+            }
+            
+            .field-history-entry + .field-history-entry {
+                margin-top: 6px;
+                padding-top: 6px;
+                border-top: 1px solid #f1f3f5;
+            }
+            
+            .field-history-meta {
+                font-size: 0.8em;
+                color: #6c757d;
+            }
+            
+            .framework-select {
+                padding: 4px 8px;
+                border: 1px solid #ced4da;
+                border-radius: 6px;
+                font-size: 0.8em;
+                background: white;
+            }
+            
+            .list-item {
+                margin: 8px 0;
+                padding: 12px 16px;
+                background: #f8f9fa;
+                border-radius: 8px;
+                border-left: 4px solid #28a745;
+                color: #2c3e50;
+                line-height: 1.5;
+            }
+            
+            .list-item.latest {
+                border-left-color: #007bff;
+                background: linear-gradient(135deg, #e7f3ff 0%, #f0f8ff 100%);
+                box-shadow: 0 2px 8px rgba(0, 123, 255, 0.15);
+            }
+            
+            .concern-item {
+                margin: 12px 0;
+                padding: 16px;
+                background: linear-gradient(135deg, #fff5f5 0%, #fed7d7 20%);
+                border-radius: 8px;
+                border-left: 4px solid #e53e3e;
+            }
+            
+            .concern-item.latest {
+                border-left-color: #dc3545;
+                background: linear-gradient(135deg, #f8d7da 0%, #f5c6cb 20%);
+                box-shadow: 0 2px 8px rgba(220, 53, 69, 0.15);
+            }
+            
+            .concern-item strong {
+                color: #c53030;
+            }
+            
+            .question-item {
+                margin: 12px 0;
+                padding: 16px;
+                background: linear-gradient(135deg, #ebf8ff 0%, #bee3f8 20%);
+                border-radius: 8px;
+                border-left: 4px solid #3182ce;
+            }
+            
+            .question-item.latest {
+                border-left-color: #0056b3;
+                background: linear-gradient(135deg, #cce7ff 0%, #b3d9ff 20%);
+                box-shadow: 0 2px 8px rgba(0, 86, 179, 0.15);
+            }
+            
+            .question-item strong {
+                color: #2b6cb0;
+            }
+            
+            .concern-item.addressed {
+                opacity: 0.7;
+            }
+            
+            .concern-status {
+                margin-left: 6px;
+                padding: 1px 8px;
+                border-radius: 10px;
+                font-size: 0.75em;
+                font-weight: 600;
+                text-transform: uppercase;
+                background: #dc3545;
+                color: white;
+            }
+            
+            .concern-status.addressed {
+                background: #28a745;
+            }
+            
+            .concern-status.escalated {
+                background: #6f42c1;
+            }
+            
+            .concern-resolution {
+                margin-top: 10px;
+                padding: 8px 12px;
+                background: rgba(255, 255, 255, 0.6);
+                border-radius: 6px;
+            }
+            
+            .concern-resolution-quote {
+                margin-top: 4px;
+                font-style: italic;
+            }
+            
+            .question-item.answered,
+            .question-item.dismissed {
+                opacity: 0.7;
+            }
+            
+            .question-status {
+                margin-left: 6px;
+                padding: 1px 8px;
+                border-radius: 10px;
+                font-size: 0.75em;
+                font-weight: 600;
+                text-transform: uppercase;
+                background: #6c757d;
+                color: white;
+            }
+            
+            .question-status.asked {
+                background: #fd7e14;
+            }
+            
+            .question-status.answered {
+                background: #28a745;
+            }
+            
+            .question-answer {
+                margin-top: 10px;
+                padding: 8px 12px;
+                background: rgba(255, 255, 255, 0.6);
+                border-radius: 6px;
+            }
+            
+            .question-actions {
+                margin-top: 8px;
+                text-align: right;
+            }
+            
+            .question-action {
+                background: white;
+                border: 1px solid #dee2e6;
+                border-radius: 4px;
+                padding: 2px 8px;
+                font-size: 0.8em;
+                cursor: pointer;
+                color: #495057;
+            }
+            
+            .disclosure-banner {
+                margin-bottom: 12px;
+                padding: 10px 14px;
+                border-radius: 8px;
+                font-weight: 600;
+                background: #fff3cd;
+                color: #856404;
+            }
+            
+            .disclosure-banner.urgent {
+                background: #f8d7da;
+                color: #721c24;
+            }
+            
+            .disclosure-item {
+                display: flex;
+                gap: 12px;
+                align-items: flex-start;
+                margin: 8px 0;
+                padding: 10px 14px;
+                background: #f8f9fa;
+                border-radius: 8px;
+                border-left: 4px solid #adb5bd;
+                color: #2c3e50;
+            }
+            
+            .disclosure-item.done {
+                border-left-color: #28a745;
+                opacity: 0.75;
+            }
+            
+            .disclosure-item.reminder {
+                border-left-color: #ffc107;
+                background: #fffbeb;
+            }
+            
+            .disclosure-item.urgent {
+                border-left-color: #dc3545;
+                background: #fff5f5;
+            }
+            
+            .compliance-alert {
+                margin: 8px 0;
+                padding: 12px 14px;
+                border-radius: 8px;
+                border-left: 4px solid #adb5bd;
+                background: #f8f9fa;
+                color: #2c3e50;
+            }
+            
+            .compliance-alert.critical {
+                border-left-color: #721c24;
+                background: #f8d7da;
+            }
+            
+            .compliance-alert.high {
+                border-left-color: #dc3545;
+                background: #fff5f5;
+            }
+            
+            .compliance-alert.medium {
+                border-left-color: #ffc107;
+                background: #fffbeb;
+            }
+            
+            .compliance-alert-header {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                gap: 10px;
+            }
+            
+            .severity-badge {
+                padding: 2px 10px;
+                border-radius: 12px;
+                font-size: 0.75em;
+                font-weight: 600;
+                text-transform: uppercase;
+                background: #6c757d;
+                color: white;
+            }
+            
+            .severity-badge.critical {
+                background: #721c24;
+            }
+            
+            .severity-badge.high {
+                background: #dc3545;
+            }
+            
+            .severity-badge.medium {
+                background: #ffc107;
+                color: #2c3e50;
+            }
+            
+            .compliance-quote {
+                margin-top: 6px;
+                font-style: italic;
+            }
+            
+            .disclosure-detail,
+            .compliance-detail {
+                font-size: 0.85em;
+                color: #6c757d;
+                margin-top: 4px;
+            }
+            
+            .expanded-items {
+                display: none;
+            }
+            
+            .expanded-items.show {
+                display: block;
+            }
+            
+            .transcript-container {
+                flex: 1;
+                background: #1a202c;
+                color: #e2e8f0;
+                font-family: 'SF Mono', 'Monaco', 'Inconsolata', 'Roboto Mono', monospace;
+                padding: 20px;
+                overflow-y: auto;
+                margin: 0;
+            }
+            
+            .transcript-entry {
+                margin: 8px 0;
+                padding: 12px 16px;
+                border-left: 3px solid #4fd1c7;
+                background: rgba(79, 209, 199, 0.1);
+                border-radius: 0 8px 8px 0;
+                transition: all 0.2s ease;
+                line-height: 1.6;
+            }
+            
+            .transcript-entry:hover {
+                background: rgba(79, 209, 199, 0.15);
+                transform: translateX(4px);
+            }
+            
+            .transcript-entry.consultant {
+                border-left-color: #fbbf24;
+                background: rgba(251, 191, 36, 0.1);
+            }
+            
+            .transcript-entry.client {
+                border-left-color: #60a5fa;
+                background: rgba(96, 165, 250, 0.1);
+            }
+            
+            .transcript-entry.gap {
+                border-left-color: #f56565;
+                background: rgba(245, 101, 101, 0.1);
+                font-style: italic;
+            }
+            
+            .transcript-entry.source-highlight {
+                border-left-color: #e879f9;
+                background: rgba(232, 121, 249, 0.2);
+                box-shadow: 0 0 0 1px rgba(232, 121, 249, 0.6);
+            }
+            
+            .turn-id {
+                margin-left: 8px;
+                opacity: 0.6;
+                font-size: 0.85em;
+            }
+            
+            .source-note {
+                margin-bottom: 10px;
+                padding: 10px 14px;
+                border-left: 3px solid #e879f9;
+                border-radius: 0 8px 8px 0;
+                background: #fdf4ff;
+                color: #2c3e50;
+                font-size: 0.9em;
+            }
+            
+            .source-note-header {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                font-weight: 600;
+            }
+            
+            .source-note-close {
+                border: none;
+                background: none;
+                cursor: pointer;
+                font-size: 1em;
+            }
+            
+            .source-note-turn {
+                margin-top: 6px;
+                font-style: italic;
+            }
+            
+            .has-sources {
+                cursor: pointer;
+            }
+            
+            .has-sources:hover {
+                outline: 2px solid rgba(232, 121, 249, 0.5);
+                border-radius: 6px;
+            }
+            
+            .transcript-entry.typing {
+                border-left-style: dashed;
+                opacity: 0.7;
+            }
+            
+            .transcript-entry.typing .transcript-text {
+                font-style: italic;
+            }
+            
+            .transcript-timestamp {
+                color: #4fd1c7;
+                font-size: 0.85em;
+                margin-bottom: 6px;
+                font-weight: 600;
+                font-family: 'SF Mono', 'Monaco', 'Inconsolata', 'Roboto Mono', monospace;
+            }
+            
+            .transcript-text {
+                color: #e2e8f0;
+                line-height: 1.6;
+                white-space: pre-wrap;
+                word-wrap: break-word;
+            }
+            
+            .speaker-label {
+                font-weight: bold;
+                margin-right: 8px;
+            }
+            
+            .speaker-label.consultant {
+                color: #fbbf24;
+            }
+            
+            .speaker-label.client {
+                color: #60a5fa;
+            }
+            
+            .status-active {
+                color: #28a745;
+                font-weight: 600;
+            }
+            
+            .status-inactive {
+                color: #dc3545;
+                font-weight: 600;
+            }
+            
+            .status-reconnecting {
+                color: #fd7e14;
+                font-weight: 600;
+            }
+            
+            .empty-state {
+                text-align: center;
+                color: #6c757d;
+                font-style: italic;
+                padding: 60px 20px;
+                background: white;
+                border-radius: 12px;
+                box-shadow: 0 2px 12px rgba(0, 0, 0, 0.08);
+            }
+            
+            .empty-state-transcript {
+                text-align: center;
+                color: #a0aec0;
                 font-style: italic;
                 padding: 60px 20px;
                 height: 100%;
@@ -865,7 +1659,7 @@ app.get('/', (req, res) => {
                     gap: 10px;
                 }
                 
-                .faint-grid {
+                .qualification-grid {
                     grid-template-columns: 1fr;
                     gap: 8px;
                 }
@@ -899,6 +1693,12 @@ app.get('/', (req, res) => {
                     <span class="status-label">Active Meetings:</span>
                     <span id="meeting-count" class="status-value">0</span>
                 </div>
+                <div class="status-item">
+                    <span class="status-label">Meeting:</span>
+                    <select id="meeting-select" class="meeting-select">
+                        <option value="">Latest</option>
+                    </select>
+                </div>
                 <div class="status-item">
                     <span class="status-label">AI Analysis:</span>
                     <span id="ai-status" class="status-value status-inactive">❌ OFFLINE</span>
@@ -949,6 +1749,7 @@ app.get('/', (req, res) => {
             </div>
 
             <div id="transcript-tab" class="tab-content">
+                <div id="source-note" class="source-note" style="display: none;"></div>
                 <div class="transcript-container" id="transcript-container">
                     <div class="empty-state-transcript">
                         <div class="pulse">🎙️</div>
@@ -959,6 +1760,8 @@ app.get('/', (req, res) => {
             </div>
         </div>
 
+        <div id="nudge-toasts" class="nudge-toasts"></div>
+
         <script>
             let transcriptData = [];
             let isActiveCall = false;
@@ -966,6 +1769,40 @@ app.get('/', (req, res) => {
             let updateInterval = 3000; // Default 3000ms
             let updateTimeoutId = null;
             let isPaused = false;
+            let selectedMeetingId = ''; // Empty follows the most recent meeting
+            let eventSource = null; // Server push channel; polling is the fallback
+            let liveUpdates = false; // True while the push channel is connected
+            let financialData = null; // Last rendered dashboard data, patched by pushed events
+            let qualificationFramework = null; // Framework of the viewed meeting
+            let availableFrameworks = [];
+            let qualificationScore = null; // { score, fields, trajectory } of the viewed meeting
+            let insightSources = {}; // Turn ids behind each insight: { plugin: { item id or field: [ids] } }
+            let sourceTurns = {}; // Text of cited turns, for those outside the live window
+            let highlightedTurns = []; // Turn ids highlighted in the Live Transcript tab
+            const showClosedItems = {}; // Lists whose closed items (e.g. answered questions) are shown
+            let viewedConversationId = null;
+            let refreshInProgress = false;
+            let refreshStale = false; // An event arrived mid-refresh; refresh again afterwards
+            const EVENTS_RETRY_MS = 10000;
+
+            // Build an API URL scoped to the selected meeting
+            function apiUrl(path) {
+                return selectedMeetingId ? \`\${path}?meeting_id=\${encodeURIComponent(selectedMeetingId)}\` : path;
+            }
+
+            function updateModeLabel() {
+                return liveUpdates ? 'live' : \`\${updateInterval}ms\`;
+            }
+
+            function updateStatusText() {
+                return isPaused ? ' [Updates paused]' : liveUpdates ? ' [Live updates]' : \` [Updating every \${updateInterval}ms]\`;
+            }
+
+            function markUpdated() {
+                const pauseStatus = isPaused ? ' [PAUSED]' : '';
+                document.getElementById('last-update').textContent = 
+                    \`\${new Date().toLocaleTimeString()} (\${updateModeLabel()}\${pauseStatus})\`;
+            }
 
             // Enable debug mode by adding ?debug=1 to URL
             if (window.location.search.includes('debug=1')) {
@@ -1001,6 +1838,28 @@ app.get('/', (req, res) => {
                 }
             });
 
+            // Handle meeting selection
+            document.getElementById('meeting-select').addEventListener('change', function() {
+                selectedMeetingId = this.value;
+                console.log(\`📞 Viewing meeting: \${selectedMeetingId || 'latest'}\`);
+                updateDashboard();
+                connectEvents();
+            });
+
+            function updateMeetingSelect(meetings) {
+                const select = document.getElementById('meeting-select');
+                
+                // Fall back to the latest meeting once the selected one has ended
+                if (selectedMeetingId && !meetings.some(m => m.meeting_id === selectedMeetingId)) {
+                    selectedMeetingId = '';
+                    if (eventSource) connectEvents();
+                }
+                
+                select.innerHTML = '<option value="">Latest</option>' + meetings.map(m => \`
+                    <option value="\${m.meeting_id}" \${m.meeting_id === selectedMeetingId ? 'selected' : ''}>\${m.meeting_id}</option>
+                \`).join('');
+            }
+
             // Handle pause/resume button
             document.getElementById('pause-button').addEventListener('click', function() {
                 if (isPaused) {
@@ -1009,7 +1868,11 @@ app.get('/', (req, res) => {
                     this.textContent = '⏸️ Pause';
                     this.classList.remove('paused');
                     console.log('▶️ Updates resumed');
-                    scheduleUpdate();
+                    if (liveUpdates) {
+                        updateDashboard(); // Catch up on events dropped while paused
+                    } else {
+                        scheduleUpdate();
+                    }
                 } else {
                     // Pause
                     isPaused = true;
@@ -1056,45 +1919,47 @@ app.get('/', (req, res) => {
 
             async function updateSpeakers() {
                 try {
-                    const response = await fetch('/api/speakers');
-                    const data = await response.json();
-                    
-                    if (debugMode) {
-                        console.log('🐛 Speakers data:', data);
-                        document.getElementById('debug-info').style.display = 'block';
-                        
-                        const pauseStatus = isPaused ? ' [PAUSED]' : '';
-                        document.getElementById('debug-info').innerHTML = \`
-                            <strong>Debug Info (Update: \${updateInterval}ms\${pauseStatus}):</strong><br>
-                            Detected Speakers: \${JSON.stringify(data.speakers)}<br>
-                            Current Speaker: \${data.currentSpeaker}<br>
-                            <div class="debug-links">
-                                <a href="/api/debug/speakers" target="_blank" class="debug-link">Basic Debug</a>
-                                <a href="/api/debug/speakers/detailed" target="_blank" class="debug-link">Detailed Analysis</a>
-                                <a href="/api/debug/speakers/export" class="debug-link">Export Logs</a>
-                            </div>
-                        \`;
-                    }
-                    
-                    if (data.speakers && data.speakers.length > 0) {
-                        document.getElementById('speaker-controls').style.display = 'block';
-                        updateSpeakerControls(data.speakers);
-                    } else {
-                        document.getElementById('speaker-controls').style.display = 'none';
-                    }
+                    const response = await fetch(apiUrl('/api/speakers'));
+                    renderSpeakers(await response.json());
                 } catch (error) {
                     console.error('Error updating speakers:', error);
                 }
             }
 
+            function renderSpeakers(data) {
+                if (debugMode) {
+                    console.log('🐛 Speakers data:', data);
+                    document.getElementById('debug-info').style.display = 'block';
+                    
+                    const pauseStatus = isPaused ? ' [PAUSED]' : '';
+                    document.getElementById('debug-info').innerHTML = \`
+                        <strong>Debug Info (Update: \${updateModeLabel()}\${pauseStatus}):</strong><br>
+                        Detected Speakers: \${JSON.stringify(data.speakers)}<br>
+                        Current Speaker: \${data.currentSpeaker}<br>
+                        <div class="debug-links">
+                            <a href="\${apiUrl('/api/debug/speakers')}" target="_blank" class="debug-link">Basic Debug</a>
+                            <a href="\${apiUrl('/api/debug/speakers/detailed')}" target="_blank" class="debug-link">Detailed Analysis</a>
+                            <a href="\${apiUrl('/api/debug/speakers/export')}" class="debug-link">Export Logs</a>
+                        </div>
+                    \`;
+                }
+                
+                if (data.speakers && data.speakers.length > 0) {
+                    document.getElementById('speaker-controls').style.display = 'block';
+                    updateSpeakerControls(data.speakers);
+                } else {
+                    document.getElementById('speaker-controls').style.display = 'none';
+                }
+            }
+
             function updateSpeakerControls(speakers) {
                 const speakerList = document.getElementById('speaker-list');
                 
                 speakerList.innerHTML = speakers.map(speaker => \`
-                    <div class="speaker-item \${speaker.isActive ? 'active' : ''}">
+                    <div class="speaker-item \${speaker.isActive ? 'active' : ''}" data-speaker-id="\${speaker.id}">
                         <div class="speaker-info">
                             <div class="speaker-id">Speaker \${speaker.id}</div>
-                            \${speaker.isActive ? '<div class="speaker-status">🎙️ Currently Speaking</div>' : ''}
+                            <div class="speaker-status" \${speaker.isActive ? '' : 'hidden'}>🎙️ Currently Speaking</div>
                         </div>
                         <select class="speaker-select" data-speaker-id="\${speaker.id}">
                             <option value="Unassigned" \${speaker.role === 'Unassigned' ? 'selected' : ''}>Unassigned</option>
@@ -1104,266 +1969,731 @@ app.get('/', (req, res) => {
                     </div>
                 \`).join('');
 
-                document.querySelectorAll('.speaker-select').forEach(select => {
-                    select.addEventListener('change', function() {
-                        const speakerId = this.getAttribute('data-speaker-id');
-                        const role = this.value;
-                        assignSpeaker(speakerId, role);
-                    });
+                document.querySelectorAll('.speaker-select').forEach(select => {
+                    select.addEventListener('change', function() {
+                        const speakerId = this.getAttribute('data-speaker-id');
+                        const role = this.value;
+                        assignSpeaker(speakerId, role);
+                    });
+                });
+            }
+
+            // Move the "Currently Speaking" marker without rebuilding the role dropdowns
+            function applyActiveSpeaker(speakerId) {
+                document.querySelectorAll('#speaker-list .speaker-item').forEach(item => {
+                    const isActive = item.dataset.speakerId === String(speakerId);
+                    item.classList.toggle('active', isActive);
+                    item.querySelector('.speaker-status').hidden = !isActive;
+                });
+            }
+
+            async function assignSpeaker(speakerId, role) {
+                try {
+                    const response = await fetch('/api/speakers/assign', {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'application/json',
+                        },
+                        body: JSON.stringify({ speakerId: parseInt(speakerId), role, meeting_id: selectedMeetingId || undefined })
+                    });
+                    
+                    // The push channel delivers the updated speaker list itself
+                    if (response.ok && !liveUpdates) {
+                        await updateSpeakers();
+                        setTimeout(async () => {
+                            await updateDashboard();
+                        }, 100);
+                    }
+                } catch (error) {
+                    console.error('❌ Error assigning speaker:', error);
+                }
+            }
+
+            // Render the status bar. Returns true when the call state or the viewed
+            // meeting changed, so the panels need a full refresh.
+            function applyStatus(statusData) {
+                const rtmsConnection = statusData.rtms_connection;
+                document.getElementById('system-status').innerHTML = 
+                    rtmsConnection?.state === 'reconnecting' ?
+                    \`<span class="status-reconnecting">🟠 RECONNECTING (\${rtmsConnection.reconnect_attempts}/\${rtmsConnection.max_reconnect_attempts})</span>\` :
+                    statusData.status === 'active' ? 
+                    '<span class="status-active">🟢 ACTIVE</span>' : 
+                    '<span class="status-inactive">🔴 STANDBY</span>';
+                
+                document.getElementById('meeting-count').textContent = statusData.active_meetings;
+                updateMeetingSelect(statusData.meetings || []);
+                document.getElementById('ai-status').innerHTML = 
+                    statusData.features.ai_analysis ? 
+                    '<span class="status-active">✅ ONLINE</span>' : 
+                    '<span class="status-inactive">❌ OFFLINE</span>';
+                markUpdated();
+
+                const wasActive = isActiveCall;
+                const previousConversationId = viewedConversationId;
+                isActiveCall = statusData.status === 'active';
+                viewedConversationId = statusData.conversation_id;
+                return wasActive !== isActiveCall || previousConversationId !== viewedConversationId;
+            }
+
+            async function updateDashboard() {
+                if (isPaused) return; // Skip updates when paused
+                refreshInProgress = true;
+                
+                try {
+                    const statusResponse = await fetch(apiUrl('/api/status'));
+                    applyStatus(await statusResponse.json());
+
+                    await updateSpeakers();
+
+                    if (isActiveCall) {
+                        const dashResponse = await fetch(apiUrl('/api/dashboard'));
+                        const dashData = await dashResponse.json();
+                        updateFinancialDashboard(dashData);
+                        
+                        const transcriptResponse = await fetch(apiUrl('/api/transcript'));
+                        const transcriptDataResponse = await transcriptResponse.json();
+                        updateTranscript(transcriptDataResponse.transcripts || [], transcriptDataResponse.partials || []);
+                    } else {
+                        const pauseStatusText = updateStatusText();
+                        financialData = null;
+                        document.getElementById('financial-dashboard').innerHTML = \`
+                            <div class="empty-state">
+                                <div class="pulse">💤</div>
+                                <h3>Waiting for consultation to begin...</h3>
+                                <p>Start a Zoom meeting with RTMS enabled to see live financial intelligence.</p>
+                                <p style="margin-top: 10px; font-size: 0.9em; opacity: 0.8;">\${pauseStatusText}</p>
+                            </div>
+                        \`;
+                        
+                        document.getElementById('transcript-container').innerHTML = \`
+                            <div class="empty-state-transcript">
+                                <div class="pulse">🎙️</div>
+                                <h3>Waiting for live transcription...</h3>
+                                <p>Transcript will appear here when the consultation begins.</p>
+                                <p style="margin-top: 10px; font-size: 0.9em; opacity: 0.6;">\${pauseStatusText}</p>
+                            </div>
+                        \`;
+                    }
+                    
+                } catch (error) {
+                    console.error('Error updating dashboard:', error);
+                } finally {
+                    refreshInProgress = false;
+                }
+                
+                if (refreshStale) {
+                    refreshStale = false;
+                    await updateDashboard();
+                }
+            }
+
+            // Helper function to create collapsible section
+            function createCollapsibleSection(sectionId, title, items, renderItem, emptyMessage, headerActions = '') {
+                if (!items || items.length === 0) {
+                    return \`
+                        <div class="dashboard-section" id="section-\${sectionId}">
+                            <div class="section-title">
+                                <div class="section-title-left">\${title}</div>
+                                \${headerActions}
+                            </div>
+                            <div style="color: #6c757d; font-style: italic; padding: 20px; text-align: center;">\${emptyMessage}</div>
+                        </div>
+                    \`;
+                }
+                
+                const hasMultiple = items.length > 1;
+                const latestItem = items[items.length - 1];
+                const olderItems = items.slice(0, -1);
+                
+                return \`
+                    <div class="dashboard-section" id="section-\${sectionId}">
+                        <div class="section-title">
+                            <div class="section-title-left">
+                                \${title}
+                                <span class="item-count">\${items.length}</span>
+                            </div>
+                            <div>
+                                \${headerActions}
+                                \${hasMultiple ? \`<button class="expand-button" id="\${sectionId}-expand-btn" onclick="toggleExpand('\${sectionId}')">Show All</button>\` : ''}
+                            </div>
+                        </div>
+                        
+                        <!-- Latest item -->
+                        \${renderItem(latestItem, items.length - 1, true)}
+                        
+                        <!-- Older items (hidden by default) -->
+                        \${hasMultiple ? \`
+                            <div class="expanded-items" id="\${sectionId}-expanded">
+                                \${olderItems.map((item, index) => renderItem(item, index, false)).join('')}
+                            </div>
+                        \` : ''}
+                    </div>
+                \`;
+            }
+
+            // Section renderers escape model and transcript text with this
+            ${functionSource(escapeHtml)}
+
+            // Dashboard sections of the tool plugins, keyed by financial data field
+            const listSections = {
+                ${toolRegistry.plugins.filter(plugin => plugin.kind === 'list').map(plugin => `
+                ${plugin.id}: {
+                    sectionId: ${JSON.stringify(plugin.section.id)},
+                    title: ${JSON.stringify(plugin.section.title)},
+                    renderItem: ${functionSource(plugin.section.renderItem)},
+                    isOpen: ${plugin.section.isOpen ? functionSource(plugin.section.isOpen) : 'null'},
+                    emptyMessage: ${JSON.stringify(plugin.section.emptyMessage || 'Nothing identified yet')}
+                }`).join(',')}
+            };
+            const fieldSections = {
+                ${toolRegistry.plugins.filter(plugin => plugin.kind === 'fields').map(plugin => `
+                ${plugin.id}: {
+                    sectionId: ${JSON.stringify(plugin.section.id)},
+                    render: ${functionSource(plugin.section.render)}
+                }`).join(',')}
+            };
+
+            // Sections with an isOpen filter (like strategic questions) show open
+            // items only, unless the user asked to see the closed ones too
+            function renderListSection(list) {
+                const section = listSections[list];
+                const items = financialData[list];
+                const openItems = section.isOpen ? items.filter(section.isOpen) : items;
+                const closedCount = items.length - openItems.length;
+                const showClosed = showClosedItems[list] && closedCount > 0;
+                
+                return createCollapsibleSection(
+                    section.sectionId,
+                    section.title,
+                    showClosed ? items : openItems,
+                    (item, index, isLatest) => \`
+                        <div data-insight="\${list}:\${item.id}">\${section.renderItem(item.value, index, isLatest, item)}</div>
+                    \`,
+                    closedCount > 0 ? 'Nothing open' : section.emptyMessage,
+                    closedCount > 0 ? \`
+                        <button class="expand-button" onclick="toggleClosedItems('\${list}')">
+                            \${showClosed ? 'Hide closed' : \`Show closed (\${closedCount})\`}
+                        </button>
+                    \` : ''
+                );
+            }
+            
+            function toggleClosedItems(list) {
+                showClosedItems[list] = !showClosedItems[list];
+                rerenderListSection(list);
+            }
+
+            const DISCLOSURE_ORDER = { urgent: 0, reminder: 1, pending: 2, done: 3 };
+            const DISCLOSURE_ICONS = { urgent: '🚨', reminder: '⏰', pending: '⬜', done: '✅' };
+
+            // Checklist of required disclosures, most urgent first
+            function renderDisclosureSection(status) {
+                if (!status) return '';
+                
+                const items = [...status.items].sort((a, b) => DISCLOSURE_ORDER[a.urgency] - DISCLOSURE_ORDER[b.urgency]);
+                const urgent = items.filter(item => item.urgency === 'urgent').length;
+                const due = items.filter(item => item.urgency === 'reminder').length + urgent;
+                
+                return \`
+                    <div class="dashboard-section" id="section-disclosures">
+                        <div class="section-title">
+                            <div class="section-title-left">
+                                📋 Disclosure Checklist\${status.firm ? \` - \${status.firm}\` : ''}
+                                <span class="item-count">\${status.completed}/\${status.total}</span>
+                            </div>
+                        </div>
+                        \${due > 0 ? \`
+                            <div class="disclosure-banner \${urgent > 0 ? 'urgent' : ''}">
+                                \${urgent > 0 ? '🚨' : '⏰'} \${due} disclosure\${due === 1 ? '' : 's'} still due (\${status.elapsed_minutes} of \${status.expected_duration_minutes} min)
+                            </div>
+                        \` : ''}
+                        \${items.map(item => \`
+                            <div class="disclosure-item \${item.urgency}">
+                                <div>\${DISCLOSURE_ICONS[item.urgency]}</div>
+                                <div>
+                                    <strong>\${item.label}</strong>
+                                    <div class="disclosure-detail">
+                                        \${item.status === 'done'
+                                            ? \`\${new Date(item.completed_at).toLocaleTimeString()}: "\${item.quote}"\`
+                                            : item.description}
+                                    </div>
+                                </div>
+                            </div>
+                        \`).join('')}
+                    </div>
+                \`;
+            }
+
+            function applyDisclosures(status) {
+                const element = document.getElementById('section-disclosures');
+                if (element) element.outerHTML = renderDisclosureSection(status);
+            }
+
+            const SEVERITY_ICONS = { critical: '🛑', high: '🚩', medium: '⚠️', low: 'ℹ️' };
+
+            // Compliance alerts, already ranked most severe first by the server
+            function renderComplianceSection(compliance) {
+                if (!compliance) return '';
+                
+                const { alerts, summary } = compliance;
+                return \`
+                    <div class="dashboard-section" id="section-compliance">
+                        <div class="section-title">
+                            <div class="section-title-left">
+                                🛡️ Compliance Alerts
+                                <span class="item-count">\${summary.total}</span>
+                            </div>
+                        </div>
+                        \${alerts.length === 0
+                            ? '<div style="color: #6c757d; font-style: italic; padding: 20px; text-align: center;">No compliance issues flagged</div>'
+                            : alerts.map(alert => \`
+                                <div class="compliance-alert \${alert.severity}">
+                                    <div class="compliance-alert-header">
+                                        <span>\${SEVERITY_ICONS[alert.severity]} <strong>\${alert.label}</strong></span>
+                                        <span class="severity-badge \${alert.severity}">\${alert.severity}</span>
+                                    </div>
+                                    <div class="compliance-quote">"\${escapeHtml(alert.quote)}"</div>
+                                    <div class="compliance-detail">
+                                        \${escapeHtml(alert.explanation)} · \${alert.turn_timestamp || new Date(alert.flagged_at).toLocaleTimeString()} · \${alert.source === 'llm' ? 'AI review' : 'Rule'}
+                                    </div>
+                                </div>
+                            \`).join('')}
+                    </div>
+                \`;
+            }
+
+            function applyCompliance(compliance) {
+                const element = document.getElementById('section-compliance');
+                if (element) element.outerHTML = renderComplianceSection(compliance);
+            }
+
+            function formatDuration(ms) {
+                const seconds = Math.round(ms / 1000);
+                return seconds < 60 ? \`\${seconds}s\` : \`\${Math.floor(seconds / 60)}m \${String(seconds % 60).padStart(2, '0')}s\`;
+            }
+
+            // Talk ratio, turns, monologues, interruptions and silence gaps per speaker
+            function renderAnalyticsSection(analytics) {
+                if (!analytics) return '';
+                
+                const advisorRatio = analytics.talk_ratio.Consultant;
+                const coach = advisorRatio > analytics.advisor_talk_ratio_target && analytics.total_talk_ms >= 60000;
+                const current = analytics.current_turn;
+                return \`
+                    <div class="dashboard-section" id="section-analytics">
+                        <div class="section-title">
+                            <div class="section-title-left">
+                                🗣️ Conversation Dynamics
+                                <span class="item-count">\${formatDuration(analytics.duration_ms)}</span>
+                            </div>
+                        </div>
+                        \${analytics.total_talk_ms === 0
+                            ? '<div style="color: #6c757d; font-style: italic; padding: 20px; text-align: center;">Nobody has spoken yet</div>'
+                            : \`
+                                <div class="talk-ratio-bar">
+                                    \${Object.entries(analytics.talk_ratio).map(([role, ratio]) => \`
+                                        <div class="talk-ratio-segment \${role === 'Consultant' ? 'consultant' : role === 'Client' ? 'client' : ''}"
+                                             style="width: \${ratio * 100}%" title="\${role}: \${Math.round(ratio * 100)}%">
+                                            \${ratio >= 0.15 ? \`\${role} \${Math.round(ratio * 100)}%\` : ''}
+                                        </div>
+                                    \`).join('')}
+                                </div>
+                                \${coach ? \`
+                                    <div class="talk-coaching">
+                                        💡 You're talking \${Math.round(advisorRatio * 100)}% of the time (target \${Math.round(analytics.advisor_talk_ratio_target * 100)}% or less). Ask an open question and let the client talk.
+                                    </div>
+                                \` : ''}
+                                <table class="analytics-table">
+                                    <tr>
+                                        <th></th><th>Talk time</th><th>Turns</th><th>Avg turn</th><th>Longest monologue</th><th>Questions</th><th>Interruptions</th>
+                                    </tr>
+                                    \${analytics.speakers.map(speaker => \`
+                                        <tr>
+                                            <td><strong>\${speaker.role}</strong></td>
+                                            <td>\${formatDuration(speaker.talk_ms)}</td>
+                                            <td>\${speaker.turns}</td>
+                                            <td>\${formatDuration(speaker.average_turn_ms)}\${speaker.average_turn_words > 0 ? \` · \${speaker.average_turn_words} words\` : ''}</td>
+                                            <td>\${formatDuration(speaker.longest_monologue_ms)}</td>
+                                            <td>\${speaker.questions}</td>
+                                            <td title="Cut in / was cut off">\${speaker.interruptions} / \${speaker.interrupted}</td>
+                                        </tr>
+                                    \`).join('')}
+                                </table>
+                                <div class="analytics-footer">
+                                    \${current ? \`🎙️ \${current.role} speaking for \${formatDuration(current.ms)} · \` : ''}
+                                    🔇 \${analytics.silence.gaps} silence gap\${analytics.silence.gaps === 1 ? '' : 's'}\${analytics.silence.gaps > 0 ? \` (longest \${formatDuration(analytics.silence.longest_ms)})\` : ''}
+                                    · 🔀 \${analytics.overlaps} overlap\${analytics.overlaps === 1 ? '' : 's'}
+                                </div>
+                            \`}
+                    </div>
+                \`;
+            }
+
+            function applyAnalytics(analytics) {
+                const element = document.getElementById('section-analytics');
+                if (element) element.outerHTML = renderAnalyticsSection(analytics);
+            }
+
+            const NUDGE_ICONS = { urgent: '🚨', warning: '⚠️', info: '💡' };
+
+            // Coaching nudges as toasts, shown on both tabs until dismissed or resolved
+            function renderNudges(nudges) {
+                document.getElementById('nudge-toasts').innerHTML = nudges.map(nudge => \`
+                    <div class="nudge-toast \${nudge.level}" data-nudge-id="\${nudge.id}">
+                        <div class="nudge-icon">\${NUDGE_ICONS[nudge.level]}</div>
+                        <div class="nudge-message">\${nudge.message}</div>
+                        <button class="nudge-dismiss" onclick="dismissNudge('\${nudge.id}')" title="Dismiss">✕</button>
+                    </div>
+                \`).join('');
+            }
+
+            async function dismissNudge(id) {
+                document.querySelector(\`[data-nudge-id="\${id}"]\`)?.remove();
+                try {
+                    const response = await fetch('/api/nudges/dismiss', {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'application/json',
+                        },
+                        body: JSON.stringify({ id, meeting_id: selectedMeetingId || undefined })
+                    });
+                    
+                    if (response.ok && !liveUpdates) {
+                        await updateDashboard();
+                    }
+                } catch (error) {
+                    console.error('❌ Error dismissing nudge:', error);
+                }
+            }
+
+            function renderFieldSection(id) {
+                return fieldSections[id].render(financialData[id], {
+                    framework: qualificationFramework,
+                    frameworks: availableFrameworks,
+                    score: qualificationScore
+                });
+            }
+
+            function updateFinancialDashboard(dashData) {
+                const dashboard = document.getElementById('financial-dashboard');
+                const data = dashData.financial_data || {};
+                qualificationFramework = dashData.framework;
+                availableFrameworks = dashData.frameworks || [];
+                qualificationScore = dashData.qualification_score;
+                insightSources = dashData.sources?.insights || {};
+                sourceTurns = dashData.sources?.turns || {};
+                renderNudges(dashData.nudges || []);
+                
+                // FIXED: Add defensive checks for all data properties
+                financialData = {};
+                Object.keys(fieldSections).forEach(id => financialData[id] = data[id] || {});
+                Object.keys(listSections).forEach(list => financialData[list] = data[list] || []);
+                
+                dashboard.innerHTML = \`
+                    \${renderComplianceSection(dashData.compliance)}
+
+                    <!-- Qualification and other field sections at the top -->
+                    \${Object.keys(fieldSections).map(renderFieldSection).join('')}
+
+                    \${renderAnalyticsSection(dashData.analytics)}
+
+                    \${renderDisclosureSection(dashData.disclosures)}
+
+                    \${Object.keys(listSections).map(renderListSection).join('')}
+                \`;
+                markInsightSources();
+            }
+
+            function addInsightSources(plugin, sources, turns) {
+                insightSources[plugin] = { ...insightSources[plugin], ...sources };
+                Object.assign(sourceTurns, turns);
+            }
+
+            // Make insights with known source turns clickable. Field cells are found
+            // by id; list items carry data-insight from renderListSection.
+            function markInsightSources() {
+                Object.keys(fieldSections).forEach(id => {
+                    Object.keys(insightSources[id] || {}).forEach(field => {
+                        document.getElementById(\`\${id}-\${field}\`)?.setAttribute('data-insight', \`\${id}:\${field}\`);
+                    });
+                });
+                document.querySelectorAll('#financial-dashboard [data-insight]').forEach(element => {
+                    const [plugin, key] = element.dataset.insight.split(':');
+                    const turns = insightSources[plugin]?.[key] || [];
+                    element.classList.toggle('has-sources', turns.length > 0);
+                    element.title = turns.length > 0 ? \`Source: \${turns.join(', ')} - click to show in the transcript\` : '';
+                });
+            }
+
+            // Switch to the Live Transcript tab and highlight the turns an insight
+            // came from. Turns that have left the live window are quoted instead.
+            function showInsightSources(plugin, key) {
+                highlightedTurns = insightSources[plugin]?.[key] || [];
+                showTab('transcript');
+                
+                const container = document.getElementById('transcript-container');
+                container.querySelectorAll('.transcript-entry').forEach(element => {
+                    element.classList.toggle('source-highlight', highlightedTurns.includes(element.dataset.turnId));
+                });
+                container.querySelector('.source-highlight')?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+                
+                const missing = highlightedTurns.filter(id => !container.querySelector(\`[data-turn-id="\${id}"]\`));
+                const note = document.getElementById('source-note');
+                note.innerHTML = \`
+                    <div class="source-note-header">
+                        <span>🔗 Sources: \${highlightedTurns.join(', ')}</span>
+                        <button class="source-note-close" onclick="clearInsightSources()">✕</button>
+                    </div>
+                    \${missing.map(id => \`
+                        <div class="source-note-turn">
+                            \${id} (no longer in the live transcript)\${sourceTurns[id] ? \`: [\${sourceTurns[id].timestamp}] \${sourceTurns[id].text}\` : ''}
+                        </div>
+                    \`).join('')}
+                \`;
+                note.style.display = 'block';
+            }
+
+            function clearInsightSources() {
+                highlightedTurns = [];
+                document.querySelectorAll('.transcript-entry.source-highlight').forEach(element => {
+                    element.classList.remove('source-highlight');
+                });
+                document.getElementById('source-note').style.display = 'none';
+            }
+
+            // Apply pushed field changes to the affected cells only. Structured
+            // values (like profile fields with their source) re-render the section
+            function applyFieldChanges(id, changes) {
+                if (!financialData?.[id]) return;
+                
+                if (Object.values(changes).some(value => value !== null && typeof value === 'object')) {
+                    Object.assign(financialData[id], changes);
+                    const element = document.getElementById(\`section-\${fieldSections[id].sectionId}\`);
+                    if (element) element.outerHTML = renderFieldSection(id);
+                    markInsightSources();
+                    return;
+                }
+                
+                Object.entries(changes).forEach(([field, value]) => {
+                    financialData[id][field] = value;
+                    const cell = document.getElementById(\`\${id}-\${field}\`);
+                    if (cell) cell.textContent = value;
+                });
+                markInsightSources();
+            }
+
+            // Re-render the grid after the meeting switched frameworks
+            function applyFramework(data) {
+                const element = document.getElementById('section-qualification');
+                if (!financialData || !element) return;
+                
+                qualificationFramework = data.framework;
+                qualificationScore = data.qualification_score;
+                financialData.qualification = data.qualification;
+                element.outerHTML = renderFieldSection('qualification');
+                markInsightSources();
+            }
+
+            // Re-render the grid with the new score and field history, keeping
+            // any history popover the user has open
+            function applyQualificationScore(data) {
+                const element = document.getElementById('section-qualification');
+                if (!financialData || !element) return;
+                
+                qualificationScore = data;
+                const open = Array.from(element.querySelectorAll('details.field-history[open]'))
+                    .map(details => details.closest('.qualification-label').nextElementSibling.id);
+                element.outerHTML = renderFieldSection('qualification');
+                open.forEach(id => {
+                    const details = document.getElementById(id)?.previousElementSibling.querySelector('details.field-history');
+                    if (details) details.open = true;
                 });
+                markInsightSources();
             }
 
-            async function assignSpeaker(speakerId, role) {
+            async function updateQuestionStatus(id, status) {
                 try {
-                    const response = await fetch('/api/speakers/assign', {
+                    const response = await fetch('/api/strategic-questions/status', {
                         method: 'POST',
                         headers: {
                             'Content-Type': 'application/json',
                         },
-                        body: JSON.stringify({ speakerId: parseInt(speakerId), role })
+                        body: JSON.stringify({ id, status, meeting_id: selectedMeetingId || undefined })
                     });
                     
-                    if (response.ok) {
-                        await updateSpeakers();
-                        setTimeout(async () => {
-                            await updateDashboard();
-                        }, 100);
+                    if (response.ok && !liveUpdates) {
+                        await updateDashboard();
                     }
                 } catch (error) {
-                    console.error('❌ Error assigning speaker:', error);
+                    console.error('❌ Error updating question:', error);
                 }
             }
 
-            async function updateDashboard() {
-                if (isPaused) return; // Skip updates when paused
-                
+            async function selectFramework(frameworkId) {
                 try {
-                    const statusResponse = await fetch('/api/status');
-                    const statusData = await statusResponse.json();
-                    
-                    document.getElementById('system-status').innerHTML = 
-                        statusData.status === 'active' ? 
-                        '<span class="status-active">🟢 ACTIVE</span>' : 
-                        '<span class="status-inactive">🔴 STANDBY</span>';
-                    
-                    document.getElementById('meeting-count').textContent = statusData.active_meetings;
-                    document.getElementById('ai-status').innerHTML = 
-                        statusData.features.ai_analysis ? 
-                        '<span class="status-active">✅ ONLINE</span>' : 
-                        '<span class="status-inactive">❌ OFFLINE</span>';
+                    const response = await fetch('/api/qualification/framework', {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'application/json',
+                        },
+                        body: JSON.stringify({ framework: frameworkId, meeting_id: selectedMeetingId || undefined })
+                    });
                     
-                    const now = new Date();
-                    const pauseStatus = isPaused ? ' [PAUSED]' : '';
-                    document.getElementById('last-update').textContent = 
-                        \`\${now.toLocaleTimeString()} (\${updateInterval}ms\${pauseStatus})\`;
-
-                    isActiveCall = statusData.status === 'active';
-
-                    await updateSpeakers();
-
-                    if (isActiveCall) {
-                        const dashResponse = await fetch('/api/dashboard');
-                        const dashData = await dashResponse.json();
-                        updateFinancialDashboard(dashData.financial_data);
-                        
-                        const transcriptResponse = await fetch('/api/transcript');
-                        const transcriptDataResponse = await transcriptResponse.json();
-                        updateTranscript(transcriptDataResponse.transcripts || []);
-                    } else {
-                        const pauseStatusText = isPaused ? \` [Updates paused at \${updateInterval}ms intervals]\` : \` [Updating every \${updateInterval}ms]\`;
-                        document.getElementById('financial-dashboard').innerHTML = \`
-                            <div class="empty-state">
-                                <div class="pulse">💤</div>
-                                <h3>Waiting for consultation to begin...</h3>
-                                <p>Start a Zoom meeting with RTMS enabled to see live financial intelligence.</p>
-                                <p style="margin-top: 10px; font-size: 0.9em; opacity: 0.8;">\${pauseStatusText}</p>
-                            </div>
-                        \`;
-                        
-                        document.getElementById('transcript-container').innerHTML = \`
-                            <div class="empty-state-transcript">
-                                <div class="pulse">🎙️</div>
-                                <h3>Waiting for live transcription...</h3>
-                                <p>Transcript will appear here when the consultation begins.</p>
-                                <p style="margin-top: 10px; font-size: 0.9em; opacity: 0.6;">\${pauseStatusText}</p>
-                            </div>
-                        \`;
+                    // The push channel delivers the new grid itself
+                    if (response.ok && !liveUpdates) {
+                        await updateDashboard();
                     }
-                    
                 } catch (error) {
-                    console.error('Error updating dashboard:', error);
+                    console.error('❌ Error selecting framework:', error);
                 }
             }
 
-            function updateFinancialDashboard(data) {
-                const dashboard = document.getElementById('financial-dashboard');
+            // Add a pushed item, or replace the one it was merged into or updated,
+            // then re-render only that section
+            function applyListItem(list, item) {
+                const section = listSections[list];
+                const element = section && document.getElementById(\`section-\${section.sectionId}\`);
+                if (!financialData || !element) return;
                 
-                // FIXED: Add defensive checks for all data properties
-                const summary = data.summary || [];
-                const faint = data.faint || {
-                    funds: "Not identified",
-                    authority: "Not identified", 
-                    interest: "Not identified",
-                    need: "Not identified",
-                    timing: "Not identified"
-                };
-                const clientInfo = data.clientInfo || [];
-                const advisorReminders = data.advisorReminders || [];
-                const concerns = data.concerns || [];
-                const strategicQuestions = data.strategicQuestions || [];
+                const items = financialData[list];
+                const existing = items.findIndex(other => other.id === item.id);
+                if (existing === -1) {
+                    items.push(item);
+                } else {
+                    items[existing] = item;
+                }
+                rerenderListSection(list);
+            }
+            
+            function rerenderListSection(list) {
+                const section = listSections[list];
+                const element = document.getElementById(\`section-\${section.sectionId}\`);
+                if (!element) return;
                 
-                // Helper function to create collapsible section
-                function createCollapsibleSection(sectionId, title, items, renderItem, emptyMessage) {
-                    if (!items || items.length === 0) {
-                        return \`
-                            <div class="dashboard-section">
-                                <div class="section-title">
-                                    <div class="section-title-left">\${title}</div>
-                                </div>
-                                <div style="color: #6c757d; font-style: italic; padding: 20px; text-align: center;">\${emptyMessage}</div>
-                            </div>
-                        \`;
-                    }
-                    
-                    const hasMultiple = items.length > 1;
-                    const latestItem = items[items.length - 1];
-                    const olderItems = items.slice(0, -1);
-                    
+                // Keep it expanded if the user had expanded it
+                const wasExpanded = document.getElementById(\`\${section.sectionId}-expanded\`)?.classList.contains('show');
+                element.outerHTML = renderListSection(list);
+                if (wasExpanded) toggleExpand(section.sectionId);
+                markInsightSources();
+            }
+
+            function renderTranscriptEntry(entry) {
+                if (entry.type === 'gap') {
                     return \`
-                        <div class="dashboard-section">
-                            <div class="section-title">
-                                <div class="section-title-left">
-                                    \${title}
-                                    <span class="item-count">\${items.length}</span>
-                                </div>
-                                \${hasMultiple ? \`<button class="expand-button" id="\${sectionId}-expand-btn" onclick="toggleExpand('\${sectionId}')">Show All</button>\` : ''}
-                            </div>
-                            
-                            <!-- Latest item -->
-                            \${renderItem(latestItem, items.length - 1, true)}
-                            
-                            <!-- Older items (hidden by default) -->
-                            \${hasMultiple ? \`
-                                <div class="expanded-items" id="\${sectionId}-expanded">
-                                    \${olderItems.map((item, index) => renderItem(item, index, false)).join('')}
-                                </div>
-                            \` : ''}
+                        <div class="transcript-entry gap">
+                            <div class="transcript-timestamp">[\${entry.timestamp}] ⚠️ System</div>
+                            <div class="transcript-text">\${entry.text}</div>
                         </div>
                     \`;
                 }
                 
-                dashboard.innerHTML = \`
-                    <!-- FAINT Qualification moved to top -->
-                    <div class="dashboard-section">
-                        <div class="section-title">💎 FAINT Qualification</div>
-                        <div class="faint-grid">
-                            <div class="faint-label">💰 Funds:</div>
-                            <div class="faint-value">\${faint.funds || 'Not identified'}</div>
-                            
-                            <div class="faint-label">👤 Authority:</div>
-                            <div class="faint-value">\${faint.authority || 'Not identified'}</div>
-                            
-                            <div class="faint-label">🎯 Interest:</div>
-                            <div class="faint-value">\${faint.interest || 'Not identified'}</div>
-                            
-                            <div class="faint-label">🎪 Need:</div>
-                            <div class="faint-value">\${faint.need || 'Not identified'}</div>
-                            
-                            <div class="faint-label">⏰ Timing:</div>
-                            <div class="faint-value">\${faint.timing || 'Not identified'}</div>
+                const speakerClass = entry.speaker ? entry.speaker.toLowerCase() : '';
+                const speakerIcon = entry.speaker === 'Consultant' ? '🏢' : entry.speaker === 'Client' ? '👤' : '🎙️';
+                const highlight = highlightedTurns.includes(entry.turnId) ? 'source-highlight' : '';
+                
+                return \`
+                    <div class="transcript-entry \${speakerClass} \${highlight}" data-turn-id="\${entry.turnId || ''}">
+                        <div class="transcript-timestamp">
+                            [\${entry.timestamp}] \${speakerIcon} \${entry.speaker || 'Unknown'}
+                            \${entry.turnId ? \`<span class="turn-id">\${entry.turnId}</span>\` : ''}
                         </div>
+                        <div class="transcript-text">\${escapeHtml(entry.text.replace(/^(Consultant|Client): /, ''))}</div>
                     </div>
+                \`;
+            }
 
-                    \${createCollapsibleSection(
-                        'clientInfo',
-                        '👤 Client Information',
-                        clientInfo,
-                        (info, index, isLatest) => \`<div class="list-item \${isLatest ? 'latest' : ''}">\${index + 1}. \${info}</div>\`,
-                        'No client information identified yet'
-                    )}
-
-                    \${createCollapsibleSection(
-                        'summary',
-                        '📝 Consultation Summary',
-                        summary,
-                        (point, index, isLatest) => \`<div class="list-item \${isLatest ? 'latest' : ''}">\${index + 1}. \${point}</div>\`,
-                        'No key points identified yet'
-                    )}
-
-                    \${createCollapsibleSection(
-                        'reminders',
-                        '💡 Advisor Reminders',
-                        advisorReminders,
-                        (reminder, index, isLatest) => \`<div class="list-item \${isLatest ? 'latest' : ''}">\${index + 1}. \${reminder}</div>\`,
-                        'No reminders yet'
-                    )}
-
-                    \${createCollapsibleSection(
-                        'concerns',
-                        '⚠️ Client Concerns & Addressing',
-                        concerns,
-                        (concern, index, isLatest) => \`
-                            <div class="concern-item \${isLatest ? 'latest' : ''}">
-                                <strong>Concern:</strong> \${concern.concern || 'N/A'}<br><br>
-                                <strong>Strategy:</strong> \${concern.addressing_strategy || 'N/A'}
-                            </div>
-                        \`,
-                        'No concerns identified yet'
-                    )}
-
-                    \${createCollapsibleSection(
-                        'questions',
-                        '❓ Strategic Questions to Ask',
-                        strategicQuestions,
-                        (question, index, isLatest) => \`
-                            <div class="question-item \${isLatest ? 'latest' : ''}">
-                                <strong>\${index + 1}. Question:</strong> "\${question.question || 'N/A'}"<br><br>
-                                <strong>Purpose:</strong> \${question.purpose || 'N/A'}
-                            </div>
-                        \`,
-                        'No strategic questions suggested yet'
-                    )}
+            // Live "typing" line for a turn still in progress; replaced once the
+            // formatted turn arrives
+            function renderPartialEntry(partial) {
+                const speakerClass = partial.speaker ? partial.speaker.toLowerCase() : '';
+                const speakerIcon = partial.speaker === 'Consultant' ? '🏢' : partial.speaker === 'Client' ? '👤' : '🎙️';
+                
+                return \`
+                    <div class="transcript-entry typing \${speakerClass}" data-partial-key="\${partial.key}">
+                        <div class="transcript-timestamp">[\${partial.timestamp}] \${speakerIcon} \${partial.speaker || 'Unknown'} is speaking...</div>
+                        <div class="transcript-text">\${partial.text}</div>
+                    </div>
                 \`;
             }
 
-            function updateTranscript(transcripts) {
+            function updateTranscript(transcripts, partials = []) {
                 const container = document.getElementById('transcript-container');
                 
-                if (!transcripts || transcripts.length === 0) {
-                    const pauseStatus = isPaused ? ' [Updates paused]' : \` [Updating every \${updateInterval}ms]\`;
+                if ((!transcripts || transcripts.length === 0) && partials.length === 0) {
                     container.innerHTML = \`
                         <div class="empty-state-transcript">
                             <div class="pulse">🎙️</div>
                             <h3>No transcript data available yet...</h3>
                             <p>Transcription will appear here once the conversation begins.</p>
-                            <p style="margin-top: 10px; font-size: 0.9em; opacity: 0.6;">\${pauseStatus}</p>
+                            <p style="margin-top: 10px; font-size: 0.9em; opacity: 0.6;">\${updateStatusText()}</p>
                         </div>
                     \`;
                     return;
                 }
                 
-                const transcriptText = transcripts.map(entry => {
-                    const speakerClass = entry.speaker ? entry.speaker.toLowerCase() : '';
-                    const speakerIcon = entry.speaker === 'Consultant' ? '🏢' : entry.speaker === 'Client' ? '👤' : '🎙️';
-                    
-                    return \`
-                        <div class="transcript-entry \${speakerClass}">
-                            <div class="transcript-timestamp">[\${entry.timestamp}] \${speakerIcon} \${entry.speaker || 'Unknown'}</div>
-                            <div class="transcript-text">\${entry.text.replace(/^(Consultant|Client): /, '')}</div>
-                        </div>
-                    \`;
-                }).join('');
+                container.innerHTML = transcripts.map(renderTranscriptEntry).join('') +
+                    partials.map(renderPartialEntry).join('');
+                container.scrollTop = container.scrollHeight;
+            }
+
+            function getTranscriptContainer() {
+                const container = document.getElementById('transcript-container');
+                if (container.querySelector('.empty-state-transcript')) {
+                    container.innerHTML = '';
+                }
+                return container;
+            }
+
+            function findPartialEntry(container, key) {
+                return Array.from(container.querySelectorAll('.transcript-entry.typing'))
+                    .find(element => element.dataset.partialKey === String(key));
+            }
+
+            // Append a pushed entry above the typing lines, replacing the one it
+            // completes, and keep the same 50-entry window as the server
+            function appendTranscriptEntry(entry, partialKey) {
+                if (!isActiveCall) return;
+                const container = getTranscriptContainer();
+                
+                findPartialEntry(container, partialKey)?.remove();
+                const firstTyping = container.querySelector('.transcript-entry.typing');
+                if (firstTyping) {
+                    firstTyping.insertAdjacentHTML('beforebegin', renderTranscriptEntry(entry));
+                } else {
+                    container.insertAdjacentHTML('beforeend', renderTranscriptEntry(entry));
+                }
+                
+                const entries = container.querySelectorAll('.transcript-entry:not(.typing)');
+                for (let i = 0; i < entries.length - 50; i++) {
+                    entries[i].remove();
+                }
+                container.scrollTop = container.scrollHeight;
+            }
+
+            // Create, update or (for empty text) remove a stream's typing line
+            function applyPartial(partial) {
+                if (!isActiveCall) return;
+                if (!partial.text) {
+                    findPartialEntry(document.getElementById('transcript-container'), partial.key)?.remove();
+                    return;
+                }
                 
-                container.innerHTML = transcriptText;
+                const container = getTranscriptContainer();
+                const existing = findPartialEntry(container, partial.key);
+                if (existing) {
+                    existing.outerHTML = renderPartialEntry(partial);
+                } else {
+                    container.insertAdjacentHTML('beforeend', renderPartialEntry(partial));
+                }
                 container.scrollTop = container.scrollHeight;
             }
 
             // 🚀 CONFIGURABLE: Update scheduling with user-defined interval and pause functionality
             function scheduleUpdate() {
-                if (isPaused) return; // Don't schedule if paused
+                if (isPaused || liveUpdates) return; // Don't poll while paused or receiving pushed events
                 
                 updateTimeoutId = setTimeout(() => {
-                    if (!isPaused) { // Double-check pause state
+                    if (!isPaused && !liveUpdates) { // Double-check pause state
                         updateDashboard().then(() => {
                             scheduleUpdate(); // Schedule next update
                         }).catch((error) => {
@@ -1374,11 +2704,90 @@ app.get('/', (req, res) => {
                 }, updateInterval);
             }
 
+            // Events that carry the full state of what they update and can be applied
+            // even while a full refresh is in flight
+            const SELF_CONTAINED_EVENTS = ['status', 'partial', 'active_speaker', 'disclosures', 'compliance', 'analytics', 'nudges'];
+
+            // Handlers for events pushed over /api/events; each patches only the part
+            // of the page that changed
+            const eventHandlers = {
+                status: (data) => {
+                    if (applyStatus(data)) updateDashboard();
+                },
+                transcript: (data) => appendTranscriptEntry(data.entry, data.partial_key),
+                partial: (data) => applyPartial(data),
+                fields: (data) => {
+                    addInsightSources(data.plugin, data.sources, data.turns);
+                    applyFieldChanges(data.plugin, data.changes);
+                },
+                framework: (data) => applyFramework(data),
+                qualification_score: (data) => applyQualificationScore(data),
+                list_item: (data) => {
+                    addInsightSources(data.list, data.sources, data.turns);
+                    applyListItem(data.list, data.item);
+                },
+                speakers: (data) => renderSpeakers(data),
+                active_speaker: (data) => applyActiveSpeaker(data.speakerId),
+                disclosures: (data) => applyDisclosures(data),
+                compliance: (data) => applyCompliance(data),
+                analytics: (data) => applyAnalytics(data),
+                nudges: (data) => renderNudges(data.nudges)
+            };
+
+            // Subscribe to pushed updates for the selected meeting. Polling takes
+            // over whenever the stream is down and stops again once it reconnects.
+            function connectEvents() {
+                if (!window.EventSource) return; // Polling only
+                if (eventSource) eventSource.close();
+                
+                const source = new EventSource(apiUrl('/api/events'));
+                eventSource = source;
+                
+                source.onopen = () => {
+                    console.log('📡 Live updates connected');
+                    liveUpdates = true;
+                    if (updateTimeoutId) {
+                        clearTimeout(updateTimeoutId);
+                        updateTimeoutId = null;
+                    }
+                    updateDashboard(); // Resync anything missed while disconnected
+                };
+                
+                source.onerror = () => {
+                    if (eventSource !== source) return;
+                    if (liveUpdates) {
+                        console.warn('📡 Live updates lost - falling back to polling');
+                        liveUpdates = false;
+                        scheduleUpdate();
+                    }
+                    // The browser retries by itself unless the stream was refused
+                    if (source.readyState === EventSource.CLOSED) {
+                        setTimeout(() => {
+                            if (eventSource === source) connectEvents();
+                        }, EVENTS_RETRY_MS);
+                    }
+                };
+                
+                Object.entries(eventHandlers).forEach(([type, handler]) => {
+                    source.addEventListener(type, (event) => {
+                        if (isPaused || eventSource !== source) return;
+                        if (refreshInProgress && !SELF_CONTAINED_EVENTS.includes(type)) {
+                            refreshStale = true;
+                            return;
+                        }
+                        if (debugMode) console.log(\`📡 \${type}\`, event.data);
+                        handler(JSON.parse(event.data));
+                        markUpdated();
+                    });
+                });
+            }
+
             // Initial load
             updateDashboard();
             
-            // Start the update cycle
+            // Start the update cycle; it stands down once live updates connect
             scheduleUpdate();
+            connectEvents();
 
             // Add click event listeners for tabs
             document.addEventListener('DOMContentLoaded', function() {
@@ -1388,6 +2797,14 @@ app.get('/', (req, res) => {
                         showTab(tabName);
                     });
                 });
+                
+                document.getElementById('financial-dashboard').addEventListener('click', function(event) {
+                    if (event.target.closest('button, select')) return;
+                    const insight = event.target.closest('.has-sources');
+                    if (!insight) return;
+                    const [plugin, key] = insight.dataset.insight.split(':');
+                    showInsightSources(plugin, key);
+                });
             });
 
             // Cleanup on page unload
@@ -1395,6 +2812,9 @@ app.get('/', (req, res) => {
                 if (updateTimeoutId) {
                     clearTimeout(updateTimeoutId);
                 }
+                if (eventSource) {
+                    eventSource.close();
+                }
             });
         </script>
     </body>
@@ -1402,30 +2822,158 @@ app.get('/', (req, res) => {
   `);
 });
 
+// Summaries of the meetings currently being tracked
+function listMeetings() {
+  return Array.from(sessions.values())
+    .sort((a, b) => a.startedAt - b.startedAt)
+    .map(session => ({
+      meeting_id: session.conversationId,
+      meeting_uuid: session.meetingUuid,
+      started_at: new Date(session.startedAt).toISOString(),
+      transcript_length: session.liveTranscripts.length,
+      connection_state: getConnectionStatus(session.meetingUuid).state
+    }));
+}
+
+// Speakers detected in a meeting with their assigned roles
+function listSpeakers(session) {
+  return session ? Array.from(session.detectedSpeakers).map(speakerId => ({
+    id: speakerId,
+    role: session.speakerMapping.get(speakerId) || 'Unassigned',
+    isActive: session.currentSpeakerId === speakerId
+  })) : [];
+}
+
+// System status as seen by a client viewing the given session
+function buildStatus(session) {
+  return {
+    system: 'Financial Consultation Intelligence System',
+    status: activeConnections.size > 0 ? 'active' : 'standby',
+    conversation_id: session?.conversationId || null,
+    active_meetings: activeConnections.size,
+    rtms_connection: session ? {
+      ...getConnectionStatus(session.meetingUuid),
+      max_reconnect_attempts: RTMS_MAX_RECONNECT_ATTEMPTS
+    } : null,
+    transcription: session ? getTranscriptionStatus(session.meetingUuid) : null,
+    meetings: listMeetings(),
+    timestamp: new Date().toISOString(),
+    analysis: {
+      backend: analysisBackend.name,
+      model: analysisBackend.model,
+      queue: session ? session.analysisQueue.getStatus() : null,
+      memory: session ? session.memory.getStatus() : null
+    },
+    features: {
+      streaming_transcription: Array.from(audioCollectors.values()).some(c =>
+        Array.from(c.streams.values()).some(stream => stream.connection?.isOpen())
+      ),
+      ai_analysis: analysisBackend.configured,
+      zoom_connection: activeConnections.size > 0
+    }
+  };
+}
+
+// Dashboard push channel. Each connected dashboard follows one meeting (or the
+// latest one) over Server-Sent Events and receives incremental updates as they
+// happen; the polling endpoints below remain as a fallback.
+const dashboardClients = new Set();
+const SSE_HEARTBEAT_MS = 15000;
+const ACTIVE_SPEAKER_PUBLISH_MS = 500;
+
+function sendEvent(client, type, data) {
+  client.res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Send an event to every dashboard currently viewing this session
+function publishEvent(session, type, data) {
+  for (const client of dashboardClients) {
+    if (resolveSession(client.meetingId) === session) {
+      sendEvent(client, type, { conversation_id: session.conversationId, ...data });
+    }
+  }
+}
+
+// Push every dashboard its status after meetings start or end, or a
+// connection changes state
+function publishStatus() {
+  for (const client of dashboardClients) {
+    sendEvent(client, 'status', buildStatus(resolveSession(client.meetingId)));
+  }
+}
+
+function publishSpeakers(session) {
+  publishEvent(session, 'speakers', {
+    speakers: listSpeakers(session),
+    currentSpeaker: session.currentSpeakerId
+  });
+}
+
+// Events: status, transcript, partial, fields, framework, qualification_score,
+// list_item, speakers, active_speaker, disclosures, compliance, analytics, nudges
+app.get('/api/events', (req, res) => {
+  const client = { res, meetingId: req.query.meeting_id || '' };
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.write('retry: 3000\n\n');
+  
+  dashboardClients.add(client);
+  sendEvent(client, 'status', buildStatus(resolveSession(client.meetingId)));
+  
+  // Comment lines keep proxies such as ngrok from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    dashboardClients.delete(client);
+  });
+});
+
 // API endpoints (updated with safe data handling)
+// All per-meeting endpoints accept ?meeting_id= (meeting UUID or conversation
+// id) and default to the most recently started meeting.
+app.get('/api/meetings', (req, res) => {
+  res.json({
+    meetings: listMeetings(),
+    timestamp: new Date().toISOString()
+  });
+});
+
 app.get('/api/transcript', (req, res) => {
+  const session = getRequestSession(req, res);
+  if (session === undefined) return;
+  
   res.json({
-    transcripts: global.liveTranscripts || [],
-    conversation_id: conversationId,
+    transcripts: session?.liveTranscripts || [],
+    partials: session ? Array.from(session.partialTranscripts.values()) : [],
+    conversation_id: session?.conversationId || null,
     timestamp: new Date().toISOString()
   });
 });
 
 app.get('/api/speakers', (req, res) => {
-    const speakers = Array.from(detectedSpeakers).map(speakerId => ({
-        id: speakerId,
-        role: speakerMapping.get(speakerId) || 'Unassigned',
-        isActive: currentSpeakerId === speakerId
-    }));
+    const session = getRequestSession(req, res);
+    if (session === undefined) return;
     
     res.json({
-        speakers,
-        currentSpeaker: currentSpeakerId,
+        conversation_id: session?.conversationId || null,
+        speakers: listSpeakers(session),
+        currentSpeaker: session?.currentSpeakerId ?? null,
         timestamp: new Date().toISOString()
     });
 });
 
 app.post('/api/speakers/assign', (req, res) => {
+    const session = getRequestSession(req, res);
+    if (session === undefined) return;
+    if (!session) {
+        return res.status(409).json({ error: 'No active meeting' });
+    }
+    
     let { speakerId, role } = req.body;
     speakerId = parseInt(speakerId);
     
@@ -1433,55 +2981,139 @@ app.post('/api/speakers/assign', (req, res) => {
         return res.status(400).json({ error: 'Invalid role' });
     }
     
-    if (!detectedSpeakers.has(speakerId)) {
-        detectedSpeakers.add(speakerId);
+    if (!session.detectedSpeakers.has(speakerId)) {
+        session.detectedSpeakers.add(speakerId);
     }
     
-    speakerMapping.set(speakerId, role);
-    if (speakerTracking.detectedUsers.has(speakerId)) {
-        speakerTracking.detectedUsers.get(speakerId).role = role;
+    session.speakerMapping.set(speakerId, role);
+    if (session.speakerTracking.detectedUsers.has(speakerId)) {
+        session.speakerTracking.detectedUsers.get(speakerId).role = role;
     }
     
-    logSpeakerEvent('MANUAL_ROLE_ASSIGNMENT', {
+    logSpeakerEvent(session, 'MANUAL_ROLE_ASSIGNMENT', {
         speakerId,
         newRole: role,
         assignedBy: 'user'
     });
+    publishSpeakers(session);
     
     res.json({
         success: true,
+        conversation_id: session.conversationId,
         speakerId,
         role,
         message: `Speaker ${speakerId} assigned as ${role}`
     });
 });
 
+// Select the qualification framework for a meeting
+app.post('/api/qualification/framework', (req, res) => {
+    const session = getRequestSession(req, res);
+    if (session === undefined) return;
+    if (!session) {
+        return res.status(409).json({ error: 'No active meeting' });
+    }
+    
+    const framework = qualificationFrameworks.get(req.body?.framework);
+    if (!framework) {
+        return res.status(400).json({
+            error: 'Unknown framework',
+            available: [...qualificationFrameworks.keys()]
+        });
+    }
+    
+    if (framework !== session.framework) {
+        setSessionFramework(session, framework);
+    }
+    
+    res.json({
+        success: true,
+        conversation_id: session.conversationId,
+        framework: framework.id,
+        qualification: session.financialData.qualification
+    });
+});
+
+// Set a strategic question's status by hand, e.g. dismiss one that doesn't fit
+app.post('/api/strategic-questions/status', (req, res) => {
+    const session = getRequestSession(req, res);
+    if (session === undefined) return;
+    if (!session) {
+        return res.status(409).json({ error: 'No active meeting' });
+    }
+    
+    const { id, status } = req.body || {};
+    if (!QUESTION_STATUSES.includes(status)) {
+        return res.status(400).json({ error: 'Unknown status', available: QUESTION_STATUSES });
+    }
+    const item = (session.financialData.strategicQuestions || []).find(question => question.id === id);
+    if (!item) {
+        return res.status(404).json({ error: 'Question not found', id });
+    }
+    
+    const updated = setQuestionStatus(item, status);
+    updateQuestion(session, updated);
+    console.log(`❓ Question ${id} marked ${status}`);
+    
+    res.json({ success: true, conversation_id: session.conversationId, question: updated });
+});
+
+// Dismiss a coaching nudge; its rule stays quiet for its cooldown
+app.post('/api/nudges/dismiss', (req, res) => {
+    const session = getRequestSession(req, res);
+    if (session === undefined) return;
+    if (!session) {
+        return res.status(409).json({ error: 'No active meeting' });
+    }
+    if (!session.nudges) {
+        return res.status(409).json({ error: 'Coaching nudges are disabled' });
+    }
+    
+    const { id } = req.body || {};
+    const nudge = session.nudges.dismiss(id);
+    if (!nudge) {
+        return res.status(404).json({ error: 'Nudge not found', id });
+    }
+    console.log(`🔕 Nudge ${id} dismissed (${nudge.rule})`);
+    
+    res.json({ success: true, conversation_id: session.conversationId, nudge });
+});
+
 // Debug endpoints
 app.get('/api/debug/speakers', (req, res) => {
+    const session = getRequestSession(req, res);
+    if (session === undefined) return;
+    
     res.json({
-        detectedSpeakers: Array.from(detectedSpeakers),
-        speakerMapping: Array.from(speakerMapping.entries()),
-        currentSpeakerId: currentSpeakerId,
+        conversationId: session?.conversationId || null,
+        detectedSpeakers: session ? Array.from(session.detectedSpeakers) : [],
+        speakerMapping: session ? Array.from(session.speakerMapping.entries()) : [],
+        currentSpeakerId: session?.currentSpeakerId ?? null,
         timestamp: new Date().toISOString(),
-        recentTranscripts: global.liveTranscripts.slice(-5)
+        recentTranscripts: session ? session.liveTranscripts.slice(-5) : []
     });
 });
 
 app.get('/api/debug/speakers/detailed', (req, res) => {
+    const session = getRequestSession(req, res);
+    if (session === undefined) return;
+    
+    const speakerTracking = session?.speakerTracking || { detectedUsers: new Map(), speakerTransitions: [] };
     const testReport = {
         timestamp: new Date().toISOString(),
+        conversationId: session?.conversationId || null,
         summary: {
             totalDetectedUsers: speakerTracking.detectedUsers.size,
-            currentActiveSpeaker: currentSpeakerId,
+            currentActiveSpeaker: session?.currentSpeakerId ?? null,
             totalSpeakerChanges: speakerTracking.speakerTransitions.length
         },
         detectedUsers: Array.from(speakerTracking.detectedUsers.entries()).map(([id, info]) => ({
             userId: id,
-            assignedRole: speakerMapping.get(id) || 'Unassigned',
+            assignedRole: session.speakerMapping.get(id) || 'Unassigned',
             firstDetected: new Date(info.firstSeen).toISOString(),
             lastActive: new Date(info.lastSeen).toISOString(),
             totalAudioChunks: info.audioChunks,
-            isCurrentSpeaker: id === currentSpeakerId
+            isCurrentSpeaker: id === session.currentSpeakerId
         })),
         recentTransitions: speakerTracking.speakerTransitions.slice(-10)
     };
@@ -1490,13 +3122,17 @@ app.get('/api/debug/speakers/detailed', (req, res) => {
 });
 
 app.get('/api/debug/speakers/export', (req, res) => {
+    const session = getRequestSession(req, res);
+    if (session === undefined) return;
+    
+    const conversationId = session?.conversationId || null;
     const exportData = {
         timestamp: new Date().toISOString(),
         conversationId,
-        speakerTransitions: speakerTracking.speakerTransitions,
-        detectedUsers: Array.from(speakerTracking.detectedUsers.entries()),
-        speakerMapping: Array.from(speakerMapping.entries()),
-        transcripts: global.liveTranscripts
+        speakerTransitions: session ? session.speakerTracking.speakerTransitions : [],
+        detectedUsers: session ? Array.from(session.speakerTracking.detectedUsers.entries()) : [],
+        speakerMapping: session ? Array.from(session.speakerMapping.entries()) : [],
+        transcripts: session ? session.liveTranscripts : []
     };
     
     const filename = `speaker_debug_${conversationId || 'no_meeting'}_${Date.now()}.json`;
@@ -1506,37 +3142,182 @@ app.get('/api/debug/speakers/export', (req, res) => {
     res.json(exportData);
 });
 
-app.get('/api/status', (req, res) => {
-  res.json({
-    system: 'Financial Consultation Intelligence System',
-    status: activeConnections.size > 0 ? 'active' : 'standby',
-    conversation_id: conversationId,
-    active_meetings: activeConnections.size,
-    timestamp: new Date().toISOString(),
-    features: {
-      streaming_transcription: Array.from(audioCollectors.values()).some(c => c.streamingWs?.readyState === 1),
-      ai_analysis: !!process.env.ANTHROPIC_API_KEY,
-      zoom_connection: activeConnections.size > 0
+app.get('/api/status', (req, res) => {
+  res.json(buildStatus(resolveSession(req.query.meeting_id)));
+});
+
+// FIXED: Dashboard API endpoint with safe data handling
+app.get('/api/dashboard', (req, res) => {
+  const session = getRequestSession(req, res);
+  if (session === undefined) return;
+  
+  const safeFinancialData = getSafeFinancialData(session);
+  
+  res.json({
+    conversation_id: session?.conversationId || null,
+    financial_data: safeFinancialData,
+    framework: session?.framework || defaultFramework,
+    frameworks: [...qualificationFrameworks.values()].map(({ id, name }) => ({ id, name })),
+    qualification_score: session ? getQualificationScore(session) : null,
+    analytics: session ? getTalkAnalytics(session) : null,
+    nudges: session?.nudges ? session.nudges.getActive() : [],
+    sources: {
+      insights: session?.insightSources || {},
+      turns: session?.sourceTurns || {}
+    },
+    disclosures: session?.disclosures ? session.disclosures.getStatus() : null,
+    compliance: session?.compliance ? {
+      alerts: session.compliance.getAlerts(),
+      summary: session.compliance.getSummary()
+    } : null,
+    conversation_history_length: session?.conversationHistory.length || 0,
+    active_meetings: activeConnections.size,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Compliance audit trail: every alert raised in a meeting, in the order flagged
+app.get('/api/compliance', (req, res) => {
+  const session = getRequestSession(req, res);
+  if (session === undefined) return;
+  
+  res.json({
+    conversation_id: session?.conversationId || null,
+    enabled: Boolean(complianceRules),
+    summary: session?.compliance ? session.compliance.getSummary() : null,
+    audit_trail: session?.compliance ? session.compliance.getAuditTrail() : []
+  });
+});
+
+// Conversation dynamics of a meeting so far; see src/analytics/talk-time.js
+app.get('/api/analytics', (req, res) => {
+  const session = getRequestSession(req, res);
+  if (session === undefined) return;
+  
+  res.json({
+    conversation_id: session?.conversationId || null,
+    analytics: session ? getTalkAnalytics(session) : null
+  });
+});
+
+// Structured client profile for planning tools: plain typed values, plus each
+// value's source quote and confidence
+app.get('/api/client-profile', (req, res) => {
+  const session = getRequestSession(req, res);
+  if (session === undefined) return;
+  
+  const profile = getSafeFinancialData(session).clientProfile;
+  res.json({
+    conversation_id: session?.conversationId || null,
+    profile: profileValues(profile),
+    fields: profile
+  });
+});
+
+// Reveal the original value behind a PII placeholder. Requires
+// "Authorization: Bearer <PII_REVEAL_TOKEN>"; every attempt is logged.
+app.post('/api/pii/reveal', (req, res) => {
+  if (!PII_REVEAL_TOKEN) {
+    return res.status(403).json({ error: 'PII reveal is disabled (PII_REVEAL_TOKEN is not set)' });
+  }
+  
+  const provided = Buffer.from((req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(PII_REVEAL_TOKEN);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    console.warn(`🚫 Rejected PII reveal from ${req.ip}: invalid token`);
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  
+  const { meeting_id: meetingId, placeholder } = req.body || {};
+  if (!meetingId || !placeholder) {
+    return res.status(400).json({ error: 'meeting_id and placeholder are required' });
+  }
+  
+  // Live meetings use their in-memory vault; ended ones the vault on disk
+  const session = resolveSession(meetingId);
+  let vault = session?.piiVault;
+  const conversationId = session?.conversationId || String(meetingId).replace(/[^a-zA-Z0-9]/g, "_");
+  if (!vault && PII_VAULT_KEY && fs.existsSync(getVaultPath(conversationId))) {
+    vault = loadTokenVault(PII_VAULT_KEY, JSON.parse(fs.readFileSync(getVaultPath(conversationId), 'utf8')));
+  }
+  if (!vault) {
+    return res.status(404).json({ error: 'No PII vault for this meeting', meeting_id: meetingId });
+  }
+  
+  let value;
+  try {
+    value = vault.reveal(placeholder);
+  } catch (error) {
+    console.error(`❌ PII vault could not be decrypted for ${conversationId}: ${error.message}`);
+    return res.status(500).json({ error: 'Vault could not be decrypted with the configured key' });
+  }
+  if (value === null) {
+    return res.status(404).json({ error: 'Unknown placeholder', placeholder });
+  }
+  
+  console.log(`🔓 PII revealed: ${placeholder} in ${conversationId} for ${req.ip}`);
+  res.json({ meeting_id: conversationId, placeholder, value });
+});
+
+// Verify a Zoom webhook request: x-zm-signature must be the HMAC of
+// "v0:{timestamp}:{raw body}", the timestamp must be recent and the event must
+// not have been accepted before. Returns null when valid, else the reason.
+function verifyWebhookRequest(req) {
+    if (!ZOOM_SECRET_TOKEN) {
+        return 'ZOOM_SECRET_TOKEN is not configured';
+    }
+
+    const signature = req.headers['x-zm-signature'];
+    const timestamp = req.headers['x-zm-request-timestamp'];
+    if (!signature || !timestamp) {
+        return 'missing signature headers';
     }
-  });
-});
 
-// FIXED: Dashboard API endpoint with safe data handling
-app.get('/api/dashboard', (req, res) => {
-  const safeFinancialData = getSafeFinancialData();
-  
-  res.json({
-    conversation_id: conversationId,
-    financial_data: safeFinancialData,
-    conversation_history_length: conversationHistory.length,
-    active_meetings: activeConnections.size,
-    timestamp: new Date().toISOString()
-  });
-});
+    const timestampSeconds = parseInt(timestamp, 10);
+    const ageSeconds = Math.abs(Date.now() / 1000 - timestampSeconds);
+    if (!Number.isFinite(timestampSeconds) || ageSeconds > WEBHOOK_MAX_AGE_SECONDS) {
+        return `stale timestamp (${timestamp})`;
+    }
+
+    const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+    const expected = 'v0=' + crypto
+        .createHmac('sha256', ZOOM_SECRET_TOKEN)
+        .update(`v0:${timestamp}:${rawBody}`)
+        .digest('hex');
+    const expectedBuffer = Buffer.from(expected);
+    const signatureBuffer = Buffer.from(String(signature));
+    if (expectedBuffer.length !== signatureBuffer.length || !crypto.timingSafeEqual(expectedBuffer, signatureBuffer)) {
+        return 'invalid signature';
+    }
+
+    // Forget events that have aged out of the accepted timestamp window
+    const now = Date.now();
+    for (const [eventId, acceptedAt] of processedWebhookEvents) {
+        if (now - acceptedAt > WEBHOOK_MAX_AGE_SECONDS * 1000 * 2) {
+            processedWebhookEvents.delete(eventId);
+        }
+    }
+
+    // Zoom tags each delivery with a tracking id; the signature is unique per
+    // timestamp/body pair and serves as the id when the header is absent
+    const eventId = req.headers['x-zm-trackingid'] || signature;
+    if (processedWebhookEvents.has(eventId)) {
+        return `replayed event ${eventId}`;
+    }
+    processedWebhookEvents.set(eventId, now);
+
+    return null;
+}
 
 // RTMS Webhook Handler
 app.post('/webhook', (req, res) => {
-    const { event, payload } = req.body;
+    const rejection = verifyWebhookRequest(req);
+    if (rejection) {
+        console.warn(`🚫 Rejected webhook from ${req.ip}: ${rejection}`);
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { event, payload } = req.body || {};
 
     if (event === 'endpoint.url_validation' && payload?.plainToken) {
         const hash = crypto
@@ -1553,135 +3334,418 @@ app.post('/webhook', (req, res) => {
         console.log('💼 STARTING FINANCIAL CONSULTATION ANALYSIS');
         const { meeting_uuid, rtms_stream_id, server_urls } = payload;
         
-        // Initialize consultation with safe data structure
-        conversationId = meeting_uuid.replace(/[^a-zA-Z0-9]/g, "_");
-        conversationHistory = [];
-        financialData = initializeFinancialData();
+        if (sessions.has(meeting_uuid)) {
+            console.log(`♻️ Restarting session for ${meeting_uuid}`);
+            cleanupMeeting(meeting_uuid);
+        }
         
-        // Reset speaker tracking
-        speakerMapping.clear();
-        detectedSpeakers.clear();
-        speakerTracking.detectedUsers.clear();
-        speakerTracking.speakerTransitions = [];
-        currentSpeakerId = null;
-        global.liveTranscripts = [];
+        // Initialize consultation with its own isolated session state
+        const session = createSession(meeting_uuid, rtms_stream_id);
+        sessions.set(meeting_uuid, session);
         
-        logSpeakerEvent('MEETING_STARTED', {
-            meetingId: conversationId,
+        logSpeakerEvent(session, 'MEETING_STARTED', {
+            meetingId: session.conversationId,
             streamId: rtms_stream_id
         });
         
-        console.log(`📞 Meeting ID: ${conversationId}`);
-        console.log('🤖 AI Assistant monitoring...');
+        console.log(`📞 Meeting ID: ${session.conversationId}`);
+        console.log(`🤖 AI Assistant monitoring... (${sessions.size} active session${sessions.size === 1 ? '' : 's'})`);
         
         initializeAudioCollection(meeting_uuid);
-        initializeAssemblyAIStreaming(meeting_uuid);
+        if (session.disclosures) {
+            session.disclosureTimer = setInterval(() => checkDisclosures(session), DISCLOSURE_CHECK_INTERVAL_MS);
+        }
+        session.analyticsTimer = setInterval(() => updateConversationDynamics(session), ANALYTICS_PUBLISH_INTERVAL_MS);
+        if (!STT_PER_PARTICIPANT) {
+            // Per-participant sessions open lazily as each user_id first speaks
+            getTranscriptionStream(meeting_uuid, null);
+        }
         connectToSignalingWebSocket(meeting_uuid, rtms_stream_id, server_urls);
+        publishStatus();
     }
 
     if (event === 'meeting.rtms_stopped') {
         console.log('🏁 CONSULTATION ENDED');
-        const { meeting_uuid } = payload;
-        
-        logSpeakerEvent('MEETING_ENDED', {
-            meetingId: meeting_uuid,
-            totalUsers: speakerTracking.detectedUsers.size,
-            totalTransitions: speakerTracking.speakerTransitions.length
-        });
-        
-        cleanupMeeting(meeting_uuid);
-        displayCurrentFinancialData();
+        finalizeMeeting(payload.meeting_uuid);
     }
 
     res.sendStatus(200);
 });
 
+// End a consultation: tear down its connections and write the final report
+function finalizeMeeting(meetingUuid) {
+    const session = sessions.get(meetingUuid);
+    
+    if (session) {
+        // Concerns still open when the meeting stops go into the final report
+        session.concernFollowUps = getConcernFollowUps(getSafeFinancialData(session).concerns);
+
+        logSpeakerEvent(session, 'MEETING_ENDED', {
+            meetingId: meetingUuid,
+            totalUsers: session.speakerTracking.detectedUsers.size,
+            totalTransitions: session.speakerTracking.speakerTransitions.length
+        });
+    }
+    
+    cleanupMeeting(meetingUuid);
+    if (session) {
+        const missed = session.disclosures?.getReport().missed || [];
+        if (missed.length > 0) {
+            console.warn(`⚠️ Consultation ended with ${missed.length} disclosure${missed.length === 1 ? '' : 's'} not made: ${missed.map(item => item.label).join(', ')}`);
+        }
+        const { talk_ratio: talkRatio } = getTalkAnalytics(session);
+        if (Object.keys(talkRatio).length > 0) {
+            console.log(`🗣️ Talk ratio: ${Object.entries(talkRatio).map(([role, ratio]) => `${role} ${Math.round(ratio * 100)}%`).join(' / ')}`);
+        }
+        console.log(`${session.framework.icon} Final ${session.framework.name} score: ${getQualificationScore(session).score}/100`);
+        const questions = getQuestionCoverage(getSafeFinancialData(session).strategicQuestions);
+        if (questions.total > 0) {
+            console.log(`❓ Strategic questions covered: ${questions.covered.length} of ${questions.total}${questions.counts.dismissed > 0 ? ` (${questions.counts.dismissed} dismissed)` : ''}`);
+        }
+        if (session.concernFollowUps.length > 0) {
+            console.warn(`📌 ${session.concernFollowUps.length} unresolved concern${session.concernFollowUps.length === 1 ? '' : 's'} flagged for follow-up: ${session.concernFollowUps.map(item => item.concern).join('; ')}`);
+        }
+        const alerts = session.compliance?.getSummary().total || 0;
+        if (alerts > 0) {
+            console.warn(`🚩 Consultation ended with ${alerts} compliance alert${alerts === 1 ? '' : 's'} - see ${getComplianceAuditPath(session.conversationId)}`);
+        }
+        displayCurrentFinancialData(session);
+    }
+}
+
 // Audio Collection Management (unchanged from previous version)
 function initializeAudioCollection(meetingUuid) {
     audioCollectors.set(meetingUuid, {
         audioChunks: [],
-        audioBuffer: [],
         totalBytes: 0,
         chunkCount: 0,
         startTime: Date.now(),
-        streamingWs: null,
+        streams: new Map(), // Transcription streams keyed by user_id, or MIXED_STREAM_KEY
         stopRequested: false
     });
 }
 
-function initializeAssemblyAIStreaming(meetingUuid) {
+// State for one streaming transcription session, kept across reconnects. A
+// speakerId of null means the session carries the whole meeting's audio.
+function createTranscriptionStream(speakerId = null) {
+    return {
+        key: speakerId === null ? MIXED_STREAM_KEY : speakerId,
+        speakerId,
+        connection: null,    // Session returned by sttProvider.startSession
+        state: 'connecting', // connecting | open | reconnecting | failed
+        audioBuffer: [],     // Audio waiting to fill a TARGET_CHUNK_SIZE chunk
+        replayBuffer: [],    // Chunks held back while disconnected (ring buffer)
+        replayBytes: 0,
+        droppedBytes: 0,
+        replayTimer: null,
+        reconnectAttempts: 0,
+        totalReconnects: 0,
+        reconnectTimer: null,
+        disconnectedAt: null
+    };
+}
+
+function bytesToSeconds(bytes) {
+    return bytes / (SAMPLE_RATE * CHANNELS * BYTES_PER_SAMPLE);
+}
+
+// Get the stream that should receive a participant's audio, opening it on
+// first use
+function getTranscriptionStream(meetingUuid, speakerId) {
     const collector = audioCollectors.get(meetingUuid);
-    if (!collector) return;
+    if (!collector) return null;
+
+    const key = STT_PER_PARTICIPANT ? speakerId : MIXED_STREAM_KEY;
+    if (!collector.streams.has(key)) {
+        const stream = createTranscriptionStream(STT_PER_PARTICIPANT ? speakerId : null);
+        collector.streams.set(key, stream);
+        startTranscriptionSession(meetingUuid, stream);
+    }
+    return collector.streams.get(key);
+}
+
+// Whether a stream belongs to the meeting's current audio collector. A
+// restarted meeting gets a new collector, and the old one's streams must not
+// reconnect or feed their events into the new session.
+function isCurrentStream(meetingUuid, stream) {
+    return audioCollectors.get(meetingUuid)?.streams.get(stream.key) === stream;
+}
+
+function describeStream(stream) {
+    return stream.speakerId === null ? 'meeting audio' : `speaker ${stream.speakerId}`;
+}
+
+function getTranscriptionStatus(meetingUuid) {
+    const collector = audioCollectors.get(meetingUuid);
+    if (!collector) return null;
+
+    const streams = Array.from(collector.streams.values()).map(stream => ({
+        speaker_id: stream.speakerId,
+        state: stream.state,
+        reconnect_attempts: stream.reconnectAttempts,
+        total_reconnects: stream.totalReconnects,
+        buffered_seconds: Number(bytesToSeconds(stream.replayBytes).toFixed(1))
+    }));
+
+    // Report the least healthy stream's state for the meeting as a whole
+    const statePriority = ['failed', 'reconnecting', 'connecting', 'open'];
+    const state = streams.length === 0 ? 'idle' :
+        statePriority.find(candidate => streams.some(stream => stream.state === candidate)) || 'open';
+
+    return {
+        mode: STT_PER_PARTICIPANT ? 'per_participant' : 'mixed',
+        state,
+        reconnect_attempts: Math.max(0, ...streams.map(stream => stream.reconnect_attempts)),
+        total_reconnects: streams.reduce((sum, stream) => sum + stream.total_reconnects, 0),
+        max_reconnect_attempts: STT_MAX_RECONNECT_ATTEMPTS,
+        buffered_seconds: Number(streams.reduce((sum, stream) => sum + stream.buffered_seconds, 0).toFixed(1)),
+        streams
+    };
+}
+
+function startTranscriptionSession(meetingUuid, stream) {
+    const collector = audioCollectors.get(meetingUuid);
+    if (!collector || collector.stopRequested || !isCurrentStream(meetingUuid, stream)) return;
 
-    console.log(`🔗 Connecting to AssemblyAI for ${meetingUuid}`);
+    console.log(`🔗 Connecting to ${sttProvider.name} for ${meetingUuid} (${describeStream(stream)})`);
 
-    const streamingWs = new WebSocket(API_ENDPOINT, {
-        headers: {
-            Authorization: process.env.ASSEMBLYAI_API_KEY,
+    // Events of a session the meeting has since replaced or torn down are dropped
+    const handle = (type, event = {}) => {
+        if (isCurrentStream(meetingUuid, stream)) handleTranscriptionEvent(meetingUuid, stream, type, event);
+    };
+    const connection = sttProvider.startSession({
+        onBegin: () => {
+            if (!isCurrentStream(meetingUuid, stream)) return;
+            resumeTranscriptionStream(meetingUuid, stream);
+            handle('begin');
         },
-    });
+        onPartial: (event) => handle('partial', event),
+        onTurn: (event) => handle('turn', event),
+        onTerminated: () => handle('terminated'),
+        onError: (error) => {
+            console.error(`❌ ${sttProvider.name} streaming error: ${error}`);
+        },
+        onClose: () => {
+            if (stream.connection !== connection) return; // Replaced by a newer session, or shut down
+            stream.connection = null;
+            scheduleTranscriptionReconnect(meetingUuid, stream);
+        }
+    }, { speakerId: stream.speakerId });
 
-    collector.streamingWs = streamingWs;
+    stream.connection = connection;
+}
 
-    streamingWs.on('open', () => {
-        console.log(`✅ AssemblyAI connected`);
-    });
+// Open a new streaming session after the previous one dropped, backing off
+// exponentially. Audio keeps accumulating in the replay buffer meanwhile.
+function scheduleTranscriptionReconnect(meetingUuid, stream) {
+    const collector = audioCollectors.get(meetingUuid);
+    if (!collector || collector.stopRequested || stream.reconnectTimer || !isCurrentStream(meetingUuid, stream)) return;
+
+    if (stream.disconnectedAt === null) {
+        stream.disconnectedAt = Date.now();
+    }
+    clearInterval(stream.replayTimer);
+    stream.replayTimer = null;
+
+    if (stream.reconnectAttempts >= STT_MAX_RECONNECT_ATTEMPTS) {
+        console.error(`❌ ${sttProvider.name} reconnect gave up after ${stream.reconnectAttempts} attempts - transcription stopped (${describeStream(stream)})`);
+        stream.state = 'failed';
+        publishStatus();
+        const session = sessions.get(meetingUuid);
+        if (session) clearPartialTranscript(session, stream);
+        stream.replayBuffer = [];
+        stream.replayBytes = 0;
+        addTranscriptMarker(meetingUuid, `Transcription of ${describeStream(stream)} stopped after ${stream.reconnectAttempts} failed reconnect attempts`);
+        return;
+    }
+
+    stream.reconnectAttempts++;
+    stream.totalReconnects++;
+    stream.state = 'reconnecting';
+    publishStatus();
+
+    const delay = Math.min(
+        STT_RECONNECT_BASE_DELAY_MS * 2 ** (stream.reconnectAttempts - 1),
+        STT_RECONNECT_MAX_DELAY_MS
+    );
+    console.log(`🔄 Reconnecting ${sttProvider.name} for ${describeStream(stream)} in ${delay}ms (attempt ${stream.reconnectAttempts}/${STT_MAX_RECONNECT_ATTEMPTS})`);
+
+    stream.reconnectTimer = setTimeout(() => {
+        stream.reconnectTimer = null;
+        startTranscriptionSession(meetingUuid, stream);
+    }, delay);
+}
+
+// A streaming session has begun: mark any outage in the transcript and replay
+// the audio captured while disconnected
+function resumeTranscriptionStream(meetingUuid, stream) {
+    stream.state = 'open';
+    stream.reconnectAttempts = 0;
+
+    if (stream.disconnectedAt !== null) {
+        const outageSeconds = (Date.now() - stream.disconnectedAt) / 1000;
+        const replayedSeconds = bytesToSeconds(stream.replayBytes);
+        const lostSeconds = bytesToSeconds(stream.droppedBytes);
+        
+        console.log(`✅ ${sttProvider.name} reconnected after ${outageSeconds.toFixed(1)}s outage (${describeStream(stream)})`);
+        addTranscriptMarker(
+            meetingUuid,
+            `Transcription of ${describeStream(stream)} interrupted for ${outageSeconds.toFixed(1)}s ` +
+            `(${replayedSeconds.toFixed(1)}s of audio replayed` +
+            (lostSeconds > 0 ? `, ${lostSeconds.toFixed(1)}s lost)` : ')')
+        );
+        
+        stream.disconnectedAt = null;
+        stream.droppedBytes = 0;
+        publishStatus();
+    }
+
+    replayBufferedAudio(stream);
+}
+
+// Hold a chunk back while disconnected, dropping the oldest audio once the
+// ring buffer is full
+function bufferForReplay(stream, chunk) {
+    stream.replayBuffer.push(chunk);
+    stream.replayBytes += chunk.length;
+
+    while (stream.replayBytes > STT_REPLAY_BUFFER_BYTES && stream.replayBuffer.length > 0) {
+        const dropped = stream.replayBuffer.shift();
+        stream.replayBytes -= dropped.length;
+        stream.droppedBytes += dropped.length;
+    }
+}
+
+// Send buffered chunks ahead of live audio at a faster-than-real-time pace.
+// Live audio keeps queueing behind the replay until the buffer drains.
+function replayBufferedAudio(stream) {
+    if (stream.replayTimer || stream.replayBuffer.length === 0) return;
+
+    console.log(`⏪ Replaying ${bytesToSeconds(stream.replayBytes).toFixed(1)}s of buffered audio`);
+
+    stream.replayTimer = setInterval(() => {
+        if (stream.state !== 'open' || !stream.connection?.isOpen()) {
+            // Dropped again; keep the rest buffered for the next session
+            clearInterval(stream.replayTimer);
+            stream.replayTimer = null;
+            return;
+        }
+
+        const chunk = stream.replayBuffer.shift();
+        if (!chunk) {
+            clearInterval(stream.replayTimer);
+            stream.replayTimer = null;
+            return;
+        }
+        stream.replayBytes -= chunk.length;
 
-    streamingWs.on('message', async (message) => {
         try {
-            const data = JSON.parse(message);
-            await handleAssemblyAIMessage(data, meetingUuid);
+            stream.connection.sendAudio(chunk);
         } catch (error) {
-            console.error(`❌ AssemblyAI error: ${error}`);
+            console.error(`❌ Error replaying audio: ${error.message}`);
         }
-    });
+    }, STT_REPLAY_INTERVAL_MS);
+}
 
-    streamingWs.on('error', (error) => {
-        console.error(`❌ AssemblyAI streaming error: ${error}`);
-        collector.stopRequested = true;
-    });
+// Record a system note (e.g. a transcription gap) in the live transcript
+// The live transcript keeps the latest 50 entries, turns and markers alike
+function pushLiveTranscript(session, entry) {
+    session.liveTranscripts.push(entry);
+    if (session.liveTranscripts.length > 50) {
+        session.liveTranscripts = session.liveTranscripts.slice(-50);
+    }
+}
 
-    streamingWs.on('close', (code, reason) => {
-        if (DEBUG_ENABLED) console.log(`🔌 AssemblyAI closed: ${code}`);
-    });
+function addTranscriptMarker(meetingUuid, text) {
+    const session = sessions.get(meetingUuid);
+    if (!session) return;
+
+    const entry = {
+        timestamp: new Date().toLocaleTimeString(),
+        text,
+        speaker: 'System',
+        speakerId: null,
+        type: 'gap'
+    };
+    pushLiveTranscript(session, entry);
+    publishEvent(session, 'transcript', { entry });
 }
 
-async function handleAssemblyAIMessage(data, meetingUuid) {
-    const msgType = data.type;
+// Drop a stream's in-progress turn once it can no longer complete; an empty
+// partial tells dashboards to remove the typing line
+function clearPartialTranscript(session, stream) {
+    if (!session.partialTranscripts.delete(stream.key)) return;
+    publishEvent(session, 'partial', { key: stream.key, text: '' });
+}
 
-    if (msgType === "Begin") {
-        console.log(`🚀 Transcription session started`);
-        global.liveTranscripts = [];
-    } else if (msgType === "Turn") {
-        const transcript = data.transcript || "";
-        const formatted = data.turn_is_formatted;
+// Handle a normalized event from the STT provider
+function handleTranscriptionEvent(meetingUuid, stream, type, event) {
+    const session = sessions.get(meetingUuid);
+    if (!session) return;
+    
+    if (type === 'begin') {
+        console.log(`🚀 Transcription session started (${describeStream(stream)})`);
+    } else if (type === 'turn' || type === 'partial') {
+        if (!(event.text || "").trim()) return;
+        
+        // Redact before the text is logged, shown or analyzed. Partials skip the
+        // vault since a number may still be half-spoken.
+        const transcript = type === 'turn' ? redactPii(event.text, session.piiVault) : redactPii(event.text);
+        
+        // Per-participant sessions know exactly who spoke; a mixed session can
+        // only go by whoever sent the most recent audio packet
+        const speakerId = event.speakerId ?? stream.speakerId ?? session.currentSpeakerId;
+        if (speakerId !== null && speakerId !== undefined) {
+            trackSpeaker(session, speakerId);
+        }
+        const speakerRole = session.speakerMapping.get(speakerId) || `Speaker ${speakerId}`;
 
-        if (formatted && transcript.trim()) {
-            const speakerRole = speakerMapping.get(currentSpeakerId) || `Speaker ${currentSpeakerId}`;
+        if (type === 'turn') {
             const labeledTranscript = `${speakerRole}: ${transcript}`;
+            const turnId = formatTurnId(++session.turnCount);
             
-            global.liveTranscripts.push({
+            const entry = {
+                turnId,
                 timestamp: new Date().toLocaleTimeString(),
                 text: labeledTranscript,
                 speaker: speakerRole,
-                speakerId: currentSpeakerId,
+                speakerId,
                 type: 'final'
-            });
+            };
+            pushLiveTranscript(session, entry);
+            session.partialTranscripts.delete(stream.key);
             
-            if (global.liveTranscripts.length > 50) {
-                global.liveTranscripts = global.liveTranscripts.slice(-50);
-            }
+            // The formatted turn replaces the stream's typing line
+            publishEvent(session, 'transcript', { entry, partial_key: stream.key });
             
             console.log(`📝 [${speakerRole}] ${transcript}`);
             
-            // Process transcript asynchronously for better performance
-            processTranscript(labeledTranscript).catch(console.error);
-        } else if (!formatted && transcript.trim()) {
-            const speakerRole = speakerMapping.get(currentSpeakerId) || `Speaker ${currentSpeakerId}`;
+            if (speakerRole === 'Consultant') {
+                trackDisclosures(session, transcript);
+                session.compliance?.checkTurn(transcript, { turnTimestamp: entry.timestamp });
+            }
+            trackQuestions(session, speakerRole, { turnId, text: transcript, timestamp: entry.timestamp });
+            session.talkTime.addTurn(speakerId, transcript);
+            
+            // Queued so analysis runs in order, batched with turns that follow
+            // closely. The id lets insights cite the turn.
+            session.analysisQueue.enqueue(`[${turnId}] ${labeledTranscript}`);
+        } else {
+            const partial = {
+                key: stream.key,
+                timestamp: new Date().toLocaleTimeString(),
+                text: transcript,
+                speaker: speakerRole,
+                speakerId
+            };
+            session.partialTranscripts.set(stream.key, partial);
+            
             process.stdout.write(`\r🎙️ [${speakerRole}] ${transcript.substring(0, 80)}...`);
+            publishEvent(session, 'partial', partial);
         }
-    } else if (msgType === "Termination") {
+    } else if (type === 'terminated') {
         console.log(`\n🏁 Transcription session ended`);
+        clearPartialTranscript(session, stream);
     }
 }
 
@@ -1691,13 +3755,81 @@ function generateSignature(CLIENT_ID, meetingUuid, streamId, CLIENT_SECRET) {
     return crypto.createHmac('sha256', CLIENT_SECRET).update(message).digest('hex');
 }
 
+// Get (or create) the connection record for a meeting. It keeps the stream id
+// and server URLs so dropped sockets can be re-established.
+function getConnectionRecord(meetingUuid) {
+    if (!activeConnections.has(meetingUuid)) {
+        activeConnections.set(meetingUuid, {
+            signaling: null,
+            media: null,
+            streamId: null,
+            serverUrl: null,
+            mediaUrl: null,
+            state: 'connecting',
+            reconnectAttempts: 0,
+            totalReconnects: 0,
+            reconnectTimer: null,
+            closing: false
+        });
+    }
+    return activeConnections.get(meetingUuid);
+}
+
+function getConnectionStatus(meetingUuid) {
+    const connection = activeConnections.get(meetingUuid);
+    if (!connection) {
+        return { state: 'closed', reconnect_attempts: 0, total_reconnects: 0 };
+    }
+    return {
+        state: connection.state,
+        reconnect_attempts: connection.reconnectAttempts,
+        total_reconnects: connection.totalReconnects
+    };
+}
+
+// Re-open a dropped RTMS socket with exponential backoff. A lost media socket
+// is re-opened directly while signaling is up; otherwise signaling is
+// re-established, which re-opens media once its handshake succeeds.
+function scheduleRtmsReconnect(meetingUuid, connection, target) {
+    // A restarted meeting has a new connection record; the old one stays down
+    if (activeConnections.get(meetingUuid) !== connection || connection.closing || connection.reconnectTimer) return;
+
+    if (connection.reconnectAttempts >= RTMS_MAX_RECONNECT_ATTEMPTS) {
+        console.error(`❌ RTMS reconnect gave up after ${connection.reconnectAttempts} attempts - ending consultation`);
+        finalizeMeeting(meetingUuid);
+        return;
+    }
+
+    connection.reconnectAttempts++;
+    connection.totalReconnects++;
+    connection.state = 'reconnecting';
+    publishStatus();
+
+    const delay = Math.min(
+        RTMS_RECONNECT_BASE_DELAY_MS * 2 ** (connection.reconnectAttempts - 1),
+        RTMS_RECONNECT_MAX_DELAY_MS
+    );
+    console.log(`🔄 Reconnecting RTMS ${target} in ${delay}ms (attempt ${connection.reconnectAttempts}/${RTMS_MAX_RECONNECT_ATTEMPTS})`);
+
+    connection.reconnectTimer = setTimeout(() => {
+        connection.reconnectTimer = null;
+        if (connection.closing || activeConnections.get(meetingUuid) !== connection) return;
+
+        if (target === 'media' && connection.mediaUrl && connection.signaling?.readyState === WebSocket.OPEN) {
+            connectToMediaWebSocket(connection.mediaUrl, meetingUuid, connection.streamId);
+        } else {
+            connectToSignalingWebSocket(meetingUuid, connection.streamId, connection.serverUrl);
+        }
+    }, delay);
+}
+
 function connectToSignalingWebSocket(meetingUuid, streamId, serverUrl) {
     const ws = new WebSocket(serverUrl);
 
-    if (!activeConnections.has(meetingUuid)) {
-        activeConnections.set(meetingUuid, {});
-    }
-    activeConnections.get(meetingUuid).signaling = ws;
+    const connection = getConnectionRecord(meetingUuid);
+    connection.streamId = streamId;
+    connection.serverUrl = serverUrl;
+    connection.signaling = ws;
 
     ws.on('open', () => {
         console.log(`✅ Signaling connected`);
@@ -1723,13 +3855,20 @@ function connectToSignalingWebSocket(meetingUuid, streamId, serverUrl) {
     });
 
     ws.on('message', (data) => {
+        if (connection.signaling !== ws) return; // Replaced or shut down
         const msg = JSON.parse(data);
         if (DEBUG_ENABLED) console.log('📨 Signaling:', JSON.stringify(msg, null, 2));
 
-        if (msg.msg_type === 2 && msg.status_code === 0) {
-            const mediaUrl = msg.media_server?.server_urls?.audio || msg.media_server?.server_urls?.all;
-            if (mediaUrl) {
-                connectToMediaWebSocket(mediaUrl, meetingUuid, streamId, ws);
+        if (msg.msg_type === 2) {
+            if (msg.status_code === 0) {
+                const mediaUrl = msg.media_server?.server_urls?.audio || msg.media_server?.server_urls?.all;
+                if (mediaUrl) {
+                    connection.mediaUrl = mediaUrl;
+                    connectToMediaWebSocket(mediaUrl, meetingUuid, streamId);
+                }
+            } else {
+                console.error(`❌ Signaling handshake failed: ${msg.status_code} - ${msg.reason}`);
+                ws.close();
             }
         }
 
@@ -1747,17 +3886,26 @@ function connectToSignalingWebSocket(meetingUuid, streamId, serverUrl) {
 
     ws.on('close', () => {
         if (DEBUG_ENABLED) console.log('🔌 Signaling closed');
-        if (activeConnections.has(meetingUuid)) {
-            delete activeConnections.get(meetingUuid).signaling;
-        }
+        if (connection.signaling !== ws) return; // Replaced by a newer socket, or shut down
+        connection.signaling = null;
+        scheduleRtmsReconnect(meetingUuid, connection, 'signaling');
     });
 }
 
-function connectToMediaWebSocket(mediaUrl, meetingUuid, streamId, signalingSocket) {
+function connectToMediaWebSocket(mediaUrl, meetingUuid, streamId) {
     const mediaWs = new WebSocket(mediaUrl, { rejectUnauthorized: false });
 
-    if (activeConnections.has(meetingUuid)) {
-        activeConnections.get(meetingUuid).media = mediaWs;
+    const connection = activeConnections.get(meetingUuid);
+    if (!connection || connection.closing) {
+        mediaWs.terminate();
+        return;
+    }
+
+    // Replace any media socket left over from before a signaling reconnect
+    const previousMedia = connection.media;
+    connection.media = mediaWs;
+    if (previousMedia && previousMedia.readyState !== WebSocket.CLOSED) {
+        previousMedia.close();
     }
 
     mediaWs.on('open', () => {
@@ -1789,6 +3937,7 @@ function connectToMediaWebSocket(mediaUrl, meetingUuid, streamId, signalingSocke
     });
 
     mediaWs.on('message', (data) => {
+        if (connection.media !== mediaWs) return; // Replaced or shut down
         try {
             const msg = JSON.parse(data.toString());
             
@@ -1799,10 +3948,20 @@ function connectToMediaWebSocket(mediaUrl, meetingUuid, streamId, signalingSocke
 
             if (msg.msg_type === 4) {
                 if (msg.status_code === 0) {
-                    signalingSocket.send(JSON.stringify({
-                        msg_type: 7,
-                        rtms_stream_id: streamId,
-                    }));
+                    const signalingSocket = connection.signaling;
+                    if (signalingSocket?.readyState === WebSocket.OPEN) {
+                        signalingSocket.send(JSON.stringify({
+                            msg_type: 7,
+                            rtms_stream_id: streamId,
+                        }));
+                    }
+                    
+                    if (connection.reconnectAttempts > 0) {
+                        console.log(`✅ RTMS reconnected after ${connection.reconnectAttempts} attempt(s)`);
+                    }
+                    connection.state = 'connected';
+                    connection.reconnectAttempts = 0;
+                    publishStatus();
                     console.log(`🚀 Multi-stream audio started`);
                     
                     if (msg.media_params?.audio?.data_opt !== undefined) {
@@ -1811,6 +3970,7 @@ function connectToMediaWebSocket(mediaUrl, meetingUuid, streamId, signalingSocke
                     }
                 } else {
                     console.error(`❌ Media handshake failed: ${msg.status_code} - ${msg.reason}`);
+                    mediaWs.close();
                 }
             }
 
@@ -1826,7 +3986,8 @@ function connectToMediaWebSocket(mediaUrl, meetingUuid, streamId, signalingSocke
                 const speakerId = msg.content.user_id !== undefined ? msg.content.user_id : 0;
                 
                 // Only log new users, not every audio packet
-                if (!speakerTracking.detectedUsers.has(speakerId)) {
+                const session = sessions.get(meetingUuid);
+                if (session && !session.speakerTracking.detectedUsers.has(speakerId)) {
                     console.log(`🆔 New user detected: ${speakerId}`);
                 }
                 
@@ -1844,71 +4005,88 @@ function connectToMediaWebSocket(mediaUrl, meetingUuid, streamId, signalingSocke
 
     mediaWs.on('close', () => {
         if (DEBUG_ENABLED) console.log('🔌 Media closed');
-        if (activeConnections.has(meetingUuid)) {
-            delete activeConnections.get(meetingUuid).media;
-        }
+        if (connection.media !== mediaWs) return; // Replaced by a newer socket, or shut down
+        connection.media = null;
+        scheduleRtmsReconnect(meetingUuid, connection, 'media');
     });
 }
 
-// OPTIMIZED: Speaker tracking with reduced logging
-function handleAudioDataWithSpeaker(base64Data, meetingUuid, speakerId) {
-    const collector = audioCollectors.get(meetingUuid);
-    if (!collector || collector.stopRequested) return;
-
+// Register a speaker the first time they are seen, auto-assigning the first
+// two as Consultant and Client
+function trackSpeaker(session, speakerId) {
+    const { speakerTracking, speakerMapping } = session;
+    if (speakerTracking.detectedUsers.has(speakerId)) return;
+    
     const now = Date.now();
+    speakerTracking.detectedUsers.set(speakerId, {
+        firstSeen: now,
+        lastSeen: now,
+        audioChunks: 0,
+        role: 'Unassigned'
+    });
     
-    // Enhanced user tracking
-    if (!speakerTracking.detectedUsers.has(speakerId)) {
-        speakerTracking.detectedUsers.set(speakerId, {
-            firstSeen: now,
-            lastSeen: now,
-            audioChunks: 0,
-            role: 'Unassigned'
-        });
-        
-        logSpeakerEvent('NEW_USER_DETECTED', {
-            speakerId,
-            totalUsers: speakerTracking.detectedUsers.size,
-            detectionOrder: Array.from(speakerTracking.detectedUsers.keys())
-        });
-        
-        // Auto-assign roles
-        if (speakerTracking.detectedUsers.size === 1) {
-            speakerMapping.set(speakerId, 'Consultant');
-            speakerTracking.detectedUsers.get(speakerId).role = 'Consultant';
-            logSpeakerEvent('AUTO_ASSIGNED_CONSULTANT', { speakerId });
-        } else if (speakerTracking.detectedUsers.size === 2) {
-            speakerMapping.set(speakerId, 'Client');
-            speakerTracking.detectedUsers.get(speakerId).role = 'Client';
-            logSpeakerEvent('AUTO_ASSIGNED_CLIENT', { speakerId });
-        }
-        
-        detectedSpeakers.add(speakerId);
+    logSpeakerEvent(session, 'NEW_USER_DETECTED', {
+        speakerId,
+        totalUsers: speakerTracking.detectedUsers.size,
+        detectionOrder: Array.from(speakerTracking.detectedUsers.keys())
+    });
+    
+    // Auto-assign roles
+    if (speakerTracking.detectedUsers.size === 1) {
+        speakerMapping.set(speakerId, 'Consultant');
+        speakerTracking.detectedUsers.get(speakerId).role = 'Consultant';
+        logSpeakerEvent(session, 'AUTO_ASSIGNED_CONSULTANT', { speakerId });
+    } else if (speakerTracking.detectedUsers.size === 2) {
+        speakerMapping.set(speakerId, 'Client');
+        speakerTracking.detectedUsers.get(speakerId).role = 'Client';
+        logSpeakerEvent(session, 'AUTO_ASSIGNED_CLIENT', { speakerId });
     }
     
+    session.detectedSpeakers.add(speakerId);
+    publishSpeakers(session);
+}
+
+// OPTIMIZED: Speaker tracking with reduced logging
+function handleAudioDataWithSpeaker(base64Data, meetingUuid, speakerId) {
+    const collector = audioCollectors.get(meetingUuid);
+    const session = sessions.get(meetingUuid);
+    if (!collector || collector.stopRequested || !session) return;
+
+    trackSpeaker(session, speakerId);
+
     // Update user activity
-    const userInfo = speakerTracking.detectedUsers.get(speakerId);
-    userInfo.lastSeen = now;
+    const userInfo = session.speakerTracking.detectedUsers.get(speakerId);
+    userInfo.lastSeen = Date.now();
     userInfo.audioChunks++;
 
     // Track speaker changes
-    if (currentSpeakerId !== speakerId) {
-        const previousSpeaker = currentSpeakerId;
-        currentSpeakerId = speakerId;
+    if (session.currentSpeakerId !== speakerId) {
+        const previousSpeaker = session.currentSpeakerId;
+        session.currentSpeakerId = speakerId;
         
-        logSpeakerEvent('SPEAKER_CHANGE', {
-            from: { id: previousSpeaker, role: speakerMapping.get(previousSpeaker) },
-            to: { id: speakerId, role: speakerMapping.get(speakerId) }
+        logSpeakerEvent(session, 'SPEAKER_CHANGE', {
+            from: { id: previousSpeaker, role: session.speakerMapping.get(previousSpeaker) },
+            to: { id: speakerId, role: session.speakerMapping.get(speakerId) }
         });
+        
+        // Overlapping speech alternates speakers packet by packet; push at most
+        // one active-speaker update per interval
+        if (!session.activeSpeakerTimer) {
+            session.activeSpeakerTimer = setTimeout(() => {
+                session.activeSpeakerTimer = null;
+                publishEvent(session, 'active_speaker', { speakerId: session.currentSpeakerId });
+            }, ACTIVE_SPEAKER_PUBLISH_MS);
+        }
     }
 
     // Process audio
     const audioBuffer = Buffer.from(base64Data, 'base64');
+    session.talkTime.addAudio(speakerId, bytesToSeconds(audioBuffer.length) * 1000);
     collector.audioChunks.push(audioBuffer);
     collector.totalBytes += audioBuffer.length;
     collector.chunkCount++;
 
-    sendToAssemblyAI(audioBuffer, meetingUuid);
+    sendToTranscriber(audioBuffer, meetingUuid, speakerId);
 
     // REDUCED: Less frequent logging
     if (collector.chunkCount % 200 === 0) {
@@ -1917,52 +4095,71 @@ function handleAudioDataWithSpeaker(base64Data, meetingUuid, speakerId) {
     }
 }
 
-function sendToAssemblyAI(audioData, meetingUuid) {
+function sendToTranscriber(audioData, meetingUuid, speakerId) {
     const collector = audioCollectors.get(meetingUuid);
-    if (!collector || !collector.streamingWs || collector.stopRequested) return;
+    if (!collector || collector.stopRequested) return;
 
-    collector.audioBuffer.push(audioData);
+    const stream = getTranscriptionStream(meetingUuid, speakerId);
+    if (!stream || stream.state === 'failed') return;
+
+    stream.audioBuffer.push(audioData);
     
-    const totalBufferedSize = collector.audioBuffer.reduce((sum, chunk) => sum + chunk.length, 0);
+    const totalBufferedSize = stream.audioBuffer.reduce((sum, chunk) => sum + chunk.length, 0);
     
     if (totalBufferedSize >= TARGET_CHUNK_SIZE) {
-        const combinedBuffer = Buffer.concat(collector.audioBuffer);
+        const combinedBuffer = Buffer.concat(stream.audioBuffer);
         const chunkToSend = combinedBuffer.subarray(0, TARGET_CHUNK_SIZE);
         const remainingData = combinedBuffer.subarray(TARGET_CHUNK_SIZE);
         
-        collector.audioBuffer = remainingData.length > 0 ? [remainingData] : [];
+        stream.audioBuffer = remainingData.length > 0 ? [remainingData] : [];
         
-        if (collector.streamingWs.readyState === WebSocket.OPEN) {
-            try {
-                collector.streamingWs.send(chunkToSend);
-            } catch (error) {
-                console.error(`❌ Error sending to AssemblyAI: ${error.message}`);
-            }
+        // Queue behind any replay in progress so audio stays in order
+        if (stream.state !== 'open' || stream.replayTimer || !stream.connection?.isOpen()) {
+            bufferForReplay(stream, chunkToSend);
+            return;
+        }
+
+        try {
+            stream.connection.sendAudio(chunkToSend);
+        } catch (error) {
+            console.error(`❌ Error sending to ${sttProvider.name}: ${error.message}`);
         }
     }
 }
 
 function flushAudioBuffer(meetingUuid) {
     const collector = audioCollectors.get(meetingUuid);
-    if (!collector || collector.audioBuffer.length === 0) return;
+    if (!collector) return;
 
-    const combinedBuffer = Buffer.concat(collector.audioBuffer);
     const minChunkSize = (SAMPLE_RATE * CHANNELS * BYTES_PER_SAMPLE * 50) / 1000;
-    
-    if (combinedBuffer.length >= minChunkSize && collector.streamingWs?.readyState === WebSocket.OPEN) {
-        try {
-            collector.streamingWs.send(combinedBuffer);
-            console.log(`🔄 Flushed audio buffer`);
-        } catch (error) {
-            console.error(`❌ Error flushing: ${error.message}`);
+
+    for (const stream of collector.streams.values()) {
+        if (stream.audioBuffer.length === 0) continue;
+
+        const combinedBuffer = Buffer.concat(stream.audioBuffer);
+        
+        if (combinedBuffer.length >= minChunkSize && stream.connection?.isOpen()) {
+            try {
+                stream.connection.sendAudio(combinedBuffer);
+                console.log(`🔄 Flushed audio buffer (${describeStream(stream)})`);
+            } catch (error) {
+                console.error(`❌ Error flushing: ${error.message}`);
+            }
         }
+        
+        stream.audioBuffer = [];
     }
-    
-    collector.audioBuffer = [];
 }
 
 async function cleanupMeeting(meetingUuid) {
     const collector = audioCollectors.get(meetingUuid);
+    const session = sessions.get(meetingUuid);
+    sessions.delete(meetingUuid);
+    if (session) {
+        clearTimeout(session.activeSpeakerTimer);
+        clearInterval(session.disclosureTimer);
+        clearInterval(session.analyticsTimer);
+    }
     if (!collector) return;
 
     console.log(`🧹 Cleaning up meeting`);
@@ -1970,119 +4167,188 @@ async function cleanupMeeting(meetingUuid) {
     collector.stopRequested = true;
     flushAudioBuffer(meetingUuid);
     
-    if (collector.streamingWs) {
+    for (const stream of collector.streams.values()) {
+        clearTimeout(stream.reconnectTimer);
+        clearInterval(stream.replayTimer);
+        
+        // Detach the session first so its close doesn't look like a drop
+        const connection = stream.connection;
+        stream.connection = null;
+        if (!connection) continue;
         try {
-            if (collector.streamingWs.readyState === WebSocket.OPEN) {
-                collector.streamingWs.send(JSON.stringify({ type: "Terminate" }));
-            }
-            setTimeout(() => {
-                if (collector.streamingWs) {
-                    collector.streamingWs.close();
-                }
-            }, 1000);
+            connection.terminate();
         } catch (error) {
-            console.error(`❌ Error closing AssemblyAI: ${error.message}`);
+            console.error(`❌ Error closing ${sttProvider.name}: ${error.message}`);
         }
     }
 
     if (activeConnections.has(meetingUuid)) {
-        const connections = activeConnections.get(meetingUuid);
-        for (const conn of Object.values(connections)) {
-            if (conn && typeof conn.close === 'function') {
-                conn.close();
+        // Detach the sockets before closing them, so their close and late
+        // messages are ignored rather than reconnecting or feeding a restarted
+        // meeting's session
+        const connection = activeConnections.get(meetingUuid);
+        connection.closing = true;
+        connection.state = 'closed';
+        clearTimeout(connection.reconnectTimer);
+        const sockets = [connection.signaling, connection.media];
+        connection.signaling = null;
+        connection.media = null;
+        for (const socket of sockets) {
+            if (socket && typeof socket.close === 'function') {
+                socket.close();
             }
         }
         activeConnections.delete(meetingUuid);
     }
+    publishStatus();
 
-    if (collector.audioChunks.length > 0) {
-        processRecordedAudio(meetingUuid, collector.audioChunks).catch(console.error);
+    if (collector.audioChunks.length > 0 && session) {
+        processRecordedAudio(session, collector.audioChunks).catch(console.error);
     }
 
     audioCollectors.delete(meetingUuid);
 }
 
 // OPTIMIZED: Shorter system prompt for faster Claude processing
-function getSystemPrompt() {
-  return `Financial consultation analyst. Extract key financial information and provide advisor insights. Focus on FAINT qualification (Funds, Authority, Interest, Need, Timing), client concerns, and strategic questions. Be concise.
+function getSystemPrompt(session) {
+  const { name } = session.framework;
+  return `Financial consultation analyst. Extract key financial information and provide advisor insights. Focus on ${describeFramework(session.framework)} qualification, client concerns, and strategic questions. Be concise.
+
+          IMPORTANT: When updating ${name} data, only include fields with NEW or CHANGED information. Do not include fields that haven't been mentioned or discussed. Preserve existing ${name} data.
+
+          Each transcript turn starts with its id, such as [t12]. Cite the ids of the turns every insight is based on in source_turns.
 
-          IMPORTANT: When updating FAINT data, only include fields with NEW or CHANGED information. Do not include fields that haven't been mentioned or discussed. Preserve existing FAINT data.`;
+          When the Consultant resolves a recorded open concern, call update_concern_status with status addressed and the id of the resolving turn. Use escalated when it needs a specialist, a follow-up meeting or other action beyond this conversation.
+
+          Personal identifiers are redacted as placeholders such as [SSN_1] or [PHONE_2]. Refer to them by placeholder and never guess the original values.${complianceRules ? `
+
+          COMPLIANCE: If the Consultant promises returns, calls an investment risk-free, gives specific tax or legal advice, or uses similar prohibited language, call flag_compliance_issue with their exact words.` : ''}${getMemoryContext(session)}`;
 }
 
-async function executeToolAndGetResult(toolUse) {
-  // Ensure financialData structure exists
-  if (!financialData) {
-    financialData = initializeFinancialData();
-  }
-  
-  // Ensure arrays exist
-  if (!financialData.summary) financialData.summary = [];
-  if (!financialData.clientInfo) financialData.clientInfo = [];
-  if (!financialData.advisorReminders) financialData.advisorReminders = [];
-  if (!financialData.concerns) financialData.concerns = [];
-  if (!financialData.strategicQuestions) financialData.strategicQuestions = [];
-  if (!financialData.faint) financialData.faint = {
-    funds: "Not identified",
-    authority: "Not identified", 
-    interest: "Not identified",
-    need: "Not identified",
-    timing: "Not identified"
-  };
+// Condensed earlier conversation plus everything already recorded, so facts
+// from turns no longer in the history aren't forgotten or added twice
+function getMemoryContext(session) {
+  const summary = session.memory.getSummary();
+  return `${summary ? `
+
+          EARLIER IN THIS CONSULTATION (condensed):
+          ${summary}` : ''}
+
+          ALREADY RECORDED (do not add these again; only add new or changed information. To revise a list item, pass its id as existing_id):
+          ${JSON.stringify(getRecordedInsights(session))}`;
+}
+
+// Financial data as shown to the model, e.g. list items reduced to id and value
+function getRecordedInsights(session) {
+  const financialData = getSafeFinancialData(session);
+  return Object.fromEntries(toolRegistry.plugins.map(plugin => [
+    plugin.id,
+    plugin.recorded ? plugin.recorded(financialData[plugin.id]) : financialData[plugin.id]
+  ]));
+}
+
+// Fold transcript turns that are leaving the history into the running summary
+async function summarizeConversation(previousSummary, turns) {
+  const message = await analysisBackend.createMessage({
+    system: `You maintain a running summary of a financial consultation for an analyst who can no longer see the earlier turns. Merge the new turns into the existing summary. Keep what the client said about their finances, family, goals, timeline and concerns, what the advisor committed to or recommended, and questions still open. Keep placeholders such as [SSN_1] as they are. Stay under 250 words. Reply with the summary only.`,
+    messages: [{
+      role: "user",
+      content: `Existing summary:\n${previousSummary || '(none yet)'}\n\nTurns to fold in:\n${turns.join('\n')}`
+    }]
+  });
+  return message.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n');
+}
+
+async function executeToolAndGetResult(session, toolUse) {
+  // Ensure every plugin's state exists
+  const context = getToolContext(session);
+  session.financialData = toolRegistry.normalizeState(session.financialData, context);
+  const financialData = session.financialData;
   
-  switch (toolUse.name) {
-    case 'update_summary':
-      financialData.summary.push(toolUse.input.new_point);
-      if (DEBUG_ENABLED) console.log(`💰 Summary: ${toolUse.input.new_point}`);
-      return {
-        type: 'tool_result',
-        tool_use_id: toolUse.id,
-        content: "Added"
-      };
-    case 'update_faint':
-      // Only update fields that are provided and not empty
-      Object.keys(toolUse.input).forEach(key => {
-        if (toolUse.input[key] && toolUse.input[key].trim() !== '' && toolUse.input[key] !== 'Not identified') {
-          financialData.faint[key] = toolUse.input[key];
-        }
-      });
-      if (DEBUG_ENABLED) console.log(`💎 FAINT updated:`, toolUse.input);
-      return {
-        type: 'tool_result',
-        tool_use_id: toolUse.id,
-        content: "Updated"
-      };
-    case 'update_client_info':
-      financialData.clientInfo.push(toolUse.input.new_info);
-      if (DEBUG_ENABLED) console.log(`👤 Client info: ${toolUse.input.new_info}`);
-      return {
-        type: 'tool_result',
-        tool_use_id: toolUse.id,
-        content: "Added"
-      };
-    case 'update_advisor_reminders':
-      financialData.advisorReminders.push(toolUse.input.new_reminder);
-      if (DEBUG_ENABLED) console.log(`💡 Reminder: ${toolUse.input.new_reminder}`);
+  const plugin = toolRegistry.findByToolName(toolUse.name);
+  if (plugin) {
+    const { source_turns, ...input } = toolUse.input || {};
+    const turnIds = citedTurnIds(toolUse.input, session.turnCount);
+    if (turnIds.length === 0) {
       return {
         type: 'tool_result',
         tool_use_id: toolUse.id,
-        content: "Added"
+        content: `Not recorded: source_turns must cite the ids of the turns this is based on, e.g. ["t${Math.max(session.turnCount, 1)}"]`
       };
-    case 'update_concerns':
-      financialData.concerns.push(toolUse.input.new_concern);
-      if (DEBUG_ENABLED) console.log(`⚠️ Concern: ${toolUse.input.new_concern.concern}`);
+    }
+    
+    const { state, changes, result } = plugin.reduce(financialData[plugin.id], input, context);
+    financialData[plugin.id] = state;
+    if (changes) publishToolChanges(session, plugin, changes, recordInsightSources(session, plugin, changes, turnIds));
+    if (changes && plugin.id === 'qualification') {
+      recordQualificationChanges(session, changes, { confidence: input.confidence, sourceTurns: turnIds });
+    }
+    if (DEBUG_ENABLED && plugin.describe) console.log(plugin.describe(toolUse.input, context));
+    return {
+      type: 'tool_result',
+      tool_use_id: toolUse.id,
+      content: result || "Done"
+    };
+  }
+  
+  switch (toolUse.name) {
+    case 'update_concern_status': {
+      const { concern_id: concernId, status, resolving_turn: resolvingTurn, note } = toolUse.input || {};
+      const concerns = financialData.concerns;
+      const index = concerns.findIndex(item => item.id === concernId);
+      const turn = findTurn(session, resolvingTurn);
+      const problem = index === -1 ? `No concern with id ${concernId}`
+        : !['addressed', 'escalated'].includes(status) ? 'status must be addressed or escalated'
+        : !turn ? `resolving_turn ${resolvingTurn} is not a turn of this meeting`
+        : null;
+      if (problem) {
+        return {
+          type: 'tool_result',
+          tool_use_id: toolUse.id,
+          content: `Not updated: ${problem}`
+        };
+      }
+      
+      const item = applyConcernStatus(concerns[index], { status, turn, note });
+      concerns[index] = item;
+      console.log(`${status === 'addressed' ? '✅' : '⏫'} Concern ${status} (${item.id}, ${turn.turnId}): ${item.value.concern}`);
+      publishEvent(session, 'list_item', { list: 'concerns', item, sources: {}, turns: {} });
       return {
         type: 'tool_result',
         tool_use_id: toolUse.id,
-        content: "Added"
+        content: `Marked ${item.id} ${status}`
       };
-    case 'update_strategic_questions':
-      financialData.strategicQuestions.push(toolUse.input.new_question);
-      if (DEBUG_ENABLED) console.log(`❓ Question: ${toolUse.input.new_question.question}`);
+    }
+    case 'flag_compliance_issue': {
+      const quote = toolUse.input?.quote;
+      if (typeof quote !== 'string') {
+        return {
+          type: 'tool_result',
+          tool_use_id: toolUse.id,
+          content: "Not flagged: quote must be a string with the Consultant's exact words"
+        };
+      }
+      // Only flag words the Consultant actually said
+      const turn = session.liveTranscripts.findLast(entry =>
+        entry.speaker === 'Consultant' && quoteMatchesTurn(quote, entry.text)
+      );
+      if (!session.compliance || !turn) {
+        return {
+          type: 'tool_result',
+          tool_use_id: toolUse.id,
+          content: "Not flagged: quote does not match a Consultant turn"
+        };
+      }
+      const alert = session.compliance.flag(toolUse.input, { turnTimestamp: turn.timestamp });
       return {
         type: 'tool_result',
         tool_use_id: toolUse.id,
-        content: "Added"
+        content: alert ? "Flagged" : "Already flagged"
       };
+    }
     default:
       return {
         type: 'tool_result',
@@ -2093,16 +4359,23 @@ async function executeToolAndGetResult(toolUse) {
 }
 
 // SIMPLIFIED: Financial display (only show when debug enabled)
-function displayCurrentFinancialData() {
+function displayCurrentFinancialData(session) {
   if (!DEBUG_ENABLED) return;
   
-  console.log('\n💼 FINANCIAL DASHBOARD UPDATE');
-  console.log(`Summary points: ${financialData.summary?.length || 0}`);
-  console.log(`FAINT data: ${Object.values(financialData.faint || {}).filter(v => v !== "Not identified").length}/5`);
-  console.log(`Client info items: ${financialData.clientInfo?.length || 0}`);
-  console.log(`Reminders: ${financialData.advisorReminders?.length || 0}`);
-  console.log(`Concerns: ${financialData.concerns?.length || 0}`);
-  console.log(`Strategic questions: ${financialData.strategicQuestions?.length || 0}\n`);
+  const financialData = getSafeFinancialData(session);
+  console.log(`\n💼 FINANCIAL DASHBOARD UPDATE (${session.conversationId})`);
+  for (const plugin of toolRegistry.plugins) {
+    const state = financialData[plugin.id];
+    if (plugin.kind === 'list') {
+      console.log(`${plugin.id}: ${state.length}`);
+    } else {
+      const values = Object.values(state);
+      const identified = values.filter(value =>
+        value !== NOT_IDENTIFIED && value !== null && !(typeof value === 'object' && Object.keys(value).length === 0));
+      console.log(`${plugin.id}: ${identified.length}/${values.length}`);
+    }
+  }
+  console.log('');
 }
 
 // NEW: Function to validate and clean conversation history
@@ -2138,12 +4411,12 @@ function validateAndCleanHistory(history) {
 }
 
 // FIXED: Claude processing with proper conversation history management
-async function processTranscript(transcript) {
+async function processTranscript(session, transcript) {
   if (!transcript.trim()) return;
   
   // Ensure financialData exists
-  if (!financialData) {
-    financialData = initializeFinancialData();
+  if (!session.financialData) {
+    session.financialData = initializeFinancialData(session.framework);
   }
   
   try {
@@ -2151,25 +4424,14 @@ async function processTranscript(transcript) {
       role: "user",
       content: transcript
     };
-    conversationHistory.push(userMessage);
-
-    // FIXED: Proper conversation history cleanup - preserve tool use/result pairs
-    if (conversationHistory.length > 30) {
-      // Find a safe truncation point that doesn't break tool pairs
-      let safeStartIndex = 0;
-      for (let i = conversationHistory.length - 20; i >= 0; i--) {
-        const msg = conversationHistory[i];
-        // Look for a user message that doesn't contain tool results
-        if (msg.role === "user" && !Array.isArray(msg.content)) {
-          safeStartIndex = i;
-          break;
-        }
-      }
-      conversationHistory = conversationHistory.slice(safeStartIndex);
-    }
+    session.conversationHistory.push(userMessage);
+
+    // Condense older turns into the running summary; recent turns stay verbatim
+    // and tool use/result pairs are never split
+    session.conversationHistory = await session.memory.compact(session.conversationHistory);
 
     // Filter out invalid messages more carefully
-    const validHistory = conversationHistory.filter(msg => {
+    const validHistory = session.conversationHistory.filter(msg => {
       if (Array.isArray(msg.content)) {
         return msg.content.length > 0;
       }
@@ -2179,11 +4441,9 @@ async function processTranscript(transcript) {
     // ADDITIONAL FIX: Validate conversation history for tool pairs
     const cleanHistory = validateAndCleanHistory(validHistory);
 
-    let message = await anthropic.messages.create({
-      model: "claude-3-5-sonnet-20241022",
-      max_tokens: 512,
-      system: getSystemPrompt(),
-      tools: TOOLS,
+    let message = await analysisBackend.createMessage({
+      system: getSystemPrompt(session),
+      tools: getSessionTools(session),
       messages: cleanHistory
     });
 
@@ -2193,27 +4453,27 @@ async function processTranscript(transcript) {
       
       for (const content of message.content) {
         if (content.type === 'tool_use') {
-          const result = await executeToolAndGetResult(content);
+          const result = await executeToolAndGetResult(session, content);
           toolResults.push(result);
         }
       }
 
       if (message.content && message.content.length > 0) {
-        conversationHistory.push({
+        session.conversationHistory.push({
           role: "assistant",
           content: message.content
         });
       }
 
       if (toolResults.length > 0) {
-        conversationHistory.push({
+        session.conversationHistory.push({
           role: "user",
           content: toolResults
         });
       }
 
       // Clean history again before next API call
-      const validHistoryAfterTools = conversationHistory.filter(msg => {
+      const validHistoryAfterTools = session.conversationHistory.filter(msg => {
         if (Array.isArray(msg.content)) {
           return msg.content.length > 0;
         }
@@ -2222,17 +4482,15 @@ async function processTranscript(transcript) {
 
       const cleanHistoryAfterTools = validateAndCleanHistory(validHistoryAfterTools);
 
-      message = await anthropic.messages.create({
-        model: "claude-3-5-sonnet-20241022",
-        max_tokens: 512,
-        system: getSystemPrompt(),
-        tools: TOOLS,
+      message = await analysisBackend.createMessage({
+        system: getSystemPrompt(session),
+        tools: getSessionTools(session),
         messages: cleanHistoryAfterTools
       });
     }
 
     if (message.stop_reason !== 'tool_use' && message.content && message.content.length > 0) {
-      conversationHistory.push({
+      session.conversationHistory.push({
         role: "assistant",
         content: message.content
       });
@@ -2244,10 +4502,11 @@ async function processTranscript(transcript) {
         fs.mkdirSync('./consultation_logs');
       }
       fs.writeFileSync(
-        `./consultation_logs/${conversationId}.json`, 
+        `./consultation_logs/${session.conversationId}.json`, 
         JSON.stringify({
-          conversationHistory,
-          financialData,
+          conversationSummary: session.memory.getSummary(),
+          conversationHistory: session.conversationHistory,
+          financialData: session.financialData,
           timestamp: new Date().toISOString()
         }, null, 2)
       );
@@ -2259,14 +4518,15 @@ async function processTranscript(transcript) {
     // FALLBACK: If there's still an error, reset conversation history
     if (error.message.includes('tool_use_id') || error.message.includes('tool_result')) {
       console.log('🔄 Resetting conversation history due to tool pairing error');
-      conversationHistory = conversationHistory.filter(msg => 
+      session.conversationHistory = session.conversationHistory.filter(msg => 
         msg.role === "user" && typeof msg.content === "string"
       ).slice(-5); // Keep only last 5 simple user messages
     }
   }
 }
 
-async function processRecordedAudio(meetingId, audioChunks) {
+async function processRecordedAudio(session, audioChunks) {
+  const meetingId = session.meetingUuid;
   if (audioChunks.length === 0) {
     console.log("❌ No audio data");
     return;
@@ -2301,9 +4561,26 @@ async function processRecordedAudio(meetingId, audioChunks) {
         const finalReport = {
           meetingId,
           timestamp: new Date().toISOString(),
-          financialData,
-          speakerMapping: Array.from(speakerMapping.entries()),
-          fullTranscript: transcript.text
+          conversationId: session.conversationId,
+          qualificationFramework: session.framework.id,
+          qualificationScore: getQualificationScore(session),
+          conversationSummary: session.memory.getSummary(),
+          financialData: session.financialData,
+          insightSources: {
+            insights: session.insightSources,
+            turns: session.sourceTurns
+          },
+          questionCoverage: getQuestionCoverage(getSafeFinancialData(session).strategicQuestions),
+          followUps: session.concernFollowUps || getConcernFollowUps(getSafeFinancialData(session).concerns),
+          talkTime: getTalkAnalytics(session),
+          nudges: session.nudges ? session.nudges.getHistory() : null,
+          speakerMapping: Array.from(session.speakerMapping.entries()),
+          disclosures: session.disclosures ? session.disclosures.getReport() : null,
+          compliance: session.compliance ? {
+            summary: session.compliance.getSummary(),
+            auditTrail: session.compliance.getAuditTrail()
+          } : null,
+          fullTranscript: redactPii(transcript.text, session.piiVault)
         };
         
         if (!fs.existsSync('./consultation_logs')) {
@@ -2339,6 +4616,13 @@ const server = app.listen(PORT, () => {
   console.log(`🌐 Financial Consultation Intelligence System running at http://localhost:${PORT}`);
   console.log(`🔗 Webhook: http://localhost:${PORT}/webhook`);
   console.log(`🐛 Debug mode: ${DEBUG_ENABLED ? 'ENABLED' : 'DISABLED'}`);
+  console.log(`${defaultFramework.icon} Qualification framework: ${defaultFramework.name}`);
+  if (!ZOOM_SECRET_TOKEN) {
+    console.warn('⚠️ ZOOM_SECRET_TOKEN is not set - all webhooks will be rejected');
+  }
+  if (PII_REDACTION_ENABLED && !PII_VAULT_KEY) {
+    console.warn('⚠️ PII_VAULT_KEY is not set - redacted values can only be revealed while the server is running');
+  }
   console.log('📋 FIXED: Questions and concerns undefined issue resolved\n');
 });
 
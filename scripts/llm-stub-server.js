@@ -0,0 +1,181 @@
+// Local Anthropic-compatible stub for the analysis backend. Serves
+// POST /v1/messages and answers with scripted tool_use blocks, so the tool
+// loop in processTranscript, executeToolAndGetResult and the dashboard can be
+// exercised deterministically without an API key.
+//
+// Each script rule has a case-insensitive regex that is matched against the
+// latest transcript turn, plus the tool calls to make when it matches:
+// {
+//   "rules": [
+//     { "match": "401k|IRA", "tool_uses": [{ "name": "update_qualification", "input": { "funds": "..." } }] }
+//   ]
+// }
+// Tool calls for tools the request doesn't offer are skipped. Tools that take
+// source_turns cite the ids ("[t12] Client: ...") of the lines the rule
+// matched, unless the scripted input already has them, and "{{turn}}" in an
+// input stands for the first of those ids. Once tool results come back, the
+// stub logs them and ends the turn. Requests without tools (conversation
+// summaries) get the lines of the latest message back, each cut short.
+//
+// Usage: npm run llm-stub -- [--port 8090] [--script fixtures/llm-script.json]
+import fs from 'fs';
+import http from 'http';
+import { parseArgs } from 'util';
+
+const { values: options } = parseArgs({
+    options: {
+        port: { type: 'string', default: '8090' },
+        script: { type: 'string', default: 'fixtures/llm-script.json' }
+    }
+});
+
+const script = JSON.parse(fs.readFileSync(options.script, 'utf8'));
+const rules = (script.rules || []).map(rule => ({
+    ...rule,
+    pattern: new RegExp(rule.match, 'i')
+}));
+
+let messageCount = 0;
+let toolUseCount = 0;
+
+function errorResponse(res, status, message) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ type: 'error', error: { type: 'invalid_request_error', message } }));
+}
+
+// Enforce the same tool_use / tool_result pairing rule the real API does
+function validateMessages(messages) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+        return 'messages: at least one message is required';
+    }
+    if (messages[0].role !== 'user') {
+        return 'messages: first message must use the "user" role';
+    }
+
+    for (let i = 0; i < messages.length; i++) {
+        const msg = messages[i];
+        if (!Array.isArray(msg.content)) continue;
+
+        const toolResults = msg.content.filter(block => block.type === 'tool_result');
+        if (toolResults.length === 0) continue;
+
+        const previous = messages[i - 1];
+        const toolUseIds = new Set(
+            Array.isArray(previous?.content)
+                ? previous.content.filter(block => block.type === 'tool_use').map(block => block.id)
+                : []
+        );
+        for (const result of toolResults) {
+            if (!toolUseIds.has(result.tool_use_id)) {
+                return `messages.${i}.content: unexpected \`tool_use_id\` found in \`tool_result\` blocks: ${result.tool_use_id}. ` +
+                    'Each `tool_result` block must have a corresponding `tool_use` block in the previous message.';
+            }
+        }
+    }
+    return null;
+}
+
+function buildMessage(model, content, stopReason) {
+    messageCount++;
+    return {
+        id: `msg_stub_${messageCount}`,
+        type: 'message',
+        role: 'assistant',
+        model,
+        content,
+        stop_reason: stopReason,
+        stop_sequence: null,
+        usage: { input_tokens: 0, output_tokens: 0 }
+    };
+}
+
+// Stand-in for a summary: every content line of the message, shortened
+function condense(text) {
+    return text
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line && !line.endsWith(':') && line !== '(none yet)')
+        .map(line => line.length > 80 ? `${line.slice(0, 77)}...` : line)
+        .join('\n');
+}
+
+function respond(body) {
+    const lastMessage = body.messages[body.messages.length - 1];
+
+    // Tool results came back: finish the turn
+    if (Array.isArray(lastMessage.content)) {
+        for (const block of lastMessage.content.filter(block => block.type === 'tool_result')) {
+            console.log(`   ↩️ ${block.tool_use_id}: ${block.content}`);
+        }
+        return buildMessage(body.model, [{ type: 'text', text: 'Noted.' }], 'end_turn');
+    }
+
+    if (!body.tools?.length) {
+        return buildMessage(body.model, [{ type: 'text', text: condense(lastMessage.content) }], 'end_turn');
+    }
+
+    const offeredTools = new Map((body.tools || []).map(tool => [tool.name, tool]));
+    const lines = lastMessage.content.split('\n');
+    const toolUses = rules
+        .filter(rule => rule.pattern.test(lastMessage.content))
+        .flatMap(rule => {
+            const turnIds = lines
+                .filter(line => rule.pattern.test(line))
+                .map(line => line.match(/^\[(t\d+)\]/)?.[1])
+                .filter(Boolean);
+            return (rule.tool_uses || []).map(toolUse => ({ toolUse, turnIds }));
+        })
+        .filter(({ toolUse }) => offeredTools.has(toolUse.name))
+        .map(({ toolUse, turnIds }) => {
+            const citesTurns = offeredTools.get(toolUse.name).input_schema?.properties?.source_turns;
+            return {
+                type: 'tool_use',
+                id: `toolu_stub_${++toolUseCount}`,
+                name: toolUse.name,
+                input: {
+                    ...JSON.parse(JSON.stringify(toolUse.input).replaceAll('{{turn}}', turnIds[0] || '')),
+                    ...(citesTurns && !toolUse.input.source_turns ? { source_turns: turnIds } : {})
+                }
+            };
+        });
+
+    if (toolUses.length === 0) {
+        return buildMessage(body.model, [{ type: 'text', text: 'No new insights.' }], 'end_turn');
+    }
+    return buildMessage(body.model, toolUses, 'tool_use');
+}
+
+const server = http.createServer((req, res) => {
+    if (req.method !== 'POST' || !req.url.startsWith('/v1/messages')) {
+        return errorResponse(res, 404, `Not found: ${req.method} ${req.url}`);
+    }
+
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+        let body;
+        try {
+            body = JSON.parse(raw);
+        } catch (error) {
+            return errorResponse(res, 400, 'Request body is not valid JSON');
+        }
+
+        const invalid = validateMessages(body.messages);
+        if (invalid) {
+            console.warn(`⚠️ Rejected request: ${invalid}`);
+            return errorResponse(res, 400, invalid);
+        }
+
+        const message = respond(body);
+        const toolNames = message.content.filter(block => block.type === 'tool_use').map(block => block.name);
+        console.log(`🤖 ${message.id}: ${toolNames.length > 0 ? toolNames.join(', ') : message.stop_reason}`);
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(message));
+    });
+});
+
+server.listen(parseInt(options.port, 10), () => {
+    console.log(`🧪 LLM stub listening on http://localhost:${options.port} (${rules.length} rules from ${options.script})`);
+    console.log(`   Start the app with ANALYSIS_BASE_URL=http://localhost:${options.port}`);
+});
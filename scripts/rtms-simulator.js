@@ -0,0 +1,336 @@
+// Local RTMS simulator: drives the whole pipeline without a Zoom meeting.
+//
+// Posts a signed meeting.rtms_started webhook to the app, serves the signaling
+// and media WebSocket protocol that connectToSignalingWebSocket and
+// connectToMediaWebSocket speak, streams each WAV file as a separate
+// participant and finishes with meeting.rtms_stopped. With --restart-after it
+// posts meeting.rtms_started again partway through, the way Zoom does when a
+// meeting's stream restarts, and keeps streaming to the reconnected app.
+//
+// Usage: npm run simulate -- [options] advisor.wav client.wav
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { parseArgs } from 'util';
+import { WebSocketServer } from 'ws';
+
+const ZOOM_SECRET_TOKEN = process.env.ZOOM_SECRET_TOKEN;
+const CLIENT_ID = process.env.ZM_CLIENT_ID;
+const CLIENT_SECRET = process.env.ZM_CLIENT_SECRET;
+
+// Audio is delivered the way the app requests it: 16kHz mono L16 in 100ms packets
+const SAMPLE_RATE = 16000;
+const PACKET_MS = 100;
+const PACKET_BYTES = (SAMPLE_RATE * 2 * PACKET_MS) / 1000;
+const KEEP_ALIVE_INTERVAL_MS = 5000;
+const SILENCE_RMS_THRESHOLD = 300; // Packets quieter than this are not sent, like RTMS
+
+const { values: options, positionals: wavFiles } = parseArgs({
+    allowPositionals: true,
+    options: {
+        target: { type: 'string', default: `http://localhost:${process.env.PORT || 8080}/webhook` },
+        port: { type: 'string', default: '9200' },
+        'meeting-uuid': { type: 'string' },
+        speed: { type: 'string', default: '1' },
+        tail: { type: 'string', default: '5' },
+        'include-silence': { type: 'boolean', default: false },
+        'restart-after': { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false }
+    }
+});
+
+if (options.help || wavFiles.length === 0) {
+    console.log(`Usage: npm run simulate -- [options] <participant1.wav> [participant2.wav ...]
+
+Each WAV file is streamed as its own participant (user_id 1001, 1002, ...).
+The first file is auto-assigned Consultant, the second Client.
+
+Options:
+  --target <url>        App webhook URL (default http://localhost:${process.env.PORT || 8080}/webhook,
+                        the app's PORT)
+  --port <port>         Port for the simulated RTMS servers (default 9200)
+  --meeting-uuid <id>   Meeting UUID to report (default: random)
+  --speed <n>           Playback speed multiplier (default 1 = real time)
+  --tail <seconds>      Wait before sending meeting.rtms_stopped (default 5)
+  --include-silence     Also send silent packets instead of skipping them
+  --restart-after <s>   Post meeting.rtms_started again after this many seconds
+                        of audio, for the same meeting`);
+    process.exit(wavFiles.length === 0 && !options.help ? 1 : 0);
+}
+
+if (!ZOOM_SECRET_TOKEN || !CLIENT_ID || !CLIENT_SECRET) {
+    console.error('❌ ZOOM_SECRET_TOKEN, ZM_CLIENT_ID and ZM_CLIENT_SECRET must be set (same values as the app)');
+    process.exit(1);
+}
+
+const port = parseInt(options.port, 10);
+const speed = parseFloat(options.speed) || 1;
+const meetingUuid = options['meeting-uuid'] || crypto.randomBytes(16).toString('base64');
+const streamId = crypto.randomBytes(16).toString('hex');
+const signalingUrl = `ws://localhost:${port}/signaling`;
+const mediaUrl = `ws://localhost:${port}/media`;
+const restartAfterMs = options['restart-after'] === undefined ? null : parseFloat(options['restart-after']) * 1000;
+
+// Read a 16-bit PCM WAV file and convert it to 16kHz mono
+function readWav(filePath) {
+    const buffer = fs.readFileSync(filePath);
+    if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error(`${filePath} is not a WAV file`);
+    }
+
+    let format = null;
+    let data = null;
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+        const chunkId = buffer.toString('ascii', offset, offset + 4);
+        const chunkSize = buffer.readUInt32LE(offset + 4);
+        const body = offset + 8;
+
+        if (chunkId === 'fmt ') {
+            format = {
+                audioFormat: buffer.readUInt16LE(body),
+                channels: buffer.readUInt16LE(body + 2),
+                sampleRate: buffer.readUInt32LE(body + 4),
+                bitsPerSample: buffer.readUInt16LE(body + 14)
+            };
+        } else if (chunkId === 'data') {
+            data = buffer.subarray(body, Math.min(body + chunkSize, buffer.length));
+        }
+        offset = body + chunkSize + (chunkSize % 2);
+    }
+
+    if (!format || !data) {
+        throw new Error(`${filePath} is missing a fmt or data chunk`);
+    }
+    if (format.audioFormat !== 1 || format.bitsPerSample !== 16) {
+        throw new Error(`${filePath}: only 16-bit PCM WAV files are supported`);
+    }
+
+    // Downmix to mono
+    const frameCount = Math.floor(data.length / (2 * format.channels));
+    const mono = new Float32Array(frameCount);
+    for (let i = 0; i < frameCount; i++) {
+        let sum = 0;
+        for (let c = 0; c < format.channels; c++) {
+            sum += data.readInt16LE((i * format.channels + c) * 2);
+        }
+        mono[i] = sum / format.channels;
+    }
+
+    // Resample to 16kHz with linear interpolation
+    const ratio = format.sampleRate / SAMPLE_RATE;
+    const outputLength = Math.floor(frameCount / ratio);
+    const output = Buffer.alloc(outputLength * 2);
+    for (let i = 0; i < outputLength; i++) {
+        const position = i * ratio;
+        const index = Math.floor(position);
+        const next = Math.min(index + 1, frameCount - 1);
+        const sample = mono[index] + (mono[next] - mono[index]) * (position - index);
+        output.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(sample))), i * 2);
+    }
+    return output;
+}
+
+function isSilent(packet) {
+    let sumSquares = 0;
+    const samples = packet.length / 2;
+    for (let i = 0; i < samples; i++) {
+        const sample = packet.readInt16LE(i * 2);
+        sumSquares += sample * sample;
+    }
+    return Math.sqrt(sumSquares / samples) < SILENCE_RMS_THRESHOLD;
+}
+
+// Same signature the app sends in its handshakes
+function generateSignature() {
+    const message = `${CLIENT_ID},${meetingUuid},${streamId}`;
+    return crypto.createHmac('sha256', CLIENT_SECRET).update(message).digest('hex');
+}
+
+// Post a webhook signed the way Zoom signs them
+async function postWebhook(event, payload) {
+    const body = JSON.stringify({ event, event_ts: Date.now(), payload });
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const signature = 'v0=' + crypto
+        .createHmac('sha256', ZOOM_SECRET_TOKEN)
+        .update(`v0:${timestamp}:${body}`)
+        .digest('hex');
+
+    const response = await fetch(options.target, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'x-zm-signature': signature,
+            'x-zm-request-timestamp': timestamp,
+            'x-zm-trackingid': crypto.randomUUID()
+        },
+        body
+    });
+    console.log(`📤 ${event} → ${response.status}`);
+    if (!response.ok) {
+        throw new Error(`Webhook ${event} rejected with ${response.status}`);
+    }
+}
+
+// Answer keep-alive responses and send msg_type 12 periodically
+function startKeepAlive(ws, label) {
+    let awaitingResponse = false;
+    const timer = setInterval(() => {
+        if (awaitingResponse) {
+            console.warn(`⚠️ No keep-alive response on ${label}`);
+        }
+        awaitingResponse = true;
+        ws.send(JSON.stringify({ msg_type: 12, timestamp: Date.now() }));
+    }, KEEP_ALIVE_INTERVAL_MS);
+
+    ws.on('message', (data) => {
+        try {
+            if (JSON.parse(data).msg_type === 13) awaitingResponse = false;
+        } catch (error) {
+            // Ignore non-JSON frames
+        }
+    });
+    ws.on('close', () => clearInterval(timer));
+}
+
+const participants = wavFiles.map((file, index) => ({
+    userId: 1001 + index,
+    userName: path.basename(file, path.extname(file)),
+    audio: readWav(file),
+    offset: 0
+}));
+
+for (const participant of participants) {
+    const seconds = participant.audio.length / (SAMPLE_RATE * 2);
+    console.log(`🎧 Participant ${participant.userId} (${participant.userName}): ${seconds.toFixed(1)}s of audio`);
+}
+
+let mediaSocket = null;
+let streamingStarted = false;
+
+const server = http.createServer();
+const wss = new WebSocketServer({ server });
+
+wss.on('connection', (ws, req) => {
+    const label = req.url === '/media' ? 'media' : 'signaling';
+    console.log(`🔗 App connected to ${label}`);
+    startKeepAlive(ws, label);
+
+    ws.on('message', (data) => {
+        let msg;
+        try {
+            msg = JSON.parse(data);
+        } catch (error) {
+            return;
+        }
+        const validSignature = msg.signature === generateSignature() &&
+            msg.meeting_uuid === meetingUuid && msg.rtms_stream_id === streamId;
+
+        if (label === 'signaling' && msg.msg_type === 1) {
+            ws.send(JSON.stringify(validSignature ? {
+                msg_type: 2,
+                status_code: 0,
+                media_server: { server_urls: { audio: mediaUrl, all: mediaUrl } }
+            } : { msg_type: 2, status_code: 1, reason: 'Invalid signature' }));
+        }
+
+        if (label === 'signaling' && msg.msg_type === 7 && !streamingStarted) {
+            streamingStarted = true;
+            console.log('🚀 App is ready - streaming audio');
+            streamAudio();
+        }
+
+        if (label === 'media' && msg.msg_type === 3) {
+            if (validSignature) {
+                mediaSocket = ws;
+                ws.send(JSON.stringify({
+                    msg_type: 4,
+                    status_code: 0,
+                    media_params: { audio: msg.media_params?.audio }
+                }));
+            } else {
+                ws.send(JSON.stringify({ msg_type: 4, status_code: 1, reason: 'Invalid signature' }));
+            }
+        }
+    });
+
+    ws.on('close', () => {
+        console.log(`🔌 App disconnected from ${label}`);
+        if (ws === mediaSocket) mediaSocket = null;
+    });
+});
+
+// Send each participant's next packet every PACKET_MS (scaled by --speed).
+// Packets are sent to whichever media socket is current, so streaming carries
+// on across app-side reconnects and restarts.
+function streamAudio() {
+    let streamedMs = 0;
+    let restarted = false;
+    const timer = setInterval(async () => {
+        streamedMs += PACKET_MS;
+        if (restartAfterMs !== null && !restarted && streamedMs >= restartAfterMs) {
+            restarted = true;
+            console.log('♻️ Restarting the meeting');
+            startMeeting().catch(error => console.error(`❌ ${error.message}`));
+        }
+
+        for (const participant of participants) {
+            if (participant.offset >= participant.audio.length) continue;
+
+            const packet = participant.audio.subarray(participant.offset, participant.offset + PACKET_BYTES);
+            participant.offset += PACKET_BYTES;
+
+            if (!options['include-silence'] && isSilent(packet)) continue;
+            if (mediaSocket?.readyState !== 1) continue;
+
+            mediaSocket.send(JSON.stringify({
+                msg_type: 14,
+                content: {
+                    user_id: participant.userId,
+                    user_name: participant.userName,
+                    data: packet.toString('base64'),
+                    timestamp: Date.now()
+                }
+            }));
+        }
+
+        if (participants.every(participant => participant.offset >= participant.audio.length)) {
+            clearInterval(timer);
+            console.log(`✅ Audio finished - stopping meeting in ${options.tail}s`);
+            setTimeout(stopMeeting, parseFloat(options.tail) * 1000);
+        }
+    }, PACKET_MS / speed);
+}
+
+async function stopMeeting() {
+    try {
+        await postWebhook('meeting.rtms_stopped', { meeting_uuid: meetingUuid, rtms_stream_id: streamId });
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+    }
+    for (const client of wss.clients) client.close();
+    server.close(() => process.exit(0));
+}
+
+function startMeeting() {
+    return postWebhook('meeting.rtms_started', {
+        meeting_uuid: meetingUuid,
+        rtms_stream_id: streamId,
+        server_urls: signalingUrl
+    });
+}
+
+server.listen(port, async () => {
+    console.log(`🎭 RTMS simulator listening on ws://localhost:${port}`);
+    console.log(`📞 Meeting UUID: ${meetingUuid}`);
+
+    try {
+        await startMeeting();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+});
+
+process.on('SIGINT', stopMeeting);
@@ -0,0 +1,27 @@
+// Anthropic Messages API analysis backend. Also works against any
+// Anthropic-compatible server, such as scripts/llm-stub-server.js.
+import Anthropic from '@anthropic-ai/sdk';
+
+export function createAnthropicBackend({ apiKey, baseURL, model, maxTokens }) {
+  const client = new Anthropic({
+    // Local compatible servers don't check the key, so don't require one there
+    apiKey: apiKey || (baseURL ? 'local' : undefined),
+    baseURL,
+  });
+
+  return {
+    name: baseURL ? `Anthropic-compatible (${baseURL})` : 'Anthropic',
+    model,
+    configured: !!(apiKey || baseURL),
+
+    createMessage({ system, tools, messages }) {
+      return client.messages.create({
+        model,
+        max_tokens: maxTokens,
+        system,
+        ...(tools?.length ? { tools } : {}),
+        messages
+      });
+    }
+  };
+}
@@ -0,0 +1,20 @@
+// Analysis (LLM) backend registry.
+//
+// A backend is { name, model, configured, createMessage({ system, tools, messages }) }.
+// tools may be omitted for plain-text requests such as conversation summaries.
+// createMessage resolves to a message in the Anthropic Messages format:
+// { content: [...text / tool_use blocks], stop_reason }. processTranscript runs
+// its tool loop against that shape, so other engines need to translate to it.
+import { createAnthropicBackend } from './anthropic.js';
+
+const BACKENDS = {
+  anthropic: createAnthropicBackend
+};
+
+export function createAnalysisBackend(name, options) {
+  const factory = BACKENDS[name];
+  if (!factory) {
+    throw new Error(`Unknown analysis backend "${name}" (available: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+  return factory(options);
+}
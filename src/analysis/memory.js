@@ -0,0 +1,57 @@
+// Rolling conversation memory for the analysis history.
+//
+// Once the history grows past maxMessages, everything before the most recent
+// keepMessages (cut at a plain transcript message, so tool_use/tool_result
+// pairs stay together) is folded into a running summary and dropped. Recent
+// turns stay verbatim.
+//
+// summarize(previousSummary, turns) resolves to the new summary text. If it
+// fails, the history is left as is and compaction is retried on the next turn;
+// only a history twice the limit is cut without a summary.
+export function createConversationMemory({ summarize, maxMessages = 30, keepMessages = 20 } = {}) {
+  let summary = '';
+  const stats = {
+    compactions: 0,
+    compacted_turns: 0,
+    failed_compactions: 0,
+    last_compacted_at: null
+  };
+
+  function isTranscriptMessage(message) {
+    return message.role === 'user' && typeof message.content === 'string';
+  }
+
+  // Index of the oldest message to keep verbatim, or 0 when there is no safe cut
+  function findCutIndex(history) {
+    for (let i = history.length - keepMessages; i > 0; i--) {
+      if (isTranscriptMessage(history[i])) return i;
+    }
+    return 0;
+  }
+
+  async function compact(history) {
+    if (history.length <= maxMessages) return history;
+
+    const cut = findCutIndex(history);
+    if (cut === 0) return history;
+
+    const turns = history.slice(0, cut).filter(isTranscriptMessage).map(message => message.content);
+    try {
+      summary = (await summarize(summary, turns)).trim() || summary;
+      stats.compactions++;
+      stats.compacted_turns += turns.length;
+      stats.last_compacted_at = new Date().toISOString();
+    } catch (error) {
+      stats.failed_compactions++;
+      console.error('❌ Conversation memory compaction failed:', error.message);
+      if (history.length <= maxMessages * 2) return history;
+    }
+    return history.slice(cut);
+  }
+
+  return {
+    compact,
+    getSummary: () => summary,
+    getStatus: () => ({ summary_length: summary.length, ...stats })
+  };
+}
@@ -0,0 +1,90 @@
+// Per-meeting analysis queue.
+//
+// Turns are analyzed one request at a time, in order, so tool_use/tool_result
+// pairs in the conversation history never interleave. Turns that arrive within
+// batchWindowMs of the first waiting turn go out together as one request.
+// While a request is running, new turns wait and are merged into the next
+// batch. If more than maxBatchTurns are waiting, the oldest ones are skipped so
+// the analysis catches up with the live conversation instead of lagging
+// further behind.
+//
+// analyze(text) is called with the batch's turns joined by newlines.
+export function createAnalysisQueue({ analyze, batchWindowMs = 1500, maxBatchTurns = 8, onSkip } = {}) {
+  let pending = []; // { text, queuedAt }
+  let running = false;
+  let timer = null;
+  let latencyTotal = 0;
+
+  const stats = {
+    batches: 0,
+    turns_analyzed: 0,
+    merged_turns: 0,
+    skipped_turns: 0,
+    last_latency_ms: null,
+    last_duration_ms: null
+  };
+
+  function schedule() {
+    if (running || timer || pending.length === 0) return;
+    if (batchWindowMs <= 0) {
+      run();
+      return;
+    }
+    // The window starts at the oldest waiting turn, so a backlog left over from
+    // a long request goes out straight away
+    const wait = Math.max(0, pending[0].queuedAt + batchWindowMs - Date.now());
+    timer = setTimeout(() => {
+      timer = null;
+      run();
+    }, wait);
+  }
+
+  async function run() {
+    let batch = pending;
+    pending = [];
+
+    if (batch.length > maxBatchTurns) {
+      const skipped = batch.length - maxBatchTurns;
+      batch = batch.slice(-maxBatchTurns);
+      stats.skipped_turns += skipped;
+      onSkip?.(skipped);
+    }
+
+    running = true;
+    const startedAt = Date.now();
+    try {
+      await analyze(batch.map(turn => turn.text).join('\n'));
+    } catch (error) {
+      console.error('❌ Analysis batch failed:', error.message);
+    } finally {
+      const finishedAt = Date.now();
+      stats.batches++;
+      stats.turns_analyzed += batch.length;
+      stats.merged_turns += batch.length - 1;
+      stats.last_duration_ms = finishedAt - startedAt;
+      stats.last_latency_ms = finishedAt - batch[0].queuedAt;
+      latencyTotal += stats.last_latency_ms;
+      running = false;
+      schedule();
+    }
+  }
+
+  function enqueue(text) {
+    pending.push({ text, queuedAt: Date.now() });
+    schedule();
+  }
+
+  // Depth is the number of turns waiting; latency is measured from when the
+  // oldest turn of a batch was queued until its analysis finished
+  function getStatus() {
+    return {
+      depth: pending.length,
+      running,
+      oldest_wait_ms: pending.length > 0 ? Date.now() - pending[0].queuedAt : 0,
+      ...stats,
+      avg_latency_ms: stats.batches > 0 ? Math.round(latencyTotal / stats.batches) : null
+    };
+  }
+
+  return { enqueue, getStatus };
+}
@@ -0,0 +1,185 @@
+// Talk-time and conversation dynamics.
+//
+// RTMS only sends a participant's audio while they are talking, so speech is
+// measured from the packets: each one is durationMs of speech that ended when
+// it arrived. From the packets of every speaker:
+//   - A speaker is talking while their packets arrive less than overlapMs
+//     apart; each such stretch is one run of speech.
+//   - The floor passes to a speaker once they have talked for takeFloorMs
+//     since the holder's turn began (or, if they were already talking, since
+//     the holder stopped), so a quick "mm-hmm" doesn't end the other
+//     speaker's turn and talking over each other doesn't flip it back and
+//     forth. Each time a speaker holds the floor is one turn; the longest is
+//     their longest monologue.
+//   - Starting to talk while someone else is talking, with both still heard
+//     overlapMs later, is an interruption of that speaker.
+//   - Nobody talking for silenceGapMs or longer is a silence gap. It ends
+//     the turn of whoever held the floor.
+// Final transcript turns add the question and word counts.
+//
+// getMetrics(roleOf) returns the snake_case metrics served by /api/analytics,
+// where roleOf(speakerId) is the speaker's role ("Consultant", "Client", ...).
+
+const RECENT_GAPS = 10;
+
+export function createTalkTimeTracker({
+  silenceGapMs = 5000,
+  overlapMs = 300,
+  takeFloorMs = 1000,
+  startedAt = Date.now()
+} = {}) {
+  const speakers = new Map();
+  let floor = null; // { speakerId, start, end }
+  let lastSpeechEnd = null;
+  let pendingInterruption = null; // { by, of, at }, confirmed once both are heard overlapMs later
+  let overlaps = 0;
+  const silence = { gaps: 0, totalMs: 0, longestMs: 0, recent: [] };
+
+  function getSpeaker(speakerId) {
+    if (!speakers.has(speakerId)) {
+      speakers.set(speakerId, {
+        talkMs: 0,
+        runStart: null, // Current run of speech
+        lastEnd: null,
+        turns: 0,
+        turnMs: 0,
+        longestMonologue: null, // { ms, start }
+        interruptions: 0, // Times they cut in on someone
+        interrupted: 0, // Times someone cut in on them
+        transcriptTurns: 0,
+        words: 0,
+        questions: 0
+      });
+    }
+    return speakers.get(speakerId);
+  }
+
+  function isTalking(speaker, at) {
+    return speaker.lastEnd !== null && at - speaker.lastEnd < overlapMs;
+  }
+
+  function closeFloor(end = floor?.end) {
+    if (!floor) return;
+    const speaker = getSpeaker(floor.speakerId);
+    const ms = Math.max(0, end - floor.start);
+    speaker.turns++;
+    speaker.turnMs += ms;
+    if (!speaker.longestMonologue || ms > speaker.longestMonologue.ms) {
+      speaker.longestMonologue = { ms, start: floor.start };
+    }
+    floor = null;
+  }
+
+  function addAudio(speakerId, durationMs, at = Date.now()) {
+    const start = at - durationMs;
+    const speaker = getSpeaker(speakerId);
+
+    if (lastSpeechEnd !== null && start - lastSpeechEnd >= silenceGapMs) {
+      const ms = start - lastSpeechEnd;
+      silence.gaps++;
+      silence.totalMs += ms;
+      silence.longestMs = Math.max(silence.longestMs, ms);
+      silence.recent = [...silence.recent, { start: lastSpeechEnd, end: start, ms }].slice(-RECENT_GAPS);
+      closeFloor();
+    }
+
+    if (!isTalking(speaker, start)) {
+      speaker.runStart = start;
+      const cutInOn = [...speakers].find(([id, other]) => id !== speakerId && isTalking(other, start));
+      pendingInterruption = cutInOn ? { by: speakerId, of: cutInOn[0], at: start } : pendingInterruption;
+    }
+    speaker.lastEnd = at;
+    speaker.talkMs += durationMs;
+    lastSpeechEnd = Math.max(lastSpeechEnd ?? at, at);
+
+    if (pendingInterruption && at - pendingInterruption.at >= overlapMs) {
+      const { by, of } = pendingInterruption;
+      pendingInterruption = null;
+      if (isTalking(getSpeaker(by), at) && isTalking(getSpeaker(of), at)) {
+        overlaps++;
+        getSpeaker(by).interruptions++;
+        getSpeaker(of).interrupted++;
+      }
+    }
+
+    if (!floor) {
+      floor = { speakerId, start, end: at };
+    } else if (floor.speakerId === speakerId) {
+      floor.end = at;
+    } else {
+      // The floor changes hands where the newcomer started talking, or where
+      // the holder stopped if the newcomer was already talking over them.
+      // Someone who was already talking when the holder cut in doesn't win it
+      // back until the holder stops.
+      const holderTalking = isTalking(getSpeaker(floor.speakerId), at);
+      const handover = Math.max(speaker.runStart, holderTalking ? floor.start : floor.end);
+      if ((!holderTalking || speaker.runStart > floor.start) && at - handover >= takeFloorMs) {
+        closeFloor(Math.min(floor.end, handover));
+        floor = { speakerId, start: handover, end: at };
+      }
+    }
+  }
+
+  function addTurn(speakerId, text) {
+    const speaker = getSpeaker(speakerId);
+    speaker.transcriptTurns++;
+    speaker.words += text.split(/\s+/).filter(Boolean).length;
+    speaker.questions += (text.match(/\?/g) || []).length;
+  }
+
+  function getMetrics(roleOf = () => null, now = Date.now()) {
+    const totalTalkMs = [...speakers.values()].reduce((sum, speaker) => sum + speaker.talkMs, 0);
+    const ratio = (ms) => (totalTalkMs > 0 ? Math.round((ms / totalTalkMs) * 1000) / 1000 : 0);
+
+    const list = [...speakers].map(([speakerId, speaker]) => {
+      // The floor holder's current turn counts as if it ended now
+      const current = floor?.speakerId === speakerId ? floor.end - floor.start : null;
+      const turns = speaker.turns + (current === null ? 0 : 1);
+      const longest = current !== null && current > (speaker.longestMonologue?.ms ?? -1)
+        ? { ms: current, start: floor.start }
+        : speaker.longestMonologue;
+      return {
+        speaker_id: speakerId,
+        role: roleOf(speakerId),
+        talk_ms: Math.round(speaker.talkMs),
+        talk_ratio: ratio(speaker.talkMs),
+        turns,
+        average_turn_ms: turns > 0 ? Math.round((speaker.turnMs + (current ?? 0)) / turns) : 0,
+        average_turn_words: speaker.transcriptTurns > 0 ? Math.round(speaker.words / speaker.transcriptTurns) : 0,
+        longest_monologue_ms: Math.round(longest?.ms ?? 0),
+        longest_monologue_at: longest ? new Date(longest.start).toISOString() : null,
+        interruptions: speaker.interruptions,
+        interrupted: speaker.interrupted,
+        questions: speaker.questions,
+        silent_ms: speaker.lastEnd === null ? null : Math.max(0, Math.round(now - speaker.lastEnd))
+      };
+    });
+
+    const byRole = {};
+    for (const speaker of list) {
+      if (speaker.role) byRole[speaker.role] = Math.round(((byRole[speaker.role] || 0) + speaker.talk_ratio) * 1000) / 1000;
+    }
+
+    return {
+      duration_ms: Math.max(0, now - startedAt),
+      total_talk_ms: Math.round(totalTalkMs),
+      talk_ratio: byRole,
+      speakers: list,
+      current_turn: floor ? { speaker_id: floor.speakerId, role: roleOf(floor.speakerId), ms: Math.round(floor.end - floor.start) } : null,
+      overlaps,
+      silence: {
+        gaps: silence.gaps,
+        total_ms: Math.round(silence.totalMs),
+        longest_ms: Math.round(silence.longestMs),
+        current_ms: lastSpeechEnd === null ? 0 : Math.max(0, Math.round(now - lastSpeechEnd)),
+        recent: silence.recent.map(gap => ({
+          start: new Date(gap.start).toISOString(),
+          end: new Date(gap.end).toISOString(),
+          ms: Math.round(gap.ms)
+        }))
+      }
+    };
+  }
+
+  return { addAudio, addTurn, getMetrics };
+}
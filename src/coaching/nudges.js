@@ -0,0 +1,191 @@
+// Timed coaching nudges.
+//
+// Rules are a JSON file (see config/nudge-rules.json):
+// {
+//   "rules": [
+//     { "id": "advisor_monologue", "type": "monologue", "role": "Consultant", "min_seconds": 180,
+//       "level": "warning", "cooldown_seconds": 300,
+//       "message": "You've been talking for {{duration}} straight. Pause and check in with the client." }
+//   ]
+// }
+//
+// Rule types and the placeholders their message can use:
+//   monologue              role has held the floor for min_seconds    {{duration}}
+//   silent                 role hasn't spoken for min_seconds         {{duration}}
+//   talk_ratio             role's share of the talk time is above
+//                          `above` (0-1) after min_talk_seconds       {{ratio}}
+//   qualification_missing  after_minutes into the meeting, the first
+//                          of `fields` the framework has is still
+//                          "Not identified"                           {{minutes}}, {{field}}
+//   open_concern           a concern of one of `severity` has been
+//                          open for min_age_minutes (escalated ones
+//                          are handed on and don't count)             {{concern}}, {{duration}}
+//
+// The engine evaluates every rule against the meeting state
+// ({ elapsedMs, analytics, framework, financialData }, see index.js). A rule
+// whose condition holds raises a nudge unless it already has one showing or
+// its cooldown is running. The cooldown starts when the nudge is raised and
+// again when it is dismissed. A nudge whose condition no longer holds is
+// resolved and leaves the dashboard.
+import fs from 'fs';
+import { NOT_IDENTIFIED } from '../qualification/frameworks.js';
+import { isOpenConcern } from '../concerns/lifecycle.js';
+
+export const NUDGE_LEVELS = ['info', 'warning', 'urgent'];
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds} seconds`;
+  const minutes = Math.round(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+function speakersWithRole(analytics, role) {
+  return (analytics?.speakers || []).filter(speaker => speaker.role === role);
+}
+
+// Each condition returns the message placeholders when it holds, else null
+const CONDITIONS = {
+  monologue: (rule, { analytics }) => {
+    const turn = analytics?.current_turn;
+    return turn && turn.role === rule.role && turn.ms >= rule.min_seconds * 1000
+      ? { duration: formatDuration(turn.ms) }
+      : null;
+  },
+  silent: (rule, { analytics }) => {
+    const speakers = speakersWithRole(analytics, rule.role).filter(speaker => speaker.silent_ms !== null);
+    if (speakers.length === 0) return null;
+    const silentMs = Math.min(...speakers.map(speaker => speaker.silent_ms));
+    return silentMs >= rule.min_seconds * 1000 ? { duration: formatDuration(silentMs) } : null;
+  },
+  talk_ratio: (rule, { analytics }) => {
+    const ratio = analytics?.talk_ratio?.[rule.role];
+    return ratio > rule.above && analytics.total_talk_ms >= (rule.min_talk_seconds || 0) * 1000
+      ? { ratio: `${Math.round(ratio * 100)}%` }
+      : null;
+  },
+  qualification_missing: (rule, { elapsedMs, framework, financialData }) => {
+    if (elapsedMs < rule.after_minutes * 60000) return null;
+    const field = framework.fields.find(candidate => rule.fields.includes(candidate.key));
+    const value = financialData.qualification?.[field?.key];
+    return field && (!value || value === NOT_IDENTIFIED)
+      ? { minutes: Math.floor(elapsedMs / 60000), field: field.label }
+      : null;
+  },
+  open_concern: (rule, { financialData }, now) => {
+    const concern = (financialData.concerns || []).find(item =>
+      isOpenConcern(item) &&
+      rule.severity.includes(item.value.severity) &&
+      now - Date.parse(item.firstSeen) >= (rule.min_age_minutes || 0) * 60000
+    );
+    return concern
+      ? { concern: concern.value.concern, duration: formatDuration(now - Date.parse(concern.firstSeen)) }
+      : null;
+  }
+};
+
+// Options each rule type needs, besides id, type and message
+const REQUIRED_OPTIONS = {
+  monologue: ['role', 'min_seconds'],
+  silent: ['role', 'min_seconds'],
+  talk_ratio: ['role', 'above'],
+  qualification_missing: ['fields', 'after_minutes'],
+  open_concern: ['severity']
+};
+
+export function loadNudgeRules(rulesPath) {
+  const config = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+  if (!Array.isArray(config.rules) || config.rules.length === 0) {
+    throw new Error(`${rulesPath}: rules file must contain a non-empty "rules" array`);
+  }
+
+  const ids = new Set();
+  config.rules = config.rules.map(rule => {
+    if (!rule.id || !rule.message) {
+      throw new Error(`${rulesPath}: every rule needs an id and a message`);
+    }
+    if (!CONDITIONS[rule.type]) {
+      throw new Error(`${rulesPath}: rule "${rule.id}" has type "${rule.type}" (expected one of ${Object.keys(CONDITIONS).join(', ')})`);
+    }
+    const missing = REQUIRED_OPTIONS[rule.type].filter(option => rule[option] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`${rulesPath}: ${rule.type} rule "${rule.id}" needs ${missing.join(', ')}`);
+    }
+    if (ids.has(rule.id)) {
+      throw new Error(`${rulesPath}: duplicate rule id "${rule.id}"`);
+    }
+    ids.add(rule.id);
+    const level = rule.level || 'info';
+    if (!NUDGE_LEVELS.includes(level)) {
+      throw new Error(`${rulesPath}: rule "${rule.id}" has level "${level}" (expected one of ${NUDGE_LEVELS.join(', ')})`);
+    }
+    return {
+      ...rule,
+      level,
+      cooldown_seconds: rule.cooldown_seconds ?? 300,
+      fields: [].concat(rule.fields || []),
+      severity: [].concat(rule.severity || [])
+    };
+  });
+  return config;
+}
+
+// Track one meeting's nudges. onNudge is called with each new nudge, and
+// onChange with the nudges showing whenever one is raised, dismissed or
+// resolved.
+export function createNudgeEngine(config, { onNudge, onChange } = {}) {
+  const nudges = []; // Every nudge raised, for the final report
+  const cooldownUntil = new Map(); // rule id -> ms timestamp
+  let count = 0;
+
+  const isActive = (nudge) => !nudge.dismissed_at && !nudge.resolved_at;
+  const getActive = () => nudges.filter(isActive);
+
+  function evaluate(state, now = Date.now()) {
+    let changed = false;
+    for (const rule of config.rules) {
+      const details = CONDITIONS[rule.type](rule, state, now);
+      const active = nudges.find(nudge => nudge.rule === rule.id && isActive(nudge));
+
+      if (active && !details) {
+        active.resolved_at = new Date(now).toISOString();
+        changed = true;
+      } else if (!active && details && now >= (cooldownUntil.get(rule.id) || 0)) {
+        const nudge = {
+          id: `nudge_${++count}`,
+          rule: rule.id,
+          level: rule.level,
+          message: rule.message.replace(/\{\{(\w+)\}\}/g, (match, key) => details[key] ?? match),
+          raised_at: new Date(now).toISOString(),
+          dismissed_at: null,
+          resolved_at: null
+        };
+        nudges.push(nudge);
+        cooldownUntil.set(rule.id, now + rule.cooldown_seconds * 1000);
+        onNudge?.(nudge);
+        changed = true;
+      }
+    }
+    if (changed) onChange?.(getActive());
+    return changed;
+  }
+
+  // Returns the dismissed nudge, or null when no nudge showing has this id
+  function dismiss(id, now = Date.now()) {
+    const nudge = nudges.find(candidate => candidate.id === id && isActive(candidate));
+    if (!nudge) return null;
+
+    nudge.dismissed_at = new Date(now).toISOString();
+    const rule = config.rules.find(candidate => candidate.id === nudge.rule);
+    cooldownUntil.set(nudge.rule, now + rule.cooldown_seconds * 1000);
+    onChange?.(getActive());
+    return nudge;
+  }
+
+  return {
+    evaluate,
+    dismiss,
+    getActive,
+    getHistory: () => nudges.map(nudge => ({ ...nudge }))
+  };
+}
@@ -0,0 +1,168 @@
+// Compliance alerts for prohibited advisor language.
+//
+// Rules are a JSON file (see config/compliance-rules.json):
+// {
+//   "rules": [
+//     { "id": "risk_free", "label": "Describing investments as risk-free", "severity": "high",
+//       "guidance": "...", "patterns": ["\\brisk[- ]free\\b"], "exceptions": ["\\bnot risk[- ]free\\b"] }
+//   ]
+// }
+//
+// Consultant turns are checked sentence by sentence: a sentence raises an alert
+// for a rule when one of its patterns matches and none of its exceptions do
+// (so "nothing is risk-free" is not flagged). The LLM can raise further alerts
+// through the flag_compliance_issue tool for language the patterns miss.
+//
+// Every alert is kept, in the order it was raised, as the meeting's audit trail.
+import fs from 'fs';
+
+export const SEVERITY_LEVELS = ['critical', 'high', 'medium', 'low'];
+
+export function loadComplianceRules(rulesPath) {
+  const config = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+  if (!Array.isArray(config.rules) || config.rules.length === 0) {
+    throw new Error(`${rulesPath}: rules file must contain a non-empty "rules" array`);
+  }
+
+  const ids = new Set();
+  config.rules = config.rules.map(rule => {
+    if (!rule.id || !rule.label || !Array.isArray(rule.patterns) || rule.patterns.length === 0) {
+      throw new Error(`${rulesPath}: every rule needs an id, a label and at least one pattern`);
+    }
+    if (!SEVERITY_LEVELS.includes(rule.severity)) {
+      throw new Error(`${rulesPath}: rule "${rule.id}" has severity "${rule.severity}" (expected one of ${SEVERITY_LEVELS.join(', ')})`);
+    }
+    if (ids.has(rule.id)) {
+      throw new Error(`${rulesPath}: duplicate rule id "${rule.id}"`);
+    }
+    ids.add(rule.id);
+    return {
+      ...rule,
+      regexes: rule.patterns.map(pattern => new RegExp(pattern, 'i')),
+      exceptionRegexes: (rule.exceptions || []).map(pattern => new RegExp(pattern, 'i'))
+    };
+  });
+  return config;
+}
+
+// Tool definition offered to the analysis backend alongside TOOLS
+export function createComplianceTool(config) {
+  return {
+    name: 'flag_compliance_issue',
+    description: 'Flag a Consultant statement that may break compliance rules (e.g. promising returns, calling an investment risk-free, giving tax or legal advice). Never flag Client statements.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        category: {
+          type: 'string',
+          enum: [...config.rules.map(rule => rule.id), 'other'],
+          description: 'Rule the statement breaks'
+        },
+        severity: { type: 'string', enum: SEVERITY_LEVELS },
+        quote: { type: 'string', description: 'Exact words the Consultant said' },
+        explanation: { type: 'string', description: 'Why this is a problem' }
+      },
+      required: ['category', 'severity', 'quote', 'explanation']
+    }
+  };
+}
+
+function splitSentences(text) {
+  return text.split(/(?<=[.!?])\s+/).filter(sentence => sentence.trim());
+}
+
+function normalizeQuote(text) {
+  return text.toLowerCase().replace(/[^a-z0-9\[\]_ ]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Track one meeting's alerts. onAlert is called with each new alert.
+export function createComplianceMonitor(config, { onAlert } = {}) {
+  const rulesById = new Map(config.rules.map(rule => [rule.id, rule]));
+  const auditTrail = [];
+
+  function raise({ rule, severity, source, quote, explanation, turnTimestamp }) {
+    // The same quote flagged for the same rule (e.g. by both the patterns and
+    // the LLM) is one alert
+    const key = normalizeQuote(quote);
+    if (auditTrail.some(alert => alert.rule === rule && normalizeQuote(alert.quote) === key)) {
+      return null;
+    }
+
+    const alert = {
+      id: `alert_${auditTrail.length + 1}`,
+      rule,
+      label: rulesById.get(rule)?.label || 'Other compliance issue',
+      severity,
+      source,
+      quote,
+      explanation,
+      turn_timestamp: turnTimestamp || null,
+      flagged_at: new Date().toISOString()
+    };
+    auditTrail.push(alert);
+    onAlert?.(alert);
+    return alert;
+  }
+
+  // Run the deterministic rules over a Consultant turn; returns the new alerts
+  function checkTurn(text, { turnTimestamp } = {}) {
+    const raised = [];
+    for (const sentence of splitSentences(text)) {
+      for (const rule of config.rules) {
+        if (!rule.regexes.some(regex => regex.test(sentence))) continue;
+        if (rule.exceptionRegexes.some(regex => regex.test(sentence))) continue;
+
+        const alert = raise({
+          rule: rule.id,
+          severity: rule.severity,
+          source: 'rule',
+          quote: sentence.trim(),
+          explanation: rule.guidance || rule.label,
+          turnTimestamp
+        });
+        if (alert) raised.push(alert);
+      }
+    }
+    return raised;
+  }
+
+  // Record an issue reported by the LLM tool; returns null for a duplicate
+  function flag({ category, severity, quote, explanation }, { turnTimestamp } = {}) {
+    return raise({
+      rule: rulesById.has(category) ? category : 'other',
+      severity: SEVERITY_LEVELS.includes(severity) ? severity : 'medium',
+      source: 'llm',
+      quote,
+      explanation,
+      turnTimestamp
+    });
+  }
+
+  // Most severe first, newest first within a severity
+  function getAlerts() {
+    return [...auditTrail].sort((a, b) =>
+      SEVERITY_LEVELS.indexOf(a.severity) - SEVERITY_LEVELS.indexOf(b.severity) ||
+      auditTrail.indexOf(b) - auditTrail.indexOf(a)
+    );
+  }
+
+  function getSummary() {
+    const counts = Object.fromEntries(SEVERITY_LEVELS.map(level => [level, 0]));
+    for (const alert of auditTrail) counts[alert.severity]++;
+    return { total: auditTrail.length, ...counts };
+  }
+
+  return {
+    checkTurn,
+    flag,
+    getAlerts,
+    getSummary,
+    getAuditTrail: () => [...auditTrail]
+  };
+}
+
+// Whether a quote attributed to the Consultant appears in one of their turns
+export function quoteMatchesTurn(quote, turnText) {
+  const needle = normalizeQuote(quote);
+  return needle.length > 0 && normalizeQuote(turnText).includes(needle);
+}
@@ -0,0 +1,122 @@
+// Regulatory disclosure checklist.
+//
+// A firm's checklist is a JSON file (see config/disclosures.json):
+// {
+//   "firm": "Example Wealth Advisors",
+//   "expected_duration_minutes": 60,
+//   "remind_before_end_minutes": 15,
+//   "urgent_before_end_minutes": 5,
+//   "disclosures": [
+//     { "id": "fees", "label": "Fees and compensation", "description": "...",
+//       "due_within_minutes": 15, "patterns": ["\\bour fees?\\b", "assets under management"] }
+//   ]
+// }
+//
+// A disclosure is done once any of its patterns (case-insensitive regexes)
+// matches a consultant turn. Items still open escalate from "pending" to
+// "reminder" when their own due_within_minutes passes or the call enters the
+// reminder window before its expected end, and to "urgent" in the final
+// minutes or once the call overruns.
+import fs from 'fs';
+
+const DEFAULTS = {
+  expected_duration_minutes: 60,
+  remind_before_end_minutes: 15,
+  urgent_before_end_minutes: 5
+};
+
+export const URGENCY_LEVELS = ['pending', 'reminder', 'urgent'];
+
+export function loadDisclosureChecklist(checklistPath) {
+  const config = { ...DEFAULTS, ...JSON.parse(fs.readFileSync(checklistPath, 'utf8')) };
+  if (!Array.isArray(config.disclosures) || config.disclosures.length === 0) {
+    throw new Error(`${checklistPath}: checklist must contain a non-empty "disclosures" array`);
+  }
+
+  const ids = new Set();
+  config.disclosures = config.disclosures.map(disclosure => {
+    if (!disclosure.id || !disclosure.label || !Array.isArray(disclosure.patterns) || disclosure.patterns.length === 0) {
+      throw new Error(`${checklistPath}: every disclosure needs an id, a label and at least one pattern`);
+    }
+    if (ids.has(disclosure.id)) {
+      throw new Error(`${checklistPath}: duplicate disclosure id "${disclosure.id}"`);
+    }
+    ids.add(disclosure.id);
+    return {
+      ...disclosure,
+      regexes: disclosure.patterns.map(pattern => new RegExp(pattern, 'i'))
+    };
+  });
+  return config;
+}
+
+// Track one meeting's progress through the checklist
+export function createDisclosureTracker(checklist, { startedAt = Date.now() } = {}) {
+  const completed = new Map(); // disclosure id -> { completedAt, quote }
+
+  // Mark every disclosure this consultant turn satisfies; returns their ids
+  function matchTurn(text, at = Date.now()) {
+    const matched = [];
+    for (const disclosure of checklist.disclosures) {
+      if (completed.has(disclosure.id)) continue;
+      if (disclosure.regexes.some(regex => regex.test(text))) {
+        completed.set(disclosure.id, { completedAt: at, quote: text });
+        matched.push(disclosure.id);
+      }
+    }
+    return matched;
+  }
+
+  function getUrgency(disclosure, elapsedMinutes) {
+    if (completed.has(disclosure.id)) return 'done';
+
+    const minutesLeft = checklist.expected_duration_minutes - elapsedMinutes;
+    if (minutesLeft <= checklist.urgent_before_end_minutes) return 'urgent';
+    if (minutesLeft <= checklist.remind_before_end_minutes) return 'reminder';
+    if (disclosure.due_within_minutes !== undefined && elapsedMinutes >= disclosure.due_within_minutes) return 'reminder';
+    return 'pending';
+  }
+
+  function getStatus(now = Date.now()) {
+    const elapsedMinutes = (now - startedAt) / 60000;
+    const items = checklist.disclosures.map(disclosure => {
+      const done = completed.get(disclosure.id);
+      return {
+        id: disclosure.id,
+        label: disclosure.label,
+        description: disclosure.description || '',
+        status: done ? 'done' : 'pending',
+        urgency: getUrgency(disclosure, elapsedMinutes),
+        completed_at: done ? new Date(done.completedAt).toISOString() : null,
+        quote: done?.quote || null
+      };
+    });
+
+    return {
+      firm: checklist.firm || null,
+      elapsed_minutes: Math.floor(elapsedMinutes),
+      expected_duration_minutes: checklist.expected_duration_minutes,
+      completed: completed.size,
+      total: checklist.disclosures.length,
+      items
+    };
+  }
+
+  // Completed and missed disclosures for the final report
+  function getReport(now = Date.now()) {
+    const { firm, completed: completedCount, total, items } = getStatus(now);
+    return {
+      firm,
+      completed_count: completedCount,
+      total,
+      completed: items
+        .filter(item => item.status === 'done')
+        .map(({ id, label, completed_at, quote }) => ({ id, label, completed_at, quote })),
+      missed: items
+        .filter(item => item.status !== 'done')
+        .map(({ id, label, description }) => ({ id, label, description }))
+    };
+  }
+
+  return { matchTurn, getStatus, getReport };
+}
@@ -0,0 +1,79 @@
+// Client concern lifecycle.
+//
+// Concerns are concerns list items (see src/tools/plugins/concerns.js) and
+// start out open. The model reports what happened to them with the
+// update_concern_status tool:
+//   open -> addressed   a turn resolved the concern; that turn is kept
+//   open -> escalated   it needs more than this meeting (a specialist, a
+//                       follow-up call) or the client's worry grew
+//   addressed -> open   the client raised it again (a new update_concerns
+//                       call merged into it)
+// Lifecycle fields live on the item:
+// { ...item, status, resolution: { turnId, timestamp, speaker, text, note }, statusUpdatedAt }
+//
+// Only open concerns count as open: an escalated one is handed on and no
+// longer waits on the advisor in this meeting. Concerns that are still open or
+// escalated when the meeting stops become follow-up items in the final report.
+export const CONCERN_STATUSES = ['open', 'addressed', 'escalated'];
+
+export function concernStatus(item) {
+  return item.status || 'open';
+}
+
+export function isOpenConcern(item) {
+  return concernStatus(item) === 'open';
+}
+
+export function createConcernStatusTool() {
+  return {
+    name: 'update_concern_status',
+    description: 'Record that a concern already listed was addressed in the conversation, or needs escalation beyond this meeting.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        concern_id: { type: 'string', description: 'Id of the recorded concern, e.g. concerns_1' },
+        status: { type: 'string', enum: ['addressed', 'escalated'] },
+        resolving_turn: { type: 'string', description: 'Id of the turn that addressed or escalated it, e.g. t14' },
+        note: { type: 'string', description: 'How it was addressed, or why it needs escalation' }
+      },
+      required: ['concern_id', 'status', 'resolving_turn', 'note']
+    }
+  };
+}
+
+// turn is the resolving transcript entry ({ turnId, timestamp, speaker, text })
+export function applyConcernStatus(item, { status, turn, note }) {
+  return {
+    ...item,
+    status,
+    resolution: {
+      turnId: turn.turnId,
+      timestamp: turn.timestamp,
+      speaker: turn.speaker,
+      text: turn.text,
+      note: note || null
+    },
+    statusUpdatedAt: new Date().toISOString()
+  };
+}
+
+// An addressed concern the client brought back drops its resolution
+export function reopenConcern(item) {
+  const { resolution, ...reopened } = item;
+  return { ...reopened, status: 'open', statusUpdatedAt: new Date().toISOString() };
+}
+
+// Unresolved concerns for the final report, escalated ones first
+export function getConcernFollowUps(items) {
+  return items
+    .filter(item => isOpenConcern(item) || concernStatus(item) === 'escalated')
+    .sort((a, b) => (concernStatus(b) === 'escalated') - (concernStatus(a) === 'escalated'))
+    .map(item => ({
+      id: item.id,
+      concern: item.value.concern,
+      addressing_strategy: item.value.addressing_strategy,
+      status: concernStatus(item),
+      raised_at: item.firstSeen,
+      escalation_note: item.resolution?.note || null
+    }));
+}
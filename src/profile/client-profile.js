@@ -0,0 +1,183 @@
+// Structured client profile.
+//
+// Typed facts about the client that planning tools can consume directly, as
+// opposed to the free-text clientInfo notes. Every value is stored with where
+// it came from:
+// {
+//   age: { value: 58, source_quote: "We're both fifty eight", confidence: 0.9, updatedAt },
+//   assets: { '401k': { value: 600000, source_quote, confidence, updatedAt }, ira: {...} },
+//   employer: null,                 // not mentioned yet
+//   ...
+// }
+//
+// The model sets fields through update_client_profile. Values arrive as text
+// and are checked and converted here; a value that doesn't fit its field is
+// rejected and reported back in the tool result.
+export const PROFILE_FIELDS = [
+  { key: 'age', label: 'Age', type: 'integer', min: 0, max: 120 },
+  {
+    key: 'marital_status',
+    label: 'Marital status',
+    type: 'enum',
+    values: ['single', 'married', 'domestic_partnership', 'separated', 'divorced', 'widowed']
+  },
+  { key: 'dependents', label: 'Dependents', type: 'integer', min: 0, max: 30 },
+  { key: 'annual_income', label: 'Annual income (USD)', type: 'money' },
+  { key: 'assets', label: 'Assets by account type (USD)', type: 'money', accountTypes: 'assets' },
+  { key: 'liabilities', label: 'Liabilities by debt type (USD)', type: 'money', accountTypes: 'liabilities' },
+  { key: 'employer', label: 'Employer', type: 'text' },
+  { key: 'retirement_date', label: 'Target retirement date (YYYY or YYYY-MM)', type: 'date' },
+  {
+    key: 'risk_tolerance',
+    label: 'Risk tolerance',
+    type: 'enum',
+    values: ['conservative', 'moderately_conservative', 'moderate', 'moderately_aggressive', 'aggressive']
+  }
+];
+
+export const ACCOUNT_TYPES = {
+  assets: ['401k', '403b', 'ira', 'roth_ira', 'brokerage', 'savings', 'checking', 'hsa', 'pension', 'annuity', 'real_estate', 'business', 'other'],
+  liabilities: ['mortgage', 'heloc', 'student_loans', 'auto_loan', 'credit_card', 'personal_loan', 'other']
+};
+
+const FIELDS_BY_KEY = new Map(PROFILE_FIELDS.map(field => [field.key, field]));
+
+export function createProfileTool() {
+  const valueHints = PROFILE_FIELDS.map(field => {
+    switch (field.type) {
+      case 'enum': return `${field.key}: one of ${field.values.join(', ')}`;
+      case 'money': return `${field.key}: amount in USD`;
+      case 'integer': return `${field.key}: whole number`;
+      default: return `${field.key}: ${field.label.toLowerCase()}`;
+    }
+  });
+
+  return {
+    name: 'update_client_profile',
+    description: 'Set structured client profile fields from what the client said. Only set a field when the client stated or confirmed it; quote their words.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        fields: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              field: { type: 'string', enum: PROFILE_FIELDS.map(field => field.key) },
+              account_type: {
+                type: 'string',
+                enum: [...new Set([...ACCOUNT_TYPES.assets, ...ACCOUNT_TYPES.liabilities])],
+                description: `Required for assets (${ACCOUNT_TYPES.assets.join(', ')}) and liabilities (${ACCOUNT_TYPES.liabilities.join(', ')})`
+              },
+              value: { type: 'string', description: `The value as text. ${valueHints.join('; ')}` },
+              source_quote: { type: 'string', description: 'The words from the transcript this value comes from' },
+              confidence: { type: 'number', minimum: 0, maximum: 1, description: '1 = stated exactly, 0.5 = approximate or implied' }
+            },
+            required: ['field', 'value', 'source_quote', 'confidence']
+          }
+        }
+      },
+      required: ['fields']
+    }
+  };
+}
+
+export function emptyProfile() {
+  return Object.fromEntries(PROFILE_FIELDS.map(field => [field.key, field.accountTypes ? {} : null]));
+}
+
+// Profile with every field present; unknown fields and account types are dropped
+export function normalizeProfile(profile = {}) {
+  return Object.fromEntries(PROFILE_FIELDS.map(field => {
+    const current = profile?.[field.key];
+    if (!field.accountTypes) return [field.key, current ?? null];
+    const allowed = ACCOUNT_TYPES[field.accountTypes];
+    return [field.key, Object.fromEntries(Object.entries(current || {}).filter(([type]) => allowed.includes(type)))];
+  }));
+}
+
+// "$600K", "1.2 million", "85,000" -> number
+function parseMoney(text) {
+  const match = String(text).toLowerCase().replace(/[$,\s]/g, '').match(/^(\d+(?:\.\d+)?)(k|thousand|m|mm|million)?$/);
+  if (!match) return null;
+  const multiplier = { k: 1e3, thousand: 1e3, m: 1e6, mm: 1e6, million: 1e6 }[match[2]] || 1;
+  return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+function parseValue(field, text) {
+  const raw = String(text ?? '').trim();
+  if (!raw) return null;
+
+  switch (field.type) {
+    case 'integer': {
+      const number = Number(raw);
+      return Number.isInteger(number) && number >= field.min && number <= field.max ? number : null;
+    }
+    case 'money':
+      return parseMoney(raw);
+    case 'enum': {
+      const value = raw.toLowerCase().replace(/[\s-]+/g, '_');
+      return field.values.includes(value) ? value : null;
+    }
+    case 'date':
+      return /^\d{4}(-(0[1-9]|1[0-2])(-\d{2})?)?$/.test(raw) ? raw : null;
+    default:
+      return raw;
+  }
+}
+
+// Applies update_client_profile entries to a copy of the profile. Returns the
+// new profile, the changed top-level fields and a description of each entry
+// that was rejected.
+export function applyProfileUpdates(profile, updates, now = new Date().toISOString()) {
+  const next = normalizeProfile(profile);
+  const changes = {};
+  const applied = [];
+  const rejected = [];
+
+  for (const update of Array.isArray(updates) ? updates : []) {
+    const field = FIELDS_BY_KEY.get(update?.field);
+    if (!field) {
+      rejected.push(`unknown field "${update?.field}"`);
+      continue;
+    }
+    if (field.accountTypes && !ACCOUNT_TYPES[field.accountTypes].includes(update.account_type)) {
+      rejected.push(`${field.key} needs an account_type of ${ACCOUNT_TYPES[field.accountTypes].join(', ')}`);
+      continue;
+    }
+
+    const value = parseValue(field, update.value);
+    if (value === null) {
+      rejected.push(`"${update.value}" is not a valid ${field.key}`);
+      continue;
+    }
+
+    const confidence = Number(update.confidence);
+    const entry = {
+      value,
+      source_quote: String(update.source_quote || '').trim() || null,
+      confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : null,
+      updatedAt: now
+    };
+
+    if (field.accountTypes) {
+      next[field.key] = { ...next[field.key], [update.account_type]: entry };
+      applied.push(`${field.key}.${update.account_type}`);
+    } else {
+      next[field.key] = entry;
+      applied.push(field.key);
+    }
+    changes[field.key] = next[field.key];
+  }
+
+  return { profile: next, changes, applied, rejected };
+}
+
+// Plain typed values without provenance, for planning tools:
+// { age: 58, assets: { '401k': 600000 }, employer: null, ... }
+export function profileValues(profile) {
+  return Object.fromEntries(Object.entries(normalizeProfile(profile)).map(([key, current]) => {
+    if (!FIELDS_BY_KEY.get(key).accountTypes) return [key, current?.value ?? null];
+    return [key, Object.fromEntries(Object.entries(current).map(([type, entry]) => [type, entry.value]))];
+  }));
+}
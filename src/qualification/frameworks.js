@@ -0,0 +1,123 @@
+// Lead qualification frameworks (FAINT, BANT, ...).
+//
+// Frameworks are defined in a JSON file (see config/frameworks.json):
+// {
+//   "default": "faint",
+//   "frameworks": {
+//     "faint": {
+//       "name": "FAINT",
+//       "icon": "💎",
+//       "fields": [
+//         { "key": "funds", "label": "Funds", "icon": "💰", "description": "Financial capacity info",
+//           "weight": 25, "score_levels": [{ "match": "\\bhigh\\b", "factor": 1 }] }
+//       ]
+//     }
+//   }
+// }
+//
+// The analysis tool schema, the empty state and the dashboard grid are all
+// generated from the field list. Fields nobody has talked about yet hold
+// NOT_IDENTIFIED. weight and score_levels feed the qualification score (see
+// scoring.js); weight defaults to 1.
+import fs from 'fs';
+
+export const NOT_IDENTIFIED = 'Not identified';
+
+// Tool input properties that are not qualification fields
+const RESERVED_KEYS = ['confidence', 'source_turns'];
+
+export function loadFrameworks(frameworksPath) {
+  const config = JSON.parse(fs.readFileSync(frameworksPath, 'utf8'));
+  const entries = Object.entries(config.frameworks || {});
+  if (entries.length === 0) {
+    throw new Error(`${frameworksPath}: at least one framework must be defined under "frameworks"`);
+  }
+
+  const frameworks = new Map();
+  for (const [id, framework] of entries) {
+    if (!framework.name || !Array.isArray(framework.fields) || framework.fields.length === 0) {
+      throw new Error(`${frameworksPath}: framework "${id}" needs a name and at least one field`);
+    }
+    const keys = new Set();
+    for (const field of framework.fields) {
+      if (!/^[a-z][a-z0-9_]*$/.test(field.key || '') || !field.label) {
+        throw new Error(`${frameworksPath}: every field of "${id}" needs a label and a snake_case key`);
+      }
+      if (keys.has(field.key)) {
+        throw new Error(`${frameworksPath}: duplicate field "${field.key}" in framework "${id}"`);
+      }
+      if (RESERVED_KEYS.includes(field.key)) {
+        throw new Error(`${frameworksPath}: "${field.key}" is reserved and can't be a field of "${id}"`);
+      }
+      if (field.weight !== undefined && !(typeof field.weight === 'number' && field.weight >= 0)) {
+        throw new Error(`${frameworksPath}: weight of "${id}.${field.key}" must be a number of 0 or more`);
+      }
+      for (const level of field.score_levels || []) {
+        if (typeof level.match !== 'string' || !(level.factor >= 0 && level.factor <= 1)) {
+          throw new Error(`${frameworksPath}: score_levels of "${id}.${field.key}" need a match regex and a factor from 0 to 1`);
+        }
+        new RegExp(level.match, 'i'); // Throws on an invalid pattern
+      }
+      keys.add(field.key);
+    }
+    frameworks.set(id, { id, icon: '📋', ...framework });
+  }
+
+  const defaultId = config.default || entries[0][0];
+  if (!frameworks.has(defaultId)) {
+    throw new Error(`${frameworksPath}: default framework "${defaultId}" is not defined`);
+  }
+  return { defaultId, frameworks };
+}
+
+// Analysis tool that updates the meeting's qualification fields
+export function createQualificationTool(framework) {
+  return {
+    name: 'update_qualification',
+    description: `Update specific ${framework.name} qualification fields. Only provide fields that have new/updated information.`,
+    input_schema: {
+      type: 'object',
+      properties: {
+        ...Object.fromEntries(framework.fields.map(field => [
+          field.key,
+          { type: 'string', description: field.description || field.label }
+        ])),
+        confidence: {
+          type: 'number',
+          minimum: 0,
+          maximum: 1,
+          description: 'How certain the values in this call are: 1 = stated plainly, 0.5 = implied or approximate'
+        }
+      },
+      required: ['confidence']
+    }
+  };
+}
+
+// Qualification values with every field of the framework present. Values for
+// fields the framework doesn't have are dropped.
+export function normalizeQualification(framework, values = {}) {
+  return Object.fromEntries(framework.fields.map(field => [
+    field.key,
+    values?.[field.key] || NOT_IDENTIFIED
+  ]));
+}
+
+// Apply a tool update in place. Empty and "Not identified" values never
+// overwrite what is already known. Returns only the fields that changed.
+export function applyQualificationUpdate(framework, values, input = {}) {
+  const changes = {};
+  for (const field of framework.fields) {
+    const value = input[field.key];
+    if (typeof value !== 'string' || value.trim() === '' || value === NOT_IDENTIFIED) continue;
+    if (values[field.key] === value) continue;
+    values[field.key] = value;
+    changes[field.key] = value;
+  }
+  return changes;
+}
+
+// "FAINT (Funds, Authority, Interest, Need, Timing)", for the system prompt
+export function describeFramework(framework) {
+  return `${framework.name} (${framework.fields.map(field => field.label).join(', ')})`;
+}
@@ -0,0 +1,65 @@
+// Qualification history and score.
+//
+// Every value a qualification field takes is kept with when it was set, the
+// confidence the model gave and the turns it cited:
+// { funds: [{ value, confidence, source_turns: ['t4'], at }], ... }
+//
+// The score (0-100) weighs each field of the framework by its weight. An
+// identified field counts with its confidence (1 when none was given), times
+// the factor of the first score_levels pattern its value matches (1 when none
+// matches), so "Interest: Low" can count for less than "Interest: High":
+//   score = 100 * sum(weight * confidence * factor) / sum(weight)
+//
+// Each change adds a point to the score trajectory, as does switching the
+// meeting to another framework.
+import { NOT_IDENTIFIED } from './frameworks.js';
+
+function levelFactor(field, value) {
+  const level = (field.score_levels || []).find(({ match }) => new RegExp(match, 'i').test(value));
+  return level ? level.factor : 1;
+}
+
+export function scoreQualification(framework, values, history = {}) {
+  let total = 0;
+  let earned = 0;
+  for (const field of framework.fields) {
+    const weight = field.weight ?? 1;
+    total += weight;
+
+    const value = values?.[field.key];
+    if (!value || value === NOT_IDENTIFIED) continue;
+    const latest = history[field.key]?.findLast(entry => entry.value === value);
+    earned += weight * (latest?.confidence ?? 1) * levelFactor(field, value);
+  }
+  return total > 0 ? Math.round((100 * earned) / total) : 0;
+}
+
+export function createQualificationHistory() {
+  const fields = {};
+  const trajectory = []; // { at, score, framework, changed }
+
+  function addPoint(framework, values, changed = [], at = new Date().toISOString()) {
+    const point = { at, score: scoreQualification(framework, values, fields), framework: framework.id, changed };
+    trajectory.push(point);
+    return point;
+  }
+
+  // changes are the fields an update set; values is the whole record after it
+  function record(framework, values, changes, { confidence = null, sourceTurns = [] } = {}) {
+    const at = new Date().toISOString();
+    for (const [key, value] of Object.entries(changes)) {
+      (fields[key] ||= []).push({ value, confidence, source_turns: sourceTurns, at });
+    }
+    return addPoint(framework, values, Object.keys(changes), at);
+  }
+
+  return {
+    record,
+    addPoint,
+    getStatus: (framework, values) => ({
+      score: scoreQualification(framework, values, fields),
+      fields,
+      trajectory
+    })
+  };
+}
@@ -0,0 +1,100 @@
+// Strategic question lifecycle.
+//
+// Suggested questions are strategicQuestions list items (see
+// src/tools/plugins/strategic-questions.js). Their status moves on as the
+// conversation does:
+//   suggested -> asked      a Consultant turn covers the question's wording
+//   asked     -> answered   the next Client turn is attached as the answer
+//   any       -> dismissed  the advisor dismissed it on the dashboard
+// Items without a status are suggested. Lifecycle fields live on the item:
+// { ...item, status, askedAt, askedTurn, askedQuote, answer: { text, turnId, timestamp }, statusUpdatedAt }
+//
+// Each function returns only the items it changed, as new objects.
+import { coverage } from '../tools/similarity.js';
+
+export const QUESTION_STATUSES = ['suggested', 'asked', 'answered', 'dismissed'];
+
+export function questionStatus(item) {
+  return item.status || 'suggested';
+}
+
+export function isOpenQuestion(item) {
+  return ['suggested', 'asked'].includes(questionStatus(item));
+}
+
+function splitSentences(text) {
+  return text.split(/(?<=[.?!])\s+/).filter(sentence => sentence.trim());
+}
+
+// turn is { turnId, text, timestamp } with the speaker label already removed.
+// A question counts as asked when one sentence of the turn contains at least
+// threshold of its content words.
+export function matchAskedQuestions(items, turn, { threshold = 0.6 } = {}) {
+  const sentences = splitSentences(turn.text);
+  const now = new Date().toISOString();
+
+  return items
+    .filter(item => questionStatus(item) === 'suggested')
+    .map(item => {
+      const quote = sentences.find(sentence => coverage(item.value.question, sentence) >= threshold);
+      return quote && {
+        ...item,
+        status: 'asked',
+        askedAt: turn.timestamp,
+        askedTurn: turn.turnId,
+        askedQuote: quote,
+        statusUpdatedAt: now
+      };
+    })
+    .filter(Boolean);
+}
+
+// The Client turn after a question was asked is its answer
+export function attachAnswers(items, turn) {
+  const now = new Date().toISOString();
+  return items
+    .filter(item => questionStatus(item) === 'asked')
+    .map(item => ({
+      ...item,
+      status: 'answered',
+      answer: { text: turn.text, turnId: turn.turnId, timestamp: turn.timestamp },
+      statusUpdatedAt: now
+    }));
+}
+
+// Manual change from the dashboard. Going back to suggested clears the match
+export function setQuestionStatus(item, status) {
+  const updated = { ...item, status, statusUpdatedAt: new Date().toISOString() };
+  if (status === 'suggested') {
+    delete updated.askedAt;
+    delete updated.askedTurn;
+    delete updated.askedQuote;
+    delete updated.answer;
+  }
+  return updated;
+}
+
+// For the final report: which suggested questions the conversation covered
+export function getQuestionCoverage(items) {
+  const counts = Object.fromEntries(QUESTION_STATUSES.map(status => [status, 0]));
+  items.forEach(item => counts[questionStatus(item)]++);
+
+  const describe = (item) => ({
+    id: item.id,
+    question: item.value.question,
+    purpose: item.value.purpose,
+    status: questionStatus(item),
+    asked_at: item.askedAt || null,
+    asked_quote: item.askedQuote || null,
+    answer: item.answer?.text || null
+  });
+  const withStatus = (...statuses) => items.filter(item => statuses.includes(questionStatus(item))).map(describe);
+
+  return {
+    total: items.length,
+    counts,
+    covered: withStatus('asked', 'answered'),
+    not_covered: withStatus('suggested'),
+    dismissed: withStatus('dismissed')
+  };
+}
@@ -0,0 +1,137 @@
+// PII redaction for transcript text.
+//
+// Each detector finds spans of one entity type. redact() runs the enabled
+// detectors in priority order (earlier detectors win overlapping spans) and
+// swaps every span for a typed placeholder such as [SSN_1]. With a token vault
+// the placeholder is numbered and the original is stored encrypted so it can be
+// revealed later; without one (e.g. for partial transcripts) a bare [SSN]
+// placeholder is used and nothing is stored.
+//
+// Detection is pattern based and tuned for formatted transcripts, where
+// numbers are written as digits.
+export { createTokenVault, loadTokenVault, deriveVaultKey } from './vault.js';
+
+const MONTH = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+// "D.O.B." ends in a period, so it can't end with \b
+const BIRTH_CONTEXT = /\b(?:born|birth|birthday|dob)\b|\bd\.o\.b\b\.?/gi;
+const SENTENCE_END = /[.!?]\s/;
+const CONTEXT_WINDOW = 40;
+
+// Collect [start, end) spans for every match of a regex, optionally for one
+// capture group only
+function findSpans(regex, text, { group = 0, accept } = {}) {
+  const spans = [];
+  for (const match of text.matchAll(regex)) {
+    const [start, end] = match.indices[group];
+    if (!accept || accept(match, text, start)) {
+      spans.push({ start, end });
+    }
+  }
+  return spans;
+}
+
+function digitCount(value) {
+  return value.replace(/\D/g, '').length;
+}
+
+// A past date is a birth date only when birth wording comes shortly before it
+// in the same sentence. Other dates (purchases, hires, divorces) are left for
+// the analysis.
+function isLikelyBirthDate(year, text, start, now) {
+  if (parseInt(year, 10) > now().getFullYear()) return false;
+
+  const before = text.slice(Math.max(0, start - CONTEXT_WINDOW), start);
+  const label = [...before.matchAll(BIRTH_CONTEXT)].pop();
+  return Boolean(label) && !SENTENCE_END.test(before.slice(label.index + label[0].length));
+}
+
+// A number given right after an account label: at least 6 digits, or the last
+// 4+ after "ending in", as long as those aren't a year
+function isLabeledAccountNumber(match) {
+  const digits = match[2].replace(/\D/g, '');
+  if (digits.length > 17) return false;
+  if (match[1]) return digits.length >= 4 && !/^(?:19|20)\d{2}$/.test(digits);
+  return digits.length >= 6;
+}
+
+const DETECTORS = {
+  ssn: {
+    placeholder: 'SSN',
+    find: (text) => [
+      ...findSpans(/(?<![\d-])\d{3}([- ])\d{2}\1\d{4}(?![\d-])/dg, text),
+      ...findSpans(/\b(?:ssn|social security(?: number)?)\D{0,20}?(\d{9}|\d{3}[- ]\d{2}[- ]\d{4})(?!\d)/dgi, text, { group: 1 })
+    ]
+  },
+  phone: {
+    placeholder: 'PHONE',
+    find: (text) => [
+      ...findSpans(/(?<![\d-])(?:\+?1[-. ]?)?(?:\(\d{3}\)\s?|\d{3}[-. ])\d{3}[-. ]\d{4}(?![\d-])/dg, text),
+      ...findSpans(/\b(?:phone|cell|mobile|call (?:me|us) at|reach (?:me|us) at)\D{0,20}?(\+?1?\d{10})(?!\d)/dgi, text, { group: 1 })
+    ]
+  },
+  dob: {
+    placeholder: 'DOB',
+    find: (text, { now }) => {
+      const accept = (match, source, start) => isLikelyBirthDate(match.groups.year, source, start, now);
+      return [
+        ...findSpans(/(?<!\d)(?:0?[1-9]|1[0-2])[/.-](?:0?[1-9]|[12]\d|3[01])[/.-](?<year>(?:19|20)\d{2})(?!\d)/dg, text, { accept }),
+        ...findSpans(new RegExp(`\\b${MONTH}\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+(?<year>(?:19|20)\\d{2})\\b`, 'dgi'), text, { accept }),
+        ...findSpans(new RegExp(`\\b\\d{1,2}(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH}\\.?,?\\s+(?<year>(?:19|20)\\d{2})\\b`, 'dgi'), text, { accept })
+      ];
+    }
+  },
+  account_number: {
+    placeholder: 'ACCOUNT_NUMBER',
+    find: (text) => [
+      ...findSpans(/(?<![\d-])\d{8,17}(?![\d-])/dg, text),
+      ...findSpans(/(?<![\d-])\d{2,6}(?:-\d{2,6}){1,4}(?![\d-])/dg, text, {
+        accept: (match) => digitCount(match[0]) >= 8 && digitCount(match[0]) <= 17
+      }),
+      // The label has to sit right next to the number ("account number is
+      // 12345678", not "account in 2015"), with at most "number", "#", "is"
+      // or ":" between them
+      ...findSpans(/\b(?:account|acct|routing|policy|member)(?:\s+(?:number|no\.?|id))?(?:\s+is|\s*[:#])?(\s+ending (?:in|with))?\s*(\d[\d -]{2,22}\d)(?!\d)/dgi, text, {
+        group: 2,
+        accept: isLabeledAccountNumber
+      })
+    ]
+  }
+};
+
+export const PII_ENTITIES = Object.keys(DETECTORS);
+
+export function createRedactor({ entities = PII_ENTITIES, now = () => new Date() } = {}) {
+  for (const entity of entities) {
+    if (!DETECTORS[entity]) {
+      throw new Error(`Unknown PII entity "${entity}" (available: ${PII_ENTITIES.join(', ')})`);
+    }
+  }
+
+  function redact(text, vault = null) {
+    if (!text) return text;
+
+    // Claim spans in priority order, skipping any that overlap an earlier claim
+    const claimed = [];
+    for (const entity of PII_ENTITIES) {
+      if (!entities.includes(entity)) continue;
+      const detector = DETECTORS[entity];
+      for (const span of detector.find(text, { now })) {
+        if (claimed.some(other => span.start < other.end && other.start < span.end)) continue;
+        claimed.push({ ...span, entity, placeholder: detector.placeholder });
+      }
+    }
+
+    // Rebuild front to back so placeholders are numbered in reading order
+    let result = '';
+    let cursor = 0;
+    for (const span of claimed.sort((a, b) => a.start - b.start)) {
+      const value = text.slice(span.start, span.end);
+      result += text.slice(cursor, span.start) +
+        (vault ? vault.tokenize(span.placeholder, value) : `[${span.placeholder}]`);
+      cursor = span.end;
+    }
+    return result + text.slice(cursor);
+  }
+
+  return { entities, redact };
+}
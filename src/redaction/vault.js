@@ -0,0 +1,86 @@
+// Encrypted token vault: maps placeholders like [SSN_1] to the original
+// values, each sealed with AES-256-GCM. Repeated values get the same
+// placeholder, looked up by an HMAC of the value so no plaintext index is kept.
+//
+// Serialized form (safe to write to disk; useless without the key):
+// { "version": 1, "entries": { "[SSN_1]": { "type": "SSN", "iv", "tag", "data" } } }
+import crypto from 'crypto';
+
+const KEY_SALT = 'rtms-pii-vault';
+
+// Derive the 32-byte vault key from a configured secret
+export function deriveVaultKey(secret) {
+  return crypto.scryptSync(secret, KEY_SALT, 32);
+}
+
+function normalize(value) {
+  // "123-45-6789" and "123 45 6789" are the same number
+  const digits = value.replace(/\D/g, '');
+  return digits.length >= 4 ? digits : value.trim().toLowerCase();
+}
+
+function encrypt(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function decrypt(key, { iv, tag, data }) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+export function createTokenVault(key, { entries = {}, onTokenCreated } = {}) {
+  const sealed = new Map(Object.entries(entries));
+  const index = new Map(); // HMAC(type:value) -> placeholder
+  const counters = new Map();
+
+  for (const [placeholder, entry] of sealed) {
+    const number = parseInt(placeholder.match(/_(\d+)\]$/)?.[1] || '0', 10);
+    counters.set(entry.type, Math.max(counters.get(entry.type) || 0, number));
+  }
+
+  function fingerprint(type, value) {
+    return crypto.createHmac('sha256', key).update(`${type}:${normalize(value)}`).digest('hex');
+  }
+
+  function tokenize(type, value) {
+    const id = fingerprint(type, value);
+    if (index.has(id)) return index.get(id);
+
+    const number = (counters.get(type) || 0) + 1;
+    counters.set(type, number);
+
+    const placeholder = `[${type}_${number}]`;
+    sealed.set(placeholder, { type, ...encrypt(key, value) });
+    index.set(id, placeholder);
+    onTokenCreated?.(placeholder);
+    return placeholder;
+  }
+
+  // Returns the original value, or null for an unknown placeholder
+  function reveal(placeholder) {
+    const entry = sealed.get(placeholder);
+    return entry ? decrypt(key, entry) : null;
+  }
+
+  return {
+    tokenize,
+    reveal,
+    get size() {
+      return sealed.size;
+    },
+    toJSON: () => ({ version: 1, entries: Object.fromEntries(sealed) })
+  };
+}
+
+// Rebuild a vault from its serialized form (for reveals after a meeting ended)
+export function loadTokenVault(key, serialized) {
+  return createTokenVault(key, { entries: serialized?.entries || {} });
+}
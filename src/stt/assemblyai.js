@@ -0,0 +1,81 @@
+// AssemblyAI Universal Streaming (v3) speech-to-text provider
+import WebSocket from 'ws';
+import querystring from 'querystring';
+
+const DEFAULT_ENDPOINT = 'wss://streaming.assemblyai.com/v3/ws';
+
+export function createAssemblyAIProvider({ apiKey, endpoint = DEFAULT_ENDPOINT, sampleRate, debug = false }) {
+  const connectionParams = {
+    sample_rate: sampleRate,
+    format_turns: true,
+  };
+  const url = `${endpoint}?${querystring.stringify(connectionParams)}`;
+
+  function startSession(handlers) {
+    const ws = new WebSocket(url, {
+      headers: {
+        Authorization: apiKey,
+      },
+    });
+
+    ws.on('open', () => {
+      console.log(`✅ AssemblyAI connected`);
+    });
+
+    ws.on('message', (message) => {
+      try {
+        const data = JSON.parse(message);
+
+        if (data.type === 'Begin') {
+          handlers.onBegin();
+        } else if (data.type === 'Turn') {
+          const text = data.transcript || '';
+          if (!text.trim()) return;
+
+          // With format_turns enabled, only the formatted Turn is final
+          if (data.turn_is_formatted) {
+            handlers.onTurn({ text });
+          } else {
+            handlers.onPartial({ text });
+          }
+        } else if (data.type === 'Termination') {
+          handlers.onTerminated();
+        }
+      } catch (error) {
+        handlers.onError(error);
+      }
+    });
+
+    ws.on('error', (error) => {
+      handlers.onError(error);
+    });
+
+    ws.on('close', (code) => {
+      if (debug) console.log(`🔌 AssemblyAI closed: ${code}`);
+      handlers.onClose(code);
+    });
+
+    return {
+      isOpen() {
+        return ws.readyState === WebSocket.OPEN;
+      },
+
+      sendAudio(chunk) {
+        ws.send(chunk);
+      },
+
+      terminate() {
+        if (ws.readyState === WebSocket.OPEN) {
+          ws.send(JSON.stringify({ type: 'Terminate' }));
+        }
+        // Give AssemblyAI a moment to deliver the final Turn before closing
+        setTimeout(() => ws.close(), 1000);
+      }
+    };
+  }
+
+  return {
+    name: 'AssemblyAI',
+    startSession
+  };
+}
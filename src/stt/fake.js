@@ -0,0 +1,95 @@
+// Scripted speech-to-text provider for offline runs and tests. Emits the
+// turns from a fixture file on a timer instead of transcribing audio.
+//
+// Fixture format:
+// {
+//   "partial_interval_ms": 200,
+//   "turns": [
+//     { "at_ms": 1500, "speaker_id": 1001, "text": "Thanks for making the time today." }
+//   ]
+// }
+//
+// at_ms is measured from the start of the session. A session opened for a
+// single participant only emits that participant's turns; a mixed session
+// emits every turn tagged with its speaker_id.
+import fs from 'fs';
+
+const DEFAULT_PARTIAL_INTERVAL_MS = 200;
+
+function loadFixture(fixturePath) {
+  if (!fixturePath) {
+    throw new Error('The fake STT provider needs STT_FAKE_FIXTURE to point at a fixture file');
+  }
+
+  const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  if (!Array.isArray(fixture.turns)) {
+    throw new Error(`${fixturePath}: fixture must contain a "turns" array`);
+  }
+  return fixture;
+}
+
+export function createFakeProvider({ fixturePath }) {
+  const fixture = loadFixture(fixturePath);
+  const partialInterval = fixture.partial_interval_ms ?? DEFAULT_PARTIAL_INTERVAL_MS;
+
+  function startSession(handlers, { speakerId = null } = {}) {
+    const timers = [];
+    let open = false;
+    let audioBytes = 0;
+
+    const turns = fixture.turns.filter(turn =>
+      speakerId === null || turn.speaker_id === undefined || turn.speaker_id === speakerId
+    );
+
+    // Emit growing word prefixes as partials ahead of the final turn
+    function scheduleTurn(turn) {
+      const words = turn.text.split(/\s+/);
+      const partialCount = Math.max(0, words.length - 1);
+      const at = turn.at_ms || 0;
+      // Squeeze the partials in when the turn starts too early for the full interval
+      const step = Math.min(partialInterval, at / (partialCount + 1));
+      const start = at - partialCount * step;
+      const turnSpeakerId = turn.speaker_id ?? speakerId;
+
+      for (let i = 1; i <= partialCount; i++) {
+        timers.push(setTimeout(() => {
+          handlers.onPartial({ text: words.slice(0, i).join(' '), speakerId: turnSpeakerId });
+        }, start + (i - 1) * step));
+      }
+
+      timers.push(setTimeout(() => {
+        handlers.onTurn({ text: turn.text, speakerId: turnSpeakerId });
+      }, at));
+    }
+
+    timers.push(setTimeout(() => {
+      open = true;
+      console.log(`✅ Fake STT session started (${turns.length} scripted turns)`);
+      handlers.onBegin();
+      turns.forEach(scheduleTurn);
+    }, 0));
+
+    return {
+      isOpen() {
+        return open;
+      },
+
+      sendAudio(chunk) {
+        audioBytes += chunk.length;
+      },
+
+      terminate() {
+        timers.forEach(clearTimeout);
+        open = false;
+        handlers.onTerminated();
+        setTimeout(() => handlers.onClose(1000), 0);
+        console.log(`🔌 Fake STT session ended after ${(audioBytes / 1024).toFixed(1)}KB of audio`);
+      }
+    };
+  }
+
+  return {
+    name: 'Fake STT',
+    startSession
+  };
+}
@@ -0,0 +1,29 @@
+// Speech-to-text provider registry.
+//
+// A provider is { name, startSession(handlers, { speakerId }) }. startSession
+// opens one streaming session and returns
+//   { isOpen(), sendAudio(chunk), terminate() }
+// where chunks are 16-bit mono PCM at the configured sample rate. Sessions
+// report back through the handlers:
+//   onBegin()                        session is ready for audio
+//   onPartial({ text, speakerId? })  in-progress text for the current turn
+//   onTurn({ text, speakerId? })     a finished, formatted turn
+//   onTerminated()                   the provider ended the session
+//   onError(error)
+//   onClose(code)                    the session is gone; reconnect if unexpected
+// speakerId on an event overrides the speaker the session was opened for.
+import { createAssemblyAIProvider } from './assemblyai.js';
+import { createFakeProvider } from './fake.js';
+
+const PROVIDERS = {
+  assemblyai: createAssemblyAIProvider,
+  fake: createFakeProvider
+};
+
+export function createSttProvider(name, options) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown STT provider "${name}" (available: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return factory(options);
+}
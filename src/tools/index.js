@@ -0,0 +1,83 @@
+// Registry of analysis tool plugins (see plugin.js for the plugin shape).
+//
+// The built-in plugins come first, in dashboard order. Extra plugins are
+// loaded from every .js/.mjs file in a plugin directory (sorted by file name),
+// each default-exporting one plugin or an array of them.
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { validatePlugin } from './plugin.js';
+import summary from './plugins/summary.js';
+import qualification from './plugins/qualification.js';
+import clientProfile from './plugins/client-profile.js';
+import clientInfo from './plugins/client-info.js';
+import advisorReminders from './plugins/advisor-reminders.js';
+import concerns from './plugins/concerns.js';
+import strategicQuestions from './plugins/strategic-questions.js';
+
+export { listPlugin, escapeHtml } from './plugin.js';
+
+export const BUILTIN_PLUGINS = [summary, qualification, clientProfile, clientInfo, advisorReminders, concerns, strategicQuestions];
+
+export async function loadToolPlugins(pluginDir) {
+  const plugins = BUILTIN_PLUGINS.map(plugin => validatePlugin(plugin, 'built-in'));
+  if (!pluginDir || !fs.existsSync(pluginDir)) return plugins;
+
+  const files = fs.readdirSync(pluginDir).filter(file => /\.m?js$/.test(file)).sort();
+  for (const file of files) {
+    const modulePath = path.resolve(pluginDir, file);
+    const { default: exported } = await import(pathToFileURL(modulePath).href);
+    for (const plugin of [exported].flat()) {
+      plugins.push(validatePlugin(plugin, modulePath));
+    }
+  }
+  return plugins;
+}
+
+// defaultContext is used to resolve tool names, which must not depend on it
+export function createToolRegistry(plugins, defaultContext) {
+  const byToolName = new Map();
+  const ids = new Set();
+  const sectionIds = new Set();
+
+  for (const plugin of plugins) {
+    if (ids.has(plugin.id)) throw new Error(`Duplicate tool plugin id "${plugin.id}"`);
+    if (sectionIds.has(plugin.section.id)) throw new Error(`Duplicate dashboard section id "${plugin.section.id}"`);
+    ids.add(plugin.id);
+    sectionIds.add(plugin.section.id);
+  }
+
+  function getTool(plugin, context) {
+    return typeof plugin.tool === 'function' ? plugin.tool(context) : plugin.tool;
+  }
+
+  for (const plugin of plugins) {
+    const { name } = getTool(plugin, defaultContext);
+    if (byToolName.has(name)) throw new Error(`Duplicate tool name "${name}"`);
+    byToolName.set(name, plugin);
+  }
+
+  return {
+    plugins,
+    getTools: (context) => plugins.map(plugin => getTool(plugin, context)),
+    findByToolName: (name) => byToolName.get(name) || null,
+
+    initialState: (context) => Object.fromEntries(plugins.map(plugin => [plugin.id, plugin.defaultState(context)])),
+
+    // Fill in any plugin state that is missing (e.g. a plugin added mid-meeting)
+    normalizeState(data, context) {
+      return Object.fromEntries(plugins.map(plugin => {
+        const state = data?.[plugin.id];
+        if (state === undefined || state === null) return [plugin.id, plugin.defaultState(context)];
+        return [plugin.id, plugin.normalize ? plugin.normalize(state, context) : state];
+      }));
+    }
+  };
+}
+
+// Source of a section function as a browser expression. Method shorthand
+// ("renderItem(item) { ... }") is turned into a function expression.
+export function functionSource(fn) {
+  const source = fn.toString();
+  return /^(async\s+)?(function\b|\(|[\w$]+\s*=>)/.test(source) ? source : `function ${source}`;
+}
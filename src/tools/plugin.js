@@ -0,0 +1,161 @@
+// Analysis tool plugins.
+//
+// Each insight type on the dashboard is a plugin: a plain object that owns one
+// key of the meeting's financialData.
+// {
+//   id: 'concerns',                 // financialData key
+//   kind: 'list' | 'fields',        // running list, or a record of named fields
+//   tool: { name, description, input_schema } or (context) => tool,
+//   defaultState: (context) => state,
+//   normalize: (state, context) => state,     // optional; repairs missing state
+//   recorded: (state) => value,               // optional; state as shown to the model
+//   reduce: (state, input, context) => ({ state, changes, result }),
+//   describe: (input, context) => string,     // optional; debug log line
+//   section: { id, title, emptyMessage, renderItem(value, index, isLatest, item),    // list
+//              isOpen(item) }   // optional; only open items are shown by default
+//         or { id, render(state, context) }                                         // fields
+// }
+//
+// Every tool is offered with a required source_turns property (see
+// provenance.js); it is taken out of the input before reduce sees it.
+//
+// context is { framework, dedupeThreshold } for the meeting. reduce returns
+// the new state, what changed (the added or updated item for a list, the
+// changed fields for a record; null when nothing did) and the text sent back
+// to the model as the tool result.
+//
+// List items are stored as { id, value, firstSeen, lastUpdated, mergeCount },
+// where value is what the tool supplied and the ids ("clientInfo_2") are shown
+// to the model so it can revise an item instead of adding a variant of it.
+//
+// The section functions are sent to the browser as source, so they may only use
+// their arguments and escapeHtml (below; the dashboard defines it too), and
+// must return an HTML string. Anything the model or the transcript supplied
+// goes through escapeHtml. A fields section renders a
+// root element with the id "section-{section id}" and gives each value cell the
+// id "{plugin id}-{field}" so pushed text changes can patch it. Changes to
+// object values re-render the whole section instead.
+import { contentWords, similarity } from './similarity.js';
+
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function isListItem(item) {
+  return item !== null && typeof item === 'object' && typeof item.id === 'string' && 'value' in item;
+}
+
+// A running list. Each call adds input[itemKey] as a new item, unless it names
+// an existing item (existing_id) or is a near-duplicate of one, in which case
+// that item is updated in place. textOf picks the text that is compared.
+export function listPlugin({ id, tool, itemKey, textOf = (value) => value, describe, section }) {
+  const toolWithUpdate = {
+    ...tool,
+    input_schema: {
+      ...tool.input_schema,
+      properties: {
+        ...tool.input_schema.properties,
+        existing_id: {
+          type: 'string',
+          description: `Id of an item already recorded (e.g. ${id}_2) that this revises. Omit to add a new item.`
+        }
+      }
+    }
+  };
+
+  function wrap(value, number, now) {
+    return { id: `${id}_${number}`, value, firstSeen: now, lastUpdated: now, mergeCount: 0 };
+  }
+
+  // Keep whichever wording says more; the merged item keeps its id and firstSeen
+  function merge(item, value, now, { replace = false } = {}) {
+    const keepNew = replace || contentWords(textOf(value)).size >= contentWords(textOf(item.value)).size;
+    return {
+      ...item,
+      value: keepNew ? value : item.value,
+      lastUpdated: now,
+      mergeCount: item.mergeCount + 1
+    };
+  }
+
+  return {
+    id,
+    kind: 'list',
+    tool: toolWithUpdate,
+    describe,
+    section,
+    defaultState: () => [],
+    recorded: (state) => state.map(({ id, value }) => ({ id, value })),
+    // Lists saved before items had ids are wrapped on first use
+    normalize: (state) => Array.isArray(state)
+      ? state.map((item, index) => isListItem(item) ? item : wrap(item, index + 1, null))
+      : [],
+    reduce: (state, input, context = {}) => {
+      const value = input[itemKey];
+      if (value === undefined || value === null || value === '') {
+        return { state, changes: null, result: `Missing ${itemKey}` };
+      }
+      const now = new Date().toISOString();
+
+      let index = -1;
+      if (input.existing_id) {
+        index = state.findIndex(item => item.id === input.existing_id);
+        if (index === -1) {
+          return { state, changes: null, result: `No ${id} item with id ${input.existing_id}` };
+        }
+      } else {
+        const threshold = context.dedupeThreshold ?? 0.75;
+        let best = threshold;
+        state.forEach((item, i) => {
+          const score = similarity(textOf(item.value), textOf(value));
+          if (score >= best) {
+            best = score;
+            index = i;
+          }
+        });
+      }
+
+      if (index === -1) {
+        const item = wrap(value, state.length + 1, now);
+        return { state: [...state, item], changes: item, result: `Added as ${item.id}` };
+      }
+
+      const updated = merge(state[index], value, now, { replace: Boolean(input.existing_id) });
+      const next = [...state];
+      next[index] = updated;
+      return {
+        state: next,
+        changes: updated,
+        result: input.existing_id ? `Updated ${updated.id}` : `Merged into ${updated.id} (near-duplicate)`
+      };
+    }
+  };
+}
+
+export function validatePlugin(plugin, source) {
+  const problem = (message) => new Error(`Tool plugin ${plugin?.id ? `"${plugin.id}"` : ''} (${source}): ${message}`);
+
+  if (!plugin || typeof plugin !== 'object') throw problem('module must export a plugin object');
+  if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(plugin.id || '')) throw problem('id must be an identifier');
+  if (!['list', 'fields'].includes(plugin.kind)) throw problem('kind must be "list" or "fields"');
+  if (!plugin.tool) throw problem('tool definition is required');
+  for (const name of ['defaultState', 'reduce']) {
+    if (typeof plugin[name] !== 'function') throw problem(`${name} must be a function`);
+  }
+  if (!plugin.section?.id) throw problem('section.id is required');
+  if (plugin.kind === 'list' && typeof plugin.section.renderItem !== 'function') {
+    throw problem('list sections need a renderItem function');
+  }
+  if (plugin.section.isOpen !== undefined && typeof plugin.section.isOpen !== 'function') {
+    throw problem('section.isOpen must be a function');
+  }
+  if (plugin.kind === 'fields' && typeof plugin.section.render !== 'function') {
+    throw problem('fields sections need a render function');
+  }
+  return plugin;
+}
@@ -0,0 +1,24 @@
+import { listPlugin, escapeHtml } from '../plugin.js';
+
+export default listPlugin({
+  id: 'advisorReminders',
+  itemKey: 'new_reminder',
+  tool: {
+    name: 'update_advisor_reminders',
+    description: 'Add advisor reminder.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        new_reminder: { type: 'string', description: 'Reminder for advisor' }
+      },
+      required: ['new_reminder']
+    }
+  },
+  describe: (input) => `💡 Reminder: ${input.new_reminder}`,
+  section: {
+    id: 'reminders',
+    title: '💡 Advisor Reminders',
+    emptyMessage: 'No reminders yet',
+    renderItem: (reminder, index, isLatest) => `<div class="list-item ${isLatest ? 'latest' : ''}">${index + 1}. ${escapeHtml(reminder)}</div>`
+  }
+});
@@ -0,0 +1,24 @@
+import { listPlugin, escapeHtml } from '../plugin.js';
+
+export default listPlugin({
+  id: 'clientInfo',
+  itemKey: 'new_info',
+  tool: {
+    name: 'update_client_info',
+    description: 'Add client information that has no field in the client profile (update_client_profile covers age, family, income, assets, debts, employer, retirement date and risk tolerance).',
+    input_schema: {
+      type: 'object',
+      properties: {
+        new_info: { type: 'string', description: 'New client information' }
+      },
+      required: ['new_info']
+    }
+  },
+  describe: (input) => `👤 Client info: ${input.new_info}`,
+  section: {
+    id: 'clientInfo',
+    title: '👤 Client Information',
+    emptyMessage: 'No client information identified yet',
+    renderItem: (info, index, isLatest) => `<div class="list-item ${isLatest ? 'latest' : ''}">${index + 1}. ${escapeHtml(info)}</div>`
+  }
+});
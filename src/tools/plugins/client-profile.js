@@ -0,0 +1,100 @@
+// Structured client profile card; see src/profile/client-profile.js. The
+// free-text clientInfo list stays alongside it for anything that doesn't fit
+// a field.
+import {
+  createProfileTool,
+  emptyProfile,
+  normalizeProfile,
+  applyProfileUpdates,
+  profileValues
+} from '../../profile/client-profile.js';
+import { escapeHtml } from '../plugin.js';
+
+export default {
+  id: 'clientProfile',
+  kind: 'fields',
+  tool: createProfileTool(),
+  defaultState: () => emptyProfile(),
+  normalize: (state) => normalizeProfile(state),
+  recorded: (state) => profileValues(state),
+  reduce: (state, input) => {
+    const { profile, changes, applied, rejected } = applyProfileUpdates(state, input.fields);
+    const result = [
+      applied.length > 0 ? `Updated ${applied.join(', ')}` : 'Nothing updated',
+      ...(rejected.length > 0 ? [`Rejected: ${rejected.join('; ')}`] : [])
+    ].join('. ');
+    return {
+      state: profile,
+      changes: applied.length > 0 ? changes : null,
+      result
+    };
+  },
+  describe: (input) => `🪪 Client profile: ${(input.fields || []).map(update =>
+    `${update.field}${update.account_type ? `.${update.account_type}` : ''}=${update.value}`).join(', ')}`,
+  section: {
+    id: 'clientProfile',
+    // Values show their confidence; hovering shows the quote they came from
+    render: (profile) => {
+      const fields = [
+        ['age', '🎂 Age'],
+        ['marital_status', '💍 Marital Status'],
+        ['dependents', '👶 Dependents'],
+        ['annual_income', '💵 Annual Income'],
+        ['assets', '🏦 Assets'],
+        ['liabilities', '💳 Liabilities'],
+        ['employer', '🏢 Employer'],
+        ['retirement_date', '🏖️ Retirement Date'],
+        ['risk_tolerance', '📈 Risk Tolerance']
+      ];
+      const moneyFields = ['annual_income', 'assets', 'liabilities'];
+      const accountNames = { '401k': '401(k)', '403b': '403(b)', ira: 'IRA', roth_ira: 'Roth IRA', hsa: 'HSA', heloc: 'HELOC' };
+      const humanize = (text) => String(text).replace(/_/g, ' ').replace(/^./, letter => letter.toUpperCase());
+
+      const renderEntry = (key, entry, name) => {
+        const value = moneyFields.includes(key) ? `$${Number(entry.value).toLocaleString('en-US')}` : humanize(entry.value);
+        const confidence = entry.confidence === null || entry.confidence === undefined ? null : Math.round(entry.confidence * 100);
+        const level = confidence === null ? '' : confidence >= 80 ? 'high' : confidence >= 50 ? 'medium' : 'low';
+        return `
+          <div class="profile-entry" title="${entry.source_quote ? `&quot;${escapeHtml(entry.source_quote)}&quot;` : 'No source quote'}">
+            ${name ? `<span class="profile-account">${escapeHtml(name)}:</span> ` : ''}${escapeHtml(value)}
+            ${confidence === null ? '' : `<span class="confidence-badge ${level}">${confidence}%</span>`}
+          </div>
+        `;
+      };
+
+      const renderValue = (key) => {
+        const current = profile[key];
+        if (current && typeof current === 'object' && !('value' in current)) {
+          const accounts = Object.entries(current);
+          if (accounts.length === 0) return 'Not identified';
+          const total = accounts.reduce((sum, [, entry]) => sum + Number(entry.value), 0);
+          return accounts.map(([type, entry]) => renderEntry(key, entry, accountNames[type] || humanize(type))).join('') +
+            (accounts.length > 1 ? `<div class="profile-total">Total: $${total.toLocaleString('en-US')}</div>` : '');
+        }
+        return current ? renderEntry(key, current) : 'Not identified';
+      };
+
+      const known = fields.filter(([key]) => {
+        const current = profile[key];
+        return current && (typeof current !== 'object' || 'value' in current || Object.keys(current).length > 0);
+      }).length;
+
+      return `
+        <div class="dashboard-section" id="section-clientProfile">
+          <div class="section-title">
+            <div class="section-title-left">
+              🪪 Client Profile
+              <span class="item-count">${known}/${fields.length}</span>
+            </div>
+          </div>
+          <div class="qualification-grid">
+            ${fields.map(([key, label]) => `
+              <div class="qualification-label">${label}:</div>
+              <div class="qualification-value profile-value" id="clientProfile-${key}">${renderValue(key)}</div>
+            `).join('')}
+          </div>
+        </div>
+      `;
+    }
+  }
+};
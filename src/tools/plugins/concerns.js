@@ -0,0 +1,78 @@
+import { listPlugin, escapeHtml } from '../plugin.js';
+import { concernStatus, reopenConcern } from '../../concerns/lifecycle.js';
+
+// Whether a concern was addressed or escalated is tracked on the items by
+// src/concerns/lifecycle.js
+const plugin = listPlugin({
+  id: 'concerns',
+  itemKey: 'new_concern',
+  textOf: (concern) => concern.concern,
+  tool: {
+    name: 'update_concerns',
+    description: 'Add client concern.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        new_concern: {
+          type: 'object',
+          properties: {
+            concern: { type: 'string', description: 'Client concern' },
+            addressing_strategy: { type: 'string', description: 'How to address it' },
+            severity: {
+              type: 'string',
+              enum: ['high', 'medium', 'low'],
+              description: 'How much the concern could stand in the way of the client going ahead'
+            }
+          },
+          required: ['concern', 'addressing_strategy', 'severity']
+        }
+      },
+      required: ['new_concern']
+    }
+  },
+  describe: (input) => `⚠️ Concern: ${input.new_concern.concern}`,
+  section: {
+    id: 'concerns',
+    title: '⚠️ Client Concerns & Addressing',
+    emptyMessage: 'No concerns identified yet',
+    isOpen: (item) => (item.status || 'open') !== 'addressed',
+    renderItem: (concern, index, isLatest, item) => {
+      const status = item.status || 'open';
+      return `
+        <div class="concern-item ${isLatest ? 'latest' : ''} ${status}">
+          <strong>Concern:</strong> ${escapeHtml(concern.concern || 'N/A')}
+          <span class="concern-status ${status}">${status}</span>
+          ${concern.severity ? `<span class="severity-badge ${escapeHtml(concern.severity)}">${escapeHtml(concern.severity)}</span>` : ''}<br><br>
+          <strong>Strategy:</strong> ${escapeHtml(concern.addressing_strategy || 'N/A')}
+          ${item.resolution ? `
+            <div class="concern-resolution">
+              <strong>${status === 'escalated' ? 'Escalated' : 'Addressed'} (${item.resolution.timestamp}, ${item.resolution.turnId}):</strong>
+              ${escapeHtml(item.resolution.note)}
+              <div class="concern-resolution-quote">"${escapeHtml(item.resolution.text)}"</div>
+            </div>
+          ` : ''}
+        </div>
+      `;
+    }
+  }
+});
+
+export default {
+  ...plugin,
+  // A new concern that merges into an addressed one means the client raised it
+  // again, so it is open again (revising it by existing_id keeps its status)
+  reduce: (state, input, context) => {
+    const reduced = plugin.reduce(state, input, context);
+    const merged = reduced.changes;
+    if (!merged || input.existing_id || concernStatus(merged) !== 'addressed') return reduced;
+
+    const reopened = reopenConcern(merged);
+    return {
+      state: reduced.state.map(item => item.id === reopened.id ? reopened : item),
+      changes: reopened,
+      result: `${reduced.result}; reopened since it was marked addressed`
+    };
+  },
+  // The model sees each concern's status, so it can report what happened to open ones
+  recorded: (state) => state.map(({ id, value, status }) => ({ id, value, status: status || 'open' }))
+};
@@ -0,0 +1,94 @@
+// Qualification grid for the meeting's framework (FAINT, BANT, ...); see
+// src/qualification/frameworks.js. The score gauge and field history come
+// from src/qualification/scoring.js.
+import {
+  createQualificationTool,
+  normalizeQualification,
+  applyQualificationUpdate
+} from '../../qualification/frameworks.js';
+import { escapeHtml } from '../plugin.js';
+
+export default {
+  id: 'qualification',
+  kind: 'fields',
+  tool: ({ framework }) => createQualificationTool(framework),
+  defaultState: ({ framework }) => normalizeQualification(framework),
+  normalize: (state, { framework }) => normalizeQualification(framework, state),
+  reduce: (state, input, { framework }) => {
+    // Only fields of the meeting's framework that are provided and not empty
+    const next = { ...state };
+    const changes = applyQualificationUpdate(framework, next, input);
+    return {
+      state: next,
+      changes: Object.keys(changes).length > 0 ? changes : null,
+      result: 'Updated'
+    };
+  },
+  describe: (input, { framework }) => `${framework.icon} ${framework.name} updated: ${JSON.stringify(input)}`,
+  section: {
+    id: 'qualification',
+    // context.frameworks lists every framework the meeting can switch to;
+    // context.score is { score, fields: history by field, trajectory }
+    render: (values, { framework, frameworks, score }) => {
+      const history = score?.fields || {};
+      const trajectory = score?.trajectory || [];
+      const previous = trajectory.length > 1 ? trajectory[trajectory.length - 2].score : null;
+      const delta = previous === null ? 0 : score.score - previous;
+      const level = !score ? '' : score.score >= 70 ? 'high' : score.score >= 40 ? 'medium' : 'low';
+
+      const renderHistory = (key) => {
+        const entries = history[key] || [];
+        if (entries.length === 0) return '';
+        return `
+          <details class="field-history">
+            <summary title="Value history">🕘 ${entries.length}</summary>
+            <div class="field-history-list">
+              ${entries.slice().reverse().map(entry => `
+                <div class="field-history-entry">
+                  <div class="field-history-meta">
+                    ${new Date(entry.at).toLocaleTimeString()}
+                    ${entry.confidence === null ? '' : ` · ${Math.round(entry.confidence * 100)}% confidence`}
+                    ${entry.source_turns.length > 0 ? ` · ${escapeHtml(entry.source_turns.join(', '))}` : ''}
+                  </div>
+                  ${escapeHtml(entry.value)}
+                </div>
+              `).join('')}
+            </div>
+          </details>
+        `;
+      };
+
+      return `
+        <div class="dashboard-section" id="section-qualification">
+          <div class="section-title">
+            <div class="section-title-left">
+              ${framework.icon} ${framework.name} Qualification
+              ${score ? `
+                <div class="score-gauge ${level}" style="--score: ${score.score}" title="Weighted ${framework.name} score">
+                  <div class="score-gauge-value">${score.score}</div>
+                </div>
+                ${delta !== 0 ? `<span class="score-delta ${delta > 0 ? 'up' : 'down'}">${delta > 0 ? '▲' : '▼'} ${Math.abs(delta)}</span>` : ''}
+              ` : ''}
+            </div>
+            ${frameworks.length > 1 ? `
+              <select class="framework-select" onchange="selectFramework(this.value)">
+                ${frameworks.map(option => `
+                  <option value="${option.id}" ${option.id === framework.id ? 'selected' : ''}>${option.name}</option>
+                `).join('')}
+              </select>
+            ` : ''}
+          </div>
+          <div class="qualification-grid">
+            ${framework.fields.map(field => `
+              <div class="qualification-label" title="${field.description || ''}">
+                ${field.icon || ''} ${field.label}:
+                ${renderHistory(field.key)}
+              </div>
+              <div class="qualification-value" id="qualification-${field.key}">${escapeHtml(values[field.key] || 'Not identified')}</div>
+            `).join('')}
+          </div>
+        </div>
+      `;
+    }
+  }
+};
@@ -0,0 +1,56 @@
+import { listPlugin, escapeHtml } from '../plugin.js';
+
+// Question status (suggested, asked, answered, dismissed) is tracked on the
+// items by src/questions/lifecycle.js
+const plugin = listPlugin({
+  id: 'strategicQuestions',
+  itemKey: 'new_question',
+  textOf: (question) => question.question,
+  tool: {
+    name: 'update_strategic_questions',
+    description: 'Add strategic question.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        new_question: {
+          type: 'object',
+          properties: {
+            question: { type: 'string', description: 'Question to ask' },
+            purpose: { type: 'string', description: 'Why ask this' }
+          },
+          required: ['question', 'purpose']
+        }
+      },
+      required: ['new_question']
+    }
+  },
+  describe: (input) => `❓ Question: ${input.new_question.question}`,
+  section: {
+    id: 'questions',
+    title: '❓ Strategic Questions to Ask',
+    emptyMessage: 'No strategic questions suggested yet',
+    isOpen: (item) => ['suggested', 'asked'].includes(item.status || 'suggested'),
+    renderItem: (question, index, isLatest, item) => {
+      const status = item.status || 'suggested';
+      return `
+        <div class="question-item ${isLatest ? 'latest' : ''} ${status}">
+          <strong>${index + 1}. Question:</strong> "${escapeHtml(question.question || 'N/A')}"
+          <span class="question-status ${status}">${status}</span><br><br>
+          <strong>Purpose:</strong> ${escapeHtml(question.purpose || 'N/A')}
+          ${item.answer ? `<div class="question-answer"><strong>Answer (${item.answer.timestamp}):</strong> ${escapeHtml(item.answer.text)}</div>` : ''}
+          <div class="question-actions">
+            ${status === 'dismissed'
+              ? `<button class="question-action" onclick="updateQuestionStatus('${item.id}', 'suggested')">Restore</button>`
+              : `<button class="question-action" onclick="updateQuestionStatus('${item.id}', 'dismissed')">Dismiss</button>`}
+          </div>
+        </div>
+      `;
+    }
+  }
+});
+
+export default {
+  ...plugin,
+  // The model sees which questions were already asked, so it doesn't suggest them again
+  recorded: (state) => state.map(({ id, value, status }) => ({ id, value, status: status || 'suggested' }))
+};
@@ -0,0 +1,27 @@
+import { listPlugin, escapeHtml } from '../plugin.js';
+
+export default listPlugin({
+  id: 'summary',
+  itemKey: 'new_point',
+  tool: {
+    name: 'update_summary',
+    description: 'Add a new bullet point to the consultation summary.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        new_point: {
+          type: 'string',
+          description: 'A single new bullet point'
+        }
+      },
+      required: ['new_point']
+    }
+  },
+  describe: (input) => `💰 Summary: ${input.new_point}`,
+  section: {
+    id: 'summary',
+    title: '📝 Consultation Summary',
+    emptyMessage: 'No key points identified yet',
+    renderItem: (point, index, isLatest) => `<div class="list-item ${isLatest ? 'latest' : ''}">${index + 1}. ${escapeHtml(point)}</div>`
+  }
+});
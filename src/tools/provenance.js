@@ -0,0 +1,59 @@
+// Insight provenance: which transcript turns each insight came from.
+//
+// Every final turn gets a stable id ("t12") and is sent to the model as
+// "[t12] Client: ...". Each plugin tool requires source_turns, the ids of the
+// turns the call is based on, and they are stored per insight:
+// {
+//   summary: { summary_1: ['t1'] },          // list items, by item id
+//   qualification: { funds: ['t4', 't5'] }   // fields, by field key
+// }
+// List items and structured values (like the profile's assets) collect the
+// turns of every update. A plain text field keeps only the turns of its latest
+// value.
+
+export function formatTurnId(number) {
+  return `t${number}`;
+}
+
+export function withSourceTurns(tool) {
+  return {
+    ...tool,
+    input_schema: {
+      ...tool.input_schema,
+      properties: {
+        ...tool.input_schema.properties,
+        source_turns: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Ids of the transcript turns this is based on, e.g. ["t12", "t14"]'
+        }
+      },
+      required: [...new Set([...(tool.input_schema.required || []), 'source_turns'])]
+    }
+  };
+}
+
+// The cited ids that belong to turns of this meeting, without duplicates
+export function citedTurnIds(input, turnCount) {
+  const cited = Array.isArray(input?.source_turns) ? input.source_turns : [];
+  return [...new Set(cited.map(id => String(id).trim().replace(/^\[|\]$/g, '')))].filter(id => {
+    const match = id.match(/^t(\d+)$/);
+    return match && Number(match[1]) >= 1 && Number(match[1]) <= turnCount;
+  });
+}
+
+// Records the turns behind a plugin's changes and returns the updated entries
+// ({ [item id or field]: turnIds }) for publishing
+export function recordSources(sources, plugin, changes, turnIds) {
+  const pluginSources = sources[plugin.id] || (sources[plugin.id] = {});
+  const changed = plugin.kind === 'list'
+    ? { [changes.id]: true }
+    : Object.fromEntries(Object.entries(changes).map(([key, value]) => [key, value !== null && typeof value === 'object']));
+
+  return Object.fromEntries(Object.entries(changed).map(([key, accumulate]) => {
+    pluginSources[key] = accumulate
+      ? [...new Set([...(pluginSources[key] || []), ...turnIds])]
+      : [...turnIds];
+    return [key, pluginSources[key]];
+  }));
+}
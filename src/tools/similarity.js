@@ -0,0 +1,47 @@
+// Near-duplicate detection for running-list insights.
+//
+// Text is normalized to a set of content words ("Client has a 401(k)." ->
+// client, 401k) and compared with the Dice coefficient: twice the shared words
+// over the total. 1 means the same words, 0 means none in common. coverage()
+// instead asks how much of one text appears in another.
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'for', 'with', 'by', 'from', 'as',
+  'is', 'are', 'was', 'were', 'be', 'been', 'has', 'have', 'had', 'do', 'does', 'did',
+  'about', 'around', 'roughly', 'approximately', 'some', 'very', 'also', 'that', 'this', 'their', 'they',
+  'he', 'she', 'it', 'his', 'her', 'its', 'you', 'your', 'we', 'our', 'i', 'my', 'me',
+  'how', 'what', 'can', 'could', 'would', 'will', 'so', 'if'
+]);
+
+export function contentWords(text) {
+  const words = String(text ?? '')
+    .toLowerCase()
+    .replace(/[()'’,.$~]/g, '') // "401(k)" -> "401k", "$600,000" -> "600000"
+    .split(/[^a-z0-9%\[\]_]+/)
+    .filter(word => word && !STOPWORDS.has(word));
+  return new Set(words);
+}
+
+export function similarity(a, b) {
+  const wordsA = contentWords(a);
+  const wordsB = contentWords(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  let shared = 0;
+  for (const word of wordsA) {
+    if (wordsB.has(word)) shared++;
+  }
+  return (2 * shared) / (wordsA.size + wordsB.size);
+}
+
+// Share of target's content words that also appear in text
+export function coverage(target, text) {
+  const targetWords = contentWords(target);
+  const textWords = contentWords(text);
+  if (targetWords.size === 0) return 0;
+
+  let found = 0;
+  for (const word of targetWords) {
+    if (textWords.has(word)) found++;
+  }
+  return found / targetWords.size;
+}
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadComplianceRules, createComplianceMonitor, quoteMatchesTurn } from '../src/compliance/alerts.js';
+
+const rules = loadComplianceRules('config/compliance-rules.json');
+
+test('rule patterns raise an alert per offending sentence', () => {
+  const alerts = [];
+  const monitor = createComplianceMonitor(rules, { onAlert: alert => alerts.push(alert) });
+
+  const raised = monitor.checkTurn('This fund is risk-free. And we guarantee 8% returns every year.', { turnTimestamp: '2026-01-01T00:00:00Z' });
+
+  assert.deepEqual(raised.map(alert => alert.rule), ['risk_free', 'guaranteed_returns']);
+  assert.equal(raised[0].quote, 'This fund is risk-free.');
+  assert.equal(raised[0].source, 'rule');
+  assert.equal(raised[0].turn_timestamp, '2026-01-01T00:00:00Z');
+  assert.equal(alerts.length, 2);
+});
+
+test('exceptions keep compliant sentences from being flagged', () => {
+  const monitor = createComplianceMonitor(rules);
+  assert.deepEqual(monitor.checkTurn('Nothing is risk-free. Returns are not guaranteed.'), []);
+});
+
+test('the same quote for the same rule is one alert', () => {
+  const monitor = createComplianceMonitor(rules);
+  monitor.checkTurn('It is a safe bet.');
+  assert.equal(monitor.flag({ category: 'risk_free', severity: 'high', quote: 'it is a SAFE bet', explanation: 'x' }), null);
+  assert.equal(monitor.getSummary().total, 1);
+});
+
+test('LLM flags fall back to "other" and medium for unknown values', () => {
+  const monitor = createComplianceMonitor(rules);
+  const alert = monitor.flag({ category: 'made_up', severity: 'extreme', quote: 'Trust me on this one.', explanation: 'Pressure' });
+  assert.equal(alert.rule, 'other');
+  assert.equal(alert.severity, 'medium');
+  assert.equal(alert.source, 'llm');
+  assert.equal(alert.label, 'Other compliance issue');
+});
+
+test('alerts sort by severity, newest first within a severity', () => {
+  const monitor = createComplianceMonitor(rules);
+  monitor.flag({ category: 'other', severity: 'low', quote: 'one', explanation: '' });
+  monitor.flag({ category: 'other', severity: 'critical', quote: 'two', explanation: '' });
+  monitor.flag({ category: 'other', severity: 'low', quote: 'three', explanation: '' });
+
+  assert.deepEqual(monitor.getAlerts().map(alert => alert.quote), ['two', 'three', 'one']);
+  assert.deepEqual(monitor.getAuditTrail().map(alert => alert.quote), ['one', 'two', 'three']);
+  assert.equal(monitor.getSummary().low, 2);
+});
+
+test('quoteMatchesTurn ignores case and punctuation', () => {
+  assert.equal(quoteMatchesTurn('you CAN\'T lose', 'Honestly, you can\'t lose with this one.'), true);
+  assert.equal(quoteMatchesTurn('guaranteed returns', 'Returns vary from year to year.'), false);
+  assert.equal(quoteMatchesTurn('', 'anything'), false);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { concernStatus, isOpenConcern, applyConcernStatus, reopenConcern, getConcernFollowUps } from '../src/concerns/lifecycle.js';
+
+const turn = { turnId: 't7', timestamp: '2026-01-01T10:07:00Z', speaker: 'Consultant', text: 'We keep a two-year cash buffer.' };
+
+function concern(id, extra = {}) {
+  return { id, value: { concern: `Concern ${id}`, addressing_strategy: 'Explain' }, firstSeen: '2026-01-01T10:00:00Z', ...extra };
+}
+
+test('concerns start out open', () => {
+  assert.equal(concernStatus(concern('concerns_1')), 'open');
+  assert.equal(isOpenConcern(concern('concerns_1')), true);
+});
+
+test('only open concerns count as open', () => {
+  assert.equal(isOpenConcern(concern('concerns_1', { status: 'open' })), true);
+  assert.equal(isOpenConcern(applyConcernStatus(concern('concerns_1'), { status: 'addressed', turn })), false);
+  assert.equal(isOpenConcern(applyConcernStatus(concern('concerns_1'), { status: 'escalated', turn })), false);
+  assert.equal(isOpenConcern(reopenConcern(applyConcernStatus(concern('concerns_1'), { status: 'addressed', turn }))), true);
+});
+
+test('a status update keeps the resolving turn and note', () => {
+  const item = applyConcernStatus(concern('concerns_1'), { status: 'addressed', turn, note: 'Cash buffer explained' });
+  assert.equal(concernStatus(item), 'addressed');
+  assert.deepEqual(item.resolution, { ...turn, note: 'Cash buffer explained' });
+  assert.ok(item.statusUpdatedAt);
+});
+
+test('reopening drops the resolution', () => {
+  const addressed = applyConcernStatus(concern('concerns_1'), { status: 'addressed', turn });
+  const reopened = reopenConcern(addressed);
+  assert.equal(concernStatus(reopened), 'open');
+  assert.equal('resolution' in reopened, false);
+  assert.equal(reopened.value.concern, 'Concern concerns_1');
+});
+
+test('follow-ups list unresolved concerns, escalated ones first', () => {
+  const items = [
+    concern('concerns_1'),
+    applyConcernStatus(concern('concerns_2'), { status: 'addressed', turn }),
+    applyConcernStatus(concern('concerns_3'), { status: 'escalated', turn, note: 'Needs a tax specialist' })
+  ];
+
+  const followUps = getConcernFollowUps(items);
+  assert.deepEqual(followUps.map(item => [item.id, item.status]), [['concerns_3', 'escalated'], ['concerns_1', 'open']]);
+  assert.equal(followUps[0].escalation_note, 'Needs a tax specialist');
+  assert.equal(followUps[1].escalation_note, null);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadDisclosureChecklist, createDisclosureTracker } from '../src/compliance/disclosures.js';
+
+const checklist = loadDisclosureChecklist('config/disclosures.json');
+const MINUTE = 60000;
+
+function writeChecklist(t, content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'disclosures-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'checklist.json');
+  fs.writeFileSync(file, JSON.stringify(content));
+  return file;
+}
+
+test('the shipped checklist loads', () => {
+  assert.ok(checklist.disclosures.length > 0);
+  assert.ok(checklist.disclosures.every(disclosure => disclosure.regexes.length > 0));
+});
+
+test('invalid checklists are rejected', (t) => {
+  assert.throws(() => loadDisclosureChecklist(writeChecklist(t, { disclosures: [] })), /non-empty "disclosures"/);
+  const duplicate = { id: 'fees', label: 'Fees', patterns: ['fee'] };
+  assert.throws(() => loadDisclosureChecklist(writeChecklist(t, { disclosures: [duplicate, duplicate] })), /duplicate disclosure id "fees"/);
+});
+
+test('a consultant turn completes every disclosure it matches, once', () => {
+  const tracker = createDisclosureTracker(checklist, { startedAt: 0 });
+  assert.deepEqual(tracker.matchTurn('You should have our Form CRS, and our fee is 1% of assets under management.', MINUTE), ['form_crs', 'fees']);
+  assert.deepEqual(tracker.matchTurn('Again, our fees are 1%.', 2 * MINUTE), []);
+
+  const fees = tracker.getStatus(3 * MINUTE).items.find(item => item.id === 'fees');
+  assert.equal(fees.status, 'done');
+  assert.equal(fees.urgency, 'done');
+  assert.equal(fees.completed_at, new Date(MINUTE).toISOString());
+});
+
+test('open disclosures escalate with their deadline and the end of the call', () => {
+  const tracker = createDisclosureTracker(checklist, { startedAt: 0 });
+  const urgency = (minutes, id) => tracker.getStatus(minutes * MINUTE).items.find(item => item.id === id).urgency;
+
+  assert.equal(urgency(5, 'form_crs'), 'pending');
+  assert.equal(urgency(10, 'form_crs'), 'reminder');
+  assert.equal(urgency(20, 'conflicts_of_interest'), 'pending');
+  assert.equal(urgency(45, 'conflicts_of_interest'), 'reminder');
+  assert.equal(urgency(55, 'conflicts_of_interest'), 'urgent');
+  assert.equal(urgency(90, 'conflicts_of_interest'), 'urgent');
+});
+
+test('the report splits completed and missed disclosures', () => {
+  const tracker = createDisclosureTracker(checklist, { startedAt: 0 });
+  tracker.matchTurn('We do have a conflict of interest with proprietary funds.', MINUTE);
+
+  const report = tracker.getReport(2 * MINUTE);
+  assert.equal(report.completed_count, 1);
+  assert.deepEqual(report.completed.map(item => item.id), ['conflicts_of_interest']);
+  assert.equal(report.missed.length, checklist.disclosures.length - 1);
+});
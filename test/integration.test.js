@@ -0,0 +1,214 @@
+// End-to-end runs of the app with the fake STT provider, the LLM stub and the
+// RTMS simulator, each spawned on free ports. The app runs in a temp directory
+// so its consultation_logs stay out of the repo.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const SECRETS = { ZOOM_SECRET_TOKEN: 'test-secret', ZM_CLIENT_ID: 'test-client', ZM_CLIENT_SECRET: 'test-client-secret' };
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// 16kHz mono 16-bit tone, loud enough that the simulator doesn't skip it
+function writeWav(file, seconds, frequency) {
+  const samples = Math.round(16000 * seconds);
+  const buffer = Buffer.alloc(44 + samples * 2);
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + samples * 2, 4);
+  buffer.write('WAVEfmt ', 8);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);
+  buffer.writeUInt16LE(1, 22);
+  buffer.writeUInt32LE(16000, 24);
+  buffer.writeUInt32LE(32000, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(samples * 2, 40);
+  for (let i = 0; i < samples; i++) {
+    buffer.writeInt16LE(Math.round(8000 * Math.sin((2 * Math.PI * frequency * i) / 16000)), 44 + i * 2);
+  }
+  fs.writeFileSync(file, buffer);
+}
+
+async function waitFor(check, { timeoutMs = 20000, message = 'condition' } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const result = await check();
+    if (result) return result;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`Timed out waiting for ${message}`);
+}
+
+// Spawn a node script, keeping its output; every process is killed when the test ends
+function run(t, script, args, { env = {}, cwd = ROOT } = {}) {
+  const child = spawn(process.execPath, [path.join(ROOT, script), ...args], {
+    cwd,
+    env: { ...process.env, ...SECRETS, ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+  const exited = new Promise(resolve => child.on('exit', resolve));
+  t.after(async () => {
+    if (child.exitCode === null && child.signalCode === null) {
+      child.kill('SIGKILL');
+      await exited;
+    }
+  });
+  return { output: () => output, exited };
+}
+
+// Start the LLM stub and the app; returns the app's base URL and the output
+// of both. The stub answers with fixtures/llm-script.json unless given rules.
+async function startApp(t, { turns, rules, env = {} }) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rtms-integration-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const fixture = path.join(dir, 'fixture.json');
+  fs.writeFileSync(fixture, JSON.stringify({ partial_interval_ms: 100, turns }));
+  let script = path.join(ROOT, 'fixtures/llm-script.json');
+  if (rules) {
+    script = path.join(dir, 'llm-script.json');
+    fs.writeFileSync(script, JSON.stringify({ rules }));
+  }
+
+  const [stubPort, appPort] = [await freePort(), await freePort()];
+  const stub = run(t, 'scripts/llm-stub-server.js', ['--port', String(stubPort), '--script', script]);
+  await waitFor(() => stub.output().includes(String(stubPort)), { message: 'the LLM stub' });
+
+  const app = run(t, 'index.js', [], {
+    cwd: dir,
+    env: {
+      PORT: String(appPort),
+      STT_PROVIDER: 'fake',
+      STT_FAKE_FIXTURE: fixture,
+      ANTHROPIC_API_KEY: 'test-key',
+      ANALYSIS_BASE_URL: `http://127.0.0.1:${stubPort}`,
+      ANALYSIS_BATCH_WINDOW_MS: '0',
+      ...env
+    }
+  });
+  const url = `http://127.0.0.1:${appPort}`;
+  await waitFor(() => app.output().includes(`localhost:${appPort}`), { message: 'the app to listen' });
+  return { dir, url, app, stub };
+}
+
+function simulate(t, { dir, url }, args) {
+  const wavs = [path.join(dir, 'advisor.wav'), path.join(dir, 'client.wav')];
+  writeWav(wavs[0], 4, 440);
+  writeWav(wavs[1], 4, 660);
+  return run(t, 'scripts/rtms-simulator.js', [
+    '--target', `${url}/webhook`,
+    '--include-silence',
+    ...args,
+    ...wavs
+  ]);
+}
+
+async function getJson(url) {
+  const response = await fetch(url);
+  return response.json();
+}
+
+test('meeting.rtms_started twice for one meeting leaves only the new session streaming', { timeout: 60000 }, async (t) => {
+  const env = await startApp(t, {
+    turns: [
+      { at_ms: 1000, speaker_id: 1001, text: 'First turn of the session.' },
+      { at_ms: 2500, speaker_id: 1002, text: 'Second turn of the session.' }
+    ]
+  });
+  const simulator = simulate(t, env, ['--port', String(await freePort()), '--restart-after', '1.5', '--tail', '4']);
+
+  await waitFor(() => simulator.output().includes('Audio finished'), { message: 'the simulator to finish streaming' });
+  const transcript = await waitFor(async () => {
+    const { transcripts } = await getJson(`${env.url}/api/transcript`);
+    return transcripts.length >= 2 && transcripts;
+  }, { message: 'the restarted session\'s turns' });
+  // Give a leaked stream time to reconnect and replay its turns
+  await new Promise(resolve => setTimeout(resolve, 1500));
+  const { transcripts } = await getJson(`${env.url}/api/transcript`);
+
+  assert.equal(await simulator.exited, 0);
+  const output = env.app.output();
+  const restart = output.indexOf('♻️ Restarting session');
+  assert.ok(restart !== -1, 'the app saw the second meeting.rtms_started');
+  assert.doesNotMatch(output.slice(restart), /Reconnecting/);
+  assert.equal(output.split('✅ Signaling connected').length - 1, 2);
+  assert.deepEqual(transcript.map(entry => entry.text), transcripts.map(entry => entry.text));
+  assert.deepEqual(transcripts.map(entry => entry.text), [
+    'Consultant: First turn of the session.',
+    'Client: Second turn of the session.'
+  ]);
+});
+
+test('tool calls from the analysis backend update concerns, qualification and compliance', { timeout: 60000 }, async (t) => {
+  const env = await startApp(t, {
+    // The first speaker heard is taken for the Consultant
+    turns: [
+      { at_ms: 500, speaker_id: 1001, text: 'Thanks for making the time today.' },
+      { at_ms: 1300, speaker_id: 1002, text: 'I have about six hundred thousand in my 401k at work.' },
+      { at_ms: 2300, speaker_id: 1002, text: 'My biggest worry is the market dropping right before we retire.' },
+      { at_ms: 3300, speaker_id: 1001, text: 'We can build in a cash buffer for the first few years.' },
+      { at_ms: 4300, speaker_id: 1001, text: 'Honestly, this fund is a sure thing for you.' }
+    ],
+    rules: [
+      { match: '401k', tool_uses: [
+        { name: 'update_qualification', input: { funds: '~$600K 401(k)', confidence: 0.8 } }
+      ] },
+      { match: 'worry', tool_uses: [
+        { name: 'update_concerns', input: { new_concern: { concern: 'Market downturn right before retirement', addressing_strategy: 'Discuss a cash buffer', severity: 'high' } } }
+      ] },
+      { match: 'cash buffer', tool_uses: [
+        { name: 'update_concern_status', input: { concern_id: 'concerns_1', status: 'addressed', resolving_turn: '{{turn}}', note: 'Proposed a cash buffer' } }
+      ] },
+      { match: 'sure thing', tool_uses: [
+        { name: 'flag_compliance_issue', input: { category: 'guaranteed_returns', severity: 'high', quote: 'this fund is a sure thing for you', explanation: 'Implies a guaranteed outcome' } },
+        { name: 'flag_compliance_issue', input: { category: 'guaranteed_returns', severity: 'high', quote: 42, explanation: 'Quote is not a string' } },
+        { name: 'flag_compliance_issue', input: { category: 'guaranteed_returns', severity: 'high', quote: 'You will double your money.', explanation: 'Never said' } }
+      ] }
+    ]
+  });
+  const simulator = simulate(t, env, ['--port', String(await freePort()), '--tail', '6']);
+
+  const dashboard = await waitFor(async () => {
+    const dashboard = await getJson(`${env.url}/api/dashboard`);
+    const [concern] = dashboard.financial_data?.concerns || [];
+    return concern?.status === 'addressed' && dashboard.compliance?.alerts.length > 0 && dashboard;
+  }, { message: 'the analysis of every turn' });
+
+  const { concerns, qualification } = dashboard.financial_data;
+  assert.equal(concerns.length, 1);
+  assert.equal(concerns[0].value.severity, 'high');
+  assert.equal(concerns[0].resolution.turnId, 't4');
+  assert.equal(qualification.funds, '~$600K 401(k)');
+  assert.ok(dashboard.qualification_score.score > 0);
+
+  const { alerts } = dashboard.compliance;
+  assert.equal(alerts.length, 1);
+  assert.equal(alerts[0].source, 'llm');
+  assert.equal(alerts[0].quote, 'this fund is a sure thing for you');
+
+  const stubOutput = env.stub.output();
+  assert.match(stubOutput, /Not flagged: quote must be a string/);
+  assert.match(stubOutput, /Not flagged: quote does not match a Consultant turn/);
+  assert.doesNotMatch(env.app.output(), /Analysis batch failed/);
+  assert.equal(await simulator.exited, 0);
+});
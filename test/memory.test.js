@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createConversationMemory } from '../src/analysis/memory.js';
+
+// A transcript turn followed by a tool_use/tool_result pair
+function exchange(n) {
+  return [
+    { role: 'user', content: `Client: turn ${n}` },
+    { role: 'assistant', content: [{ type: 'tool_use', id: `tool_${n}`, name: 'update_summary', input: {} }] },
+    { role: 'user', content: [{ type: 'tool_result', tool_use_id: `tool_${n}`, content: 'ok' }] }
+  ];
+}
+
+function historyOf(exchanges) {
+  return Array.from({ length: exchanges }, (_, i) => exchange(i + 1)).flat();
+}
+
+test('a history within the limit is left alone', async () => {
+  const memory = createConversationMemory({ summarize: async () => 'never', maxMessages: 10, keepMessages: 4 });
+  const history = historyOf(3);
+  assert.equal(await memory.compact(history), history);
+  assert.equal(memory.getSummary(), '');
+});
+
+test('older turns fold into the summary and the cut keeps tool pairs together', async () => {
+  const seen = [];
+  const memory = createConversationMemory({
+    summarize: async (previous, turns) => {
+      seen.push({ previous, turns });
+      return 'Client talked about turns 1-3';
+    },
+    maxMessages: 10,
+    keepMessages: 3
+  });
+
+  const compacted = await memory.compact(historyOf(4));
+
+  assert.deepEqual(seen, [{ previous: '', turns: ['Client: turn 1', 'Client: turn 2', 'Client: turn 3'] }]);
+  assert.equal(compacted[0].content, 'Client: turn 4');
+  assert.equal(compacted.length, 3);
+  assert.equal(memory.getSummary(), 'Client talked about turns 1-3');
+  assert.equal(memory.getStatus().compactions, 1);
+  assert.equal(memory.getStatus().compacted_turns, 3);
+});
+
+test('a failed summary keeps the history until it is twice the limit', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const memory = createConversationMemory({
+    summarize: async () => { throw new Error('backend down'); },
+    maxMessages: 6,
+    keepMessages: 3
+  });
+
+  const history = historyOf(3);
+  assert.equal(await memory.compact(history), history);
+
+  const long = historyOf(5);
+  const cut = await memory.compact(long);
+  assert.ok(cut.length < long.length);
+  assert.equal(typeof cut[0].content, 'string');
+  assert.equal(memory.getStatus().failed_compactions, 2);
+  assert.equal(memory.getSummary(), '');
+});
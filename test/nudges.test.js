@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadFrameworks, NOT_IDENTIFIED } from '../src/qualification/frameworks.js';
+import { loadNudgeRules, createNudgeEngine } from '../src/coaching/nudges.js';
+
+const rules = loadNudgeRules('config/nudge-rules.json');
+const { frameworks } = loadFrameworks('config/frameworks.json');
+const faint = frameworks.get('faint');
+const MINUTE = 60000;
+
+function state({ elapsedMs = MINUTE, analytics = {}, qualification = {}, concerns = [] } = {}) {
+  return { elapsedMs, analytics, framework: faint, financialData: { qualification, concerns } };
+}
+
+function engineFor(ruleId, options) {
+  return createNudgeEngine({ rules: rules.rules.filter(rule => rule.id === ruleId) }, options);
+}
+
+function concern(severity, firstSeen, extra = {}) {
+  return { id: 'concerns_1', value: { concern: 'Market volatility', severity }, firstSeen: new Date(firstSeen).toISOString(), ...extra };
+}
+
+test('a long consultant turn raises the monologue nudge with its duration', () => {
+  const raised = [];
+  const engine = engineFor('advisor_monologue', { onNudge: nudge => raised.push(nudge) });
+
+  engine.evaluate(state({ analytics: { current_turn: { role: 'Consultant', ms: 100000 } } }), 0);
+  assert.equal(raised.length, 0);
+
+  engine.evaluate(state({ analytics: { current_turn: { role: 'Consultant', ms: 200000 } } }), 1000);
+  assert.equal(raised.length, 1);
+  assert.equal(raised[0].message, "You've been talking for 3 minutes straight. Pause and ask the client what they think.");
+  assert.equal(raised[0].level, 'warning');
+});
+
+test('a nudge resolves once its condition clears, and the cooldown holds the next one back', () => {
+  const engine = engineFor('advisor_monologue');
+  const talking = state({ analytics: { current_turn: { role: 'Consultant', ms: 200000 } } });
+
+  engine.evaluate(talking, 0);
+  engine.evaluate(state({ analytics: { current_turn: { role: 'Client', ms: 1000 } } }), 1000);
+  assert.equal(engine.getActive().length, 0);
+  assert.ok(engine.getHistory()[0].resolved_at);
+
+  engine.evaluate(talking, 2000);
+  assert.equal(engine.getActive().length, 0);
+  engine.evaluate(talking, 300000);
+  assert.equal(engine.getActive().length, 1);
+});
+
+test('dismissing a nudge hides it and restarts the cooldown', () => {
+  const changes = [];
+  const engine = engineFor('client_silent', { onChange: active => changes.push(active.length) });
+  const silent = state({ analytics: { speakers: [{ role: 'Client', silent_ms: 150000 }] } });
+
+  engine.evaluate(silent, 0);
+  const [nudge] = engine.getActive();
+  assert.equal(engine.dismiss(nudge.id, 1000).id, nudge.id);
+  assert.equal(engine.dismiss(nudge.id, 1000), null);
+
+  engine.evaluate(silent, 299000);
+  assert.equal(engine.getActive().length, 0);
+  engine.evaluate(silent, 301000);
+  assert.equal(engine.getActive().length, 1);
+  assert.deepEqual(changes, [1, 0, 1]);
+});
+
+test('talk_ratio waits for enough talk time', () => {
+  const engine = engineFor('advisor_talk_ratio');
+  engine.evaluate(state({ analytics: { talk_ratio: { Consultant: 0.8 }, total_talk_ms: 60000 } }), 0);
+  assert.equal(engine.getActive().length, 0);
+  engine.evaluate(state({ analytics: { talk_ratio: { Consultant: 0.8 }, total_talk_ms: 400000 } }), 1000);
+  assert.equal(engine.getActive()[0].message, "You're doing 80% of the talking. Let the client lead for a while.");
+});
+
+test('qualification_missing fires once the field is still unidentified after the deadline', () => {
+  const engine = engineFor('timing_not_discussed');
+  engine.evaluate(state({ elapsedMs: 30 * MINUTE, qualification: { timing: NOT_IDENTIFIED } }), 0);
+  assert.equal(engine.getActive().length, 0);
+
+  engine.evaluate(state({ elapsedMs: 46 * MINUTE, qualification: { timing: NOT_IDENTIFIED } }), 1000);
+  assert.match(engine.getActive()[0].message, /^46 minutes in and Timing hasn't come up/);
+
+  engine.evaluate(state({ elapsedMs: 47 * MINUTE, qualification: { timing: 'Next quarter' } }), 2000);
+  assert.equal(engine.getActive().length, 0);
+});
+
+test('open_concern fires for an old open concern of a listed severity', () => {
+  const engine = engineFor('high_severity_concern_open');
+  const now = 20 * MINUTE;
+
+  engine.evaluate(state({ concerns: [concern('medium', 0)] }), now);
+  engine.evaluate(state({ concerns: [concern('high', now - MINUTE)] }), now);
+  assert.equal(engine.getActive().length, 0);
+
+  engine.evaluate(state({ concerns: [concern('high', 0)] }), now);
+  assert.match(engine.getActive()[0].message, /open for 20 minutes: "Market volatility"/);
+
+  engine.evaluate(state({ concerns: [concern('high', 0, { status: 'addressed' })] }), now + 1000);
+  assert.equal(engine.getActive().length, 0);
+});
+
+test('open_concern ignores escalated concerns', () => {
+  const engine = engineFor('high_severity_concern_open');
+  engine.evaluate(state({ concerns: [concern('high', 0, { status: 'escalated' })] }), 20 * MINUTE);
+  assert.equal(engine.getActive().length, 0);
+});
+
+test('rules files are validated', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nudges-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'rules.json');
+
+  fs.writeFileSync(file, JSON.stringify({ rules: [{ id: 'x', type: 'monologue', message: 'hi', role: 'Consultant' }] }));
+  assert.throws(() => loadNudgeRules(file), /monologue rule "x" needs min_seconds/);
+
+  fs.writeFileSync(file, JSON.stringify({ rules: [{ id: 'x', type: 'shouting', message: 'hi' }] }));
+  assert.throws(() => loadNudgeRules(file), /has type "shouting"/);
+});
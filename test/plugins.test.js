@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BUILTIN_PLUGINS, escapeHtml } from '../src/tools/index.js';
+import { loadFrameworks } from '../src/qualification/frameworks.js';
+
+const ATTACK = '<img src=x onerror="alert(1)">';
+const plugin = (id) => BUILTIN_PLUGINS.find(candidate => candidate.id === id);
+const faint = loadFrameworks('config/frameworks.json').frameworks.get('faint');
+
+function assertEscaped(html) {
+  assert.equal(html.includes('<img'), false, html);
+  assert.ok(html.includes('&lt;img src=x onerror=&quot;alert(1)&quot;&gt;'), html);
+}
+
+test('escapeHtml escapes markup and quotes', () => {
+  assert.equal(escapeHtml(`<b>"Tom & Jerry's"</b>`), '&lt;b&gt;&quot;Tom &amp; Jerry&#39;s&quot;&lt;/b&gt;');
+  assert.equal(escapeHtml(null), '');
+  assert.equal(escapeHtml(42), '42');
+});
+
+test('text list renderers escape their items', () => {
+  for (const id of ['summary', 'clientInfo', 'advisorReminders']) {
+    assertEscaped(plugin(id).section.renderItem(ATTACK, 0, true, { id: `${id}_1`, value: ATTACK }));
+  }
+});
+
+test('the concerns renderer escapes the concern, strategy and resolution', () => {
+  const item = {
+    id: 'concerns_1',
+    value: { concern: ATTACK, addressing_strategy: ATTACK, severity: 'high' },
+    status: 'addressed',
+    resolution: { timestamp: '10:00', turnId: 't3', note: ATTACK, text: ATTACK }
+  };
+  const html = plugin('concerns').section.renderItem(item.value, 0, true, item);
+  assertEscaped(html);
+  assert.equal(html.split('&lt;img').length - 1, 4);
+});
+
+test('the questions renderer escapes the question, purpose and answer', () => {
+  const item = { id: 'strategicQuestions_1', value: { question: ATTACK, purpose: ATTACK }, status: 'answered', answer: { text: ATTACK, timestamp: '10:00' } };
+  const html = plugin('strategicQuestions').section.renderItem(item.value, 0, true, item);
+  assertEscaped(html);
+  assert.equal(html.split('&lt;img').length - 1, 3);
+});
+
+test('the qualification grid escapes values and their history', () => {
+  const score = {
+    score: 30,
+    fields: { funds: [{ value: ATTACK, confidence: 0.9, source_turns: ['t1'], at: new Date().toISOString() }] },
+    trajectory: []
+  };
+  const html = plugin('qualification').section.render({ funds: ATTACK }, { framework: faint, frameworks: [faint], score });
+  assertEscaped(html);
+  assert.equal(html.split('&lt;img').length - 1, 2);
+});
+
+test('the client profile escapes values and source quotes', () => {
+  const html = plugin('clientProfile').section.render({
+    employer: { value: ATTACK, confidence: 0.8, source_quote: ATTACK }
+  });
+  assertEscaped(html);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  questionStatus,
+  isOpenQuestion,
+  matchAskedQuestions,
+  attachAnswers,
+  setQuestionStatus,
+  getQuestionCoverage
+} from '../src/questions/lifecycle.js';
+
+function question(id, text, extra = {}) {
+  return { id, value: { question: text, purpose: 'Qualify' }, ...extra };
+}
+
+const timeline = question('q1', 'When do you plan to retire?');
+const risk = question('q2', 'How would you react to a 20% market drop?');
+
+test('a consultant sentence covering the question marks it asked', () => {
+  const asked = matchAskedQuestions([timeline, risk], {
+    turnId: 't4',
+    timestamp: '2026-01-01T10:04:00Z',
+    text: 'Thanks for sharing. So when are you planning to retire?'
+  });
+
+  assert.equal(asked.length, 1);
+  assert.equal(asked[0].id, 'q1');
+  assert.equal(asked[0].status, 'asked');
+  assert.equal(asked[0].askedTurn, 't4');
+  assert.equal(asked[0].askedQuote, 'So when are you planning to retire?');
+  assert.equal(questionStatus(timeline), 'suggested');
+});
+
+test('the next client turn answers asked questions', () => {
+  const asked = { ...timeline, status: 'asked' };
+  const answered = attachAnswers([asked, risk], { turnId: 't5', timestamp: '2026-01-01T10:05:00Z', text: 'In about five years.' });
+
+  assert.deepEqual(answered.map(item => item.id), ['q1']);
+  assert.equal(answered[0].status, 'answered');
+  assert.deepEqual(answered[0].answer, { text: 'In about five years.', turnId: 't5', timestamp: '2026-01-01T10:05:00Z' });
+  assert.equal(isOpenQuestion(answered[0]), false);
+});
+
+test('going back to suggested clears the match', () => {
+  const answered = { ...timeline, status: 'answered', askedTurn: 't4', askedQuote: 'x', answer: { text: 'y' } };
+  const reset = setQuestionStatus(answered, 'suggested');
+  assert.equal(reset.status, 'suggested');
+  assert.equal(reset.askedTurn, undefined);
+  assert.equal(reset.answer, undefined);
+  assert.equal(isOpenQuestion(reset), true);
+  assert.equal(isOpenQuestion(setQuestionStatus(timeline, 'dismissed')), false);
+});
+
+test('coverage counts questions by status', () => {
+  const coverage = getQuestionCoverage([
+    { ...timeline, status: 'answered', askedQuote: 'When?', answer: { text: 'Soon' } },
+    risk,
+    question('q3', 'Anything else?', { status: 'dismissed' })
+  ]);
+
+  assert.equal(coverage.total, 3);
+  assert.deepEqual(coverage.counts, { suggested: 1, asked: 0, answered: 1, dismissed: 1 });
+  assert.deepEqual(coverage.covered.map(item => [item.id, item.answer]), [['q1', 'Soon']]);
+  assert.deepEqual(coverage.not_covered.map(item => item.id), ['q2']);
+  assert.deepEqual(coverage.dismissed.map(item => item.id), ['q3']);
+});
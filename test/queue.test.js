@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAnalysisQueue } from '../src/analysis/queue.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('turns inside the batch window go out as one request', async () => {
+  const calls = [];
+  const queue = createAnalysisQueue({ analyze: async (text) => calls.push(text), batchWindowMs: 30 });
+
+  queue.enqueue('Client: hello');
+  queue.enqueue('Consultant: hi');
+  await sleep(80);
+
+  assert.deepEqual(calls, ['Client: hello\nConsultant: hi']);
+  assert.equal(queue.getStatus().batches, 1);
+  assert.equal(queue.getStatus().merged_turns, 1);
+});
+
+test('turns that arrive while a request runs wait for the next batch', async () => {
+  const calls = [];
+  let release;
+  const queue = createAnalysisQueue({
+    analyze: (text) => {
+      calls.push(text);
+      return calls.length === 1 ? new Promise(resolve => { release = resolve; }) : Promise.resolve();
+    },
+    batchWindowMs: 0
+  });
+
+  queue.enqueue('one');
+  queue.enqueue('two');
+  queue.enqueue('three');
+  assert.equal(queue.getStatus().running, true);
+  assert.equal(queue.getStatus().depth, 2);
+
+  release();
+  await sleep(10);
+  assert.deepEqual(calls, ['one', 'two\nthree']);
+  assert.equal(queue.getStatus().turns_analyzed, 3);
+});
+
+test('a backlog past maxBatchTurns skips the oldest turns', async () => {
+  const calls = [];
+  const skipped = [];
+  let release;
+  const queue = createAnalysisQueue({
+    analyze: (text) => {
+      calls.push(text);
+      return calls.length === 1 ? new Promise(resolve => { release = resolve; }) : Promise.resolve();
+    },
+    batchWindowMs: 0,
+    maxBatchTurns: 2,
+    onSkip: (count) => skipped.push(count)
+  });
+
+  queue.enqueue('first');
+  ['a', 'b', 'c', 'd'].forEach(text => queue.enqueue(text));
+  release();
+  await sleep(10);
+
+  assert.deepEqual(calls, ['first', 'c\nd']);
+  assert.deepEqual(skipped, [2]);
+  assert.equal(queue.getStatus().skipped_turns, 2);
+});
+
+test('a failed batch does not stop the queue', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const calls = [];
+  const queue = createAnalysisQueue({
+    analyze: async (text) => {
+      calls.push(text);
+      if (text === 'bad') throw new Error('boom');
+    },
+    batchWindowMs: 0
+  });
+
+  queue.enqueue('bad');
+  await sleep(5);
+  queue.enqueue('good');
+  await sleep(5);
+
+  assert.deepEqual(calls, ['bad', 'good']);
+  assert.equal(queue.getStatus().batches, 2);
+});
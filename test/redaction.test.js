@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRedactor, createTokenVault, PII_ENTITIES } from '../src/redaction/index.js';
+
+const redactor = createRedactor({ now: () => new Date('2026-06-01T00:00:00Z') });
+
+const CASES = {
+  ssn: [
+    ['My SSN is 123-45-6789.', 'My SSN is [SSN].'],
+    ['It is 123 45 6789 on the card.', 'It is [SSN] on the card.'],
+    ['Social security number 123456789, please.', 'Social security number [SSN], please.'],
+    ['The score was 123-45 at halftime.', 'The score was 123-45 at halftime.']
+  ],
+  phone: [
+    ['Call me at 555-123-4567.', 'Call me at [PHONE].'],
+    ['My cell is (555) 123-4567.', 'My cell is [PHONE].'],
+    ['Reach me at +1 555.123.4567 any time.', 'Reach me at [PHONE] any time.'],
+    ['Phone 5551234567.', 'Phone [PHONE].']
+  ],
+  dob: [
+    ['I was born on 3/15/1985.', 'I was born on [DOB].'],
+    ['D.O.B. 03/15/1990', 'D.O.B. [DOB]'],
+    ['DOB: March 15, 1990.', 'DOB: [DOB].'],
+    ['My birthday is the 15th of March 1990.', 'My birthday is the [DOB].'],
+    ['We bought the house on March 3, 1984.', 'We bought the house on March 3, 1984.'],
+    ['I retired on 06/30/1970 from the Navy.', 'I retired on 06/30/1970 from the Navy.'],
+    ['I was born in Ohio. We moved on March 3, 1984.', 'I was born in Ohio. We moved on March 3, 1984.'],
+    ['The baby is due, birth expected 01/10/2030.', 'The baby is due, birth expected 01/10/2030.']
+  ],
+  account_number: [
+    ['My account number is 12345678.', 'My account number is [ACCOUNT_NUMBER].'],
+    ['Account #4455-6677-8899 is the joint one.', 'Account #[ACCOUNT_NUMBER] is the joint one.'],
+    ['Routing number 021000021.', 'Routing number [ACCOUNT_NUMBER].'],
+    ['Policy number 123456 covers it.', 'Policy number [ACCOUNT_NUMBER] covers it.'],
+    ['The account ending in 4321.', 'The account ending in [ACCOUNT_NUMBER].'],
+    ['I opened the account in 2015.', 'I opened the account in 2015.'],
+    ['The account is 2500 dollars short.', 'The account is 2500 dollars short.'],
+    ['That policy from 2019 lapsed.', 'That policy from 2019 lapsed.'],
+    ['I have been a member since 2010.', 'I have been a member since 2010.'],
+    ['The account ending in 2019 is closed.', 'The account ending in 2019 is closed.'],
+    ['We have about 600000 saved.', 'We have about 600000 saved.']
+  ]
+};
+
+for (const [entity, cases] of Object.entries(CASES)) {
+  for (const [input, expected] of cases) {
+    test(`${entity}: ${input}`, () => {
+      assert.equal(redactor.redact(input), expected);
+    });
+  }
+}
+
+test('every entity has cases', () => {
+  assert.deepEqual(Object.keys(CASES).sort(), [...PII_ENTITIES].sort());
+});
+
+test('a redactor only runs the entities it was given', () => {
+  const ssnOnly = createRedactor({ entities: ['ssn'] });
+  assert.equal(ssnOnly.redact('SSN 123-45-6789, cell 555-123-4567'), 'SSN [SSN], cell 555-123-4567');
+  assert.throws(() => createRedactor({ entities: ['email'] }), /Unknown PII entity "email"/);
+});
+
+test('with a vault, placeholders are numbered and a repeated value keeps its placeholder', () => {
+  const vault = createTokenVault(Buffer.alloc(32, 1));
+  const text = 'SSN 123-45-6789, cell 555-123-4567, again 123 45 6789, and 555-987-6543.';
+  assert.equal(redactor.redact(text, vault), 'SSN [SSN_1], cell [PHONE_1], again [SSN_1], and [PHONE_2].');
+  assert.equal(vault.reveal('[SSN_1]'), '123-45-6789');
+});
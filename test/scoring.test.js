@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NOT_IDENTIFIED } from '../src/qualification/frameworks.js';
+import { scoreQualification, createQualificationHistory } from '../src/qualification/scoring.js';
+
+const framework = {
+  id: 'test',
+  fields: [
+    { key: 'funds', weight: 50 },
+    { key: 'interest', weight: 30, score_levels: [{ match: '\\blow\\b', factor: 0.25 }] },
+    { key: 'timing', weight: 20 }
+  ]
+};
+
+test('identified fields count with their weight', () => {
+  assert.equal(scoreQualification(framework, {}), 0);
+  assert.equal(scoreQualification(framework, { funds: '$600k', interest: NOT_IDENTIFIED }), 50);
+  assert.equal(scoreQualification(framework, { funds: '$600k', interest: 'High', timing: 'Next month' }), 100);
+});
+
+test('score_levels scale a field by the first pattern its value matches', () => {
+  assert.equal(scoreQualification(framework, { interest: 'Low, still comparing' }), Math.round(30 * 0.25));
+});
+
+test('a field counts with the confidence of its latest matching value', () => {
+  const history = { funds: [{ value: '$600k', confidence: 0.5 }, { value: '$700k', confidence: 0.9 }] };
+  assert.equal(scoreQualification(framework, { funds: '$600k' }, history), 25);
+  assert.equal(scoreQualification(framework, { funds: '$700k' }, history), 45);
+});
+
+test('fields without a weight count as 1', () => {
+  const even = { fields: [{ key: 'a' }, { key: 'b' }] };
+  assert.equal(scoreQualification(even, { a: 'yes' }), 50);
+});
+
+test('the history keeps every value and a score point per change', () => {
+  const history = createQualificationHistory();
+  history.record(framework, { funds: '$600k' }, { funds: '$600k' }, { confidence: 0.5, sourceTurns: ['t3'] });
+  const point = history.record(framework, { funds: '$600k', timing: 'Soon' }, { timing: 'Soon' });
+
+  assert.deepEqual(point.changed, ['timing']);
+  assert.equal(point.score, 45);
+
+  const status = history.getStatus(framework, { funds: '$600k', timing: 'Soon' });
+  assert.equal(status.score, 45);
+  assert.deepEqual(status.trajectory.map(entry => entry.score), [25, 45]);
+  assert.deepEqual(status.fields.funds.map(({ value, confidence, source_turns }) => ({ value, confidence, source_turns })), [
+    { value: '$600k', confidence: 0.5, source_turns: ['t3'] }
+  ]);
+
+  const switched = history.addPoint({ id: 'other', fields: [{ key: 'funds' }] }, { funds: '$600k' });
+  assert.equal(switched.framework, 'other');
+  assert.equal(switched.score, 50);
+});
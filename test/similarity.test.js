@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { contentWords, similarity, coverage } from '../src/tools/similarity.js';
+
+test('contentWords drops stopwords and punctuation', () => {
+  assert.deepEqual([...contentWords('Client has a 401(k).')], ['client', '401k']);
+  assert.deepEqual([...contentWords('About $600,000 in savings')], ['600000', 'savings']);
+  assert.equal(contentWords(null).size, 0);
+});
+
+test('similarity is the Dice coefficient of the content words', () => {
+  assert.equal(similarity('Client has a 401(k)', 'client 401k'), 1);
+  assert.equal(similarity('retirement savings', 'college fund'), 0);
+  assert.equal(similarity('worried about market volatility', 'worried about volatility'), 0.8);
+  assert.equal(similarity('', 'anything'), 0);
+});
+
+test('coverage is the share of the target found in the text', () => {
+  assert.equal(coverage('What is your retirement timeline?', 'So, what is your timeline for retirement?'), 1);
+  assert.equal(coverage('retirement timeline goals', 'timeline'), 1 / 3);
+  assert.equal(coverage('', 'text'), 0);
+});
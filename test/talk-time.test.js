@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTalkTimeTracker } from '../src/analytics/talk-time.js';
+
+const PACKET_MS = 100;
+const roles = { 1: 'Consultant', 2: 'Client' };
+const roleOf = (speakerId) => roles[speakerId] || null;
+
+// Feed 100 ms packets of speech from each [speakerId, from, to] in time order
+function play(tracker, ...runs) {
+  const packets = runs.flatMap(([speakerId, from, to]) => {
+    const list = [];
+    for (let at = from + PACKET_MS; at <= to; at += PACKET_MS) list.push([speakerId, at]);
+    return list;
+  });
+  packets.sort((a, b) => a[1] - b[1]);
+  for (const [speakerId, at] of packets) tracker.addAudio(speakerId, PACKET_MS, at);
+}
+
+const speaker = (metrics, speakerId) => metrics.speakers.find(entry => entry.speaker_id === speakerId);
+
+test('talk time and ratios come from the packets', () => {
+  const tracker = createTalkTimeTracker({ startedAt: 0 });
+  play(tracker, [1, 0, 6000], [2, 6000, 10000]);
+
+  const metrics = tracker.getMetrics(roleOf, 10000);
+  assert.equal(metrics.total_talk_ms, 10000);
+  assert.deepEqual(metrics.talk_ratio, { Consultant: 0.6, Client: 0.4 });
+  assert.equal(speaker(metrics, 1).turns, 1);
+  assert.equal(speaker(metrics, 1).longest_monologue_ms, 6000);
+  assert.deepEqual(metrics.current_turn, { speaker_id: 2, role: 'Client', ms: 4000 });
+});
+
+test('a short backchannel does not take the floor', () => {
+  const tracker = createTalkTimeTracker({ startedAt: 0 });
+  play(tracker, [1, 0, 8000], [2, 3000, 3400]);
+
+  const metrics = tracker.getMetrics(roleOf, 8000);
+  assert.equal(speaker(metrics, 1).turns, 1);
+  assert.equal(speaker(metrics, 2).turns, 0);
+  assert.equal(metrics.current_turn.ms, 8000);
+});
+
+test('talking over each other hands the floor over once, not on every packet', () => {
+  const tracker = createTalkTimeTracker({ startedAt: 0 });
+  // The client cuts in at 4 s and both keep talking until the consultant stops at 7 s
+  play(tracker, [1, 0, 7000], [2, 4000, 10000]);
+
+  const metrics = tracker.getMetrics(roleOf, 10000);
+  assert.equal(speaker(metrics, 1).turns, 1);
+  assert.equal(speaker(metrics, 2).turns, 1);
+  assert.equal(metrics.overlaps, 1);
+  assert.equal(speaker(metrics, 2).interruptions, 1);
+  assert.equal(speaker(metrics, 1).interrupted, 1);
+  assert.equal(speaker(metrics, 1).longest_monologue_ms, 4000);
+  assert.equal(metrics.current_turn.speaker_id, 2);
+});
+
+test('a long pause is a silence gap and ends the turn', () => {
+  const tracker = createTalkTimeTracker({ silenceGapMs: 5000, startedAt: 0 });
+  play(tracker, [1, 0, 2000], [1, 9000, 10000]);
+
+  const metrics = tracker.getMetrics(roleOf, 12000);
+  assert.equal(metrics.silence.gaps, 1);
+  assert.equal(metrics.silence.longest_ms, 7000);
+  assert.equal(metrics.silence.current_ms, 2000);
+  assert.equal(speaker(metrics, 1).turns, 2);
+  assert.equal(speaker(metrics, 1).silent_ms, 2000);
+});
+
+test('transcript turns add word and question counts', () => {
+  const tracker = createTalkTimeTracker({ startedAt: 0 });
+  tracker.addTurn(1, 'How are you? And your family?');
+  tracker.addTurn(1, 'Great.');
+
+  const metrics = tracker.getMetrics(roleOf, 1000);
+  assert.equal(speaker(metrics, 1).questions, 2);
+  assert.equal(speaker(metrics, 1).average_turn_words, 4);
+  assert.equal(speaker(metrics, 1).silent_ms, null);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTokenVault, loadTokenVault, deriveVaultKey } from '../src/redaction/vault.js';
+
+const key = deriveVaultKey('test secret');
+
+test('tokenize and reveal round-trip through the serialized vault', () => {
+  const created = [];
+  const vault = createTokenVault(key, { onTokenCreated: placeholder => created.push(placeholder) });
+  assert.equal(vault.tokenize('SSN', '123-45-6789'), '[SSN_1]');
+  assert.equal(vault.tokenize('SSN', '123 45 6789'), '[SSN_1]');
+  assert.equal(vault.tokenize('PHONE', '555-123-4567'), '[PHONE_1]');
+  assert.deepEqual(created, ['[SSN_1]', '[PHONE_1]']);
+
+  const serialized = JSON.parse(JSON.stringify(vault));
+  assert.equal(JSON.stringify(serialized).includes('123-45-6789'), false);
+
+  const loaded = loadTokenVault(key, serialized);
+  assert.equal(loaded.size, 2);
+  assert.equal(loaded.reveal('[SSN_1]'), '123-45-6789');
+  assert.equal(loaded.reveal('[PHONE_1]'), '555-123-4567');
+  assert.equal(loaded.reveal('[SSN_9]'), null);
+  assert.equal(loaded.tokenize('SSN', '987-65-4321'), '[SSN_2]');
+});
+
+test('a tampered entry fails to decrypt', () => {
+  const vault = createTokenVault(key);
+  vault.tokenize('ACCOUNT_NUMBER', '12345678');
+  const serialized = JSON.parse(JSON.stringify(vault));
+
+  const entry = serialized.entries['[ACCOUNT_NUMBER_1]'];
+  const data = Buffer.from(entry.data, 'base64');
+  data[0] ^= 1;
+  entry.data = data.toString('base64');
+
+  assert.throws(() => loadTokenVault(key, serialized).reveal('[ACCOUNT_NUMBER_1]'), /unable to authenticate data/);
+});
+
+test('the wrong key cannot reveal', () => {
+  const vault = createTokenVault(key);
+  vault.tokenize('DOB', '03/15/1990');
+  const loaded = loadTokenVault(deriveVaultKey('another secret'), JSON.parse(JSON.stringify(vault)));
+  assert.throws(() => loaded.reveal('[DOB_1]'), /unable to authenticate data/);
+});